@@ -3,581 +3,197 @@
 
 const express = require('express');
 const cors = require('cors');
-const nodemailer = require('nodemailer');
-const PDFDocument = require('pdfkit');
-const multer = require('multer');
-const axios = require('axios');
+const { getStore, saveApplication, getApplication } = require('../lib/store');
+const { statusLabel, publicTimeline, verifyApplicant } = require('../lib/status');
+const { generateJobApplicationPDF } = require('../lib/pdf');
+const { resolveTemplate } = require('../lib/pdf-templates');
+const { listOpenPositions, publicPosition, resolvePositions } = require('../lib/positions');
+const { adminCorsOptions, requireCronSecret } = require('../lib/auth');
+const { acceptDeclaration } = require('../lib/declaration');
+const { publicConsent, validateConsent, acceptConsent } = require('../lib/consent');
+const { validateApplication, isValidEmail } = require('../lib/validation');
+const { applicationUpload } = require('../lib/uploads');
+const {
+    applicantEmail,
+    adminEmail,
+    applicationAttachments,
+    hrAddress,
+    baseUrl,
+    sendInterviewResponse,
+    sendDraftLink
+} = require('../lib/emails');
+const { sendEmail, processOutbox } = require('../lib/outbox');
+const interviews = require('../lib/interviews');
+const drafts = require('../lib/drafts');
+const duplicates = require('../lib/duplicates');
+const privacy = require('../lib/privacy');
+const { recordAudit } = require('../lib/audit');
+const spam = require('../lib/spam');
+const { maskApplication } = require('../lib/sensitive');
+const { historyFromForm } = require('../lib/history');
+const logger = require('../lib/logger');
+const adminRouter = require('../lib/admin');
 
-const upload = multer({ storage: multer.memoryStorage() });
 
 const app = express();
 
+// req.ip is the client behind Vercel's proxy (rate limits, audit log)
+app.set('trust proxy', spam.trustProxySetting());
+
 // Middleware
-app.use(cors());
+// The public form stays open to any origin; admin routes use an allowlist
+app.use(cors((req, callback) => {
+    callback(null, req.path.startsWith('/api/admin') ? adminCorsOptions() : {});
+}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Email configuration
-const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST || 'smtp.gmail.com',
-    port: process.env.SMTP_PORT || 587,
-    secure: false,
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-    }
+// ====================================================
+// HEALTH CHECK ENDPOINT
+// ====================================================
+
+// 503 while the store refuses writes, so a deploy without durable
+// storage shows up in monitoring instead of losing applications
+app.get('/api/health', (req, res) => {
+    const storageProblem = getStore().unavailable;
+    res.status(storageProblem ? 503 : 200).json({
+        status: storageProblem ? 'ERROR' : 'OK',
+        message: 'Job Application API is running on Vercel',
+        storage: storageProblem || 'OK',
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.get('/', (req, res) => {
+    res.json({ 
+        message: 'Job Application API',
+        endpoints: [
+            'GET  /api/health',
+            'GET  /api/positions',
+            'GET  /api/validation.js',
+            'GET  /api/consent',
+            'GET  /api/form-config',
+            'POST /api/job-application',
+            'POST /api/drafts',
+            'GET  /api/drafts/:token',
+            'PUT  /api/drafts/:token',
+            'DELETE /api/drafts/:token',
+            'GET  /api/applications/:id/status',
+            'GET  /api/interviews/:token',
+            'POST /api/interviews/:token/respond',
+            'POST /api/admin/login',
+            'GET  /api/admin/applications',
+            'GET  /api/admin/applications/:id',
+            'PATCH /api/admin/applications/:id/status'
+        ]
+    });
 });
 
 // ====================================================
-// DOWNLOAD THAI FONTS
+// POSITIONS ENDPOINT
 // ====================================================
 
-let thaiFont = null;
-let thaiFontBold = null;
-
-async function downloadThaiFont() {
-    if (thaiFont) return { regular: thaiFont, bold: thaiFontBold };
-    
+app.get('/api/positions', async (req, res) => {
     try {
-        console.log('Downloading Thai fonts...');
-        
-        const responseRegular = await axios.get(
-            'https://github.com/cadsondemak/Sarabun/raw/master/fonts/ttf/Sarabun-Regular.ttf',
-            { responseType: 'arraybuffer' }
-        );
-        thaiFont = Buffer.from(responseRegular.data);
-        
-        try {
-            const responseBold = await axios.get(
-                'https://github.com/cadsondemak/Sarabun/raw/master/fonts/ttf/Sarabun-Bold.ttf',
-                { responseType: 'arraybuffer' }
-            );
-            thaiFontBold = Buffer.from(responseBold.data);
-        } catch (boldError) {
-            console.log('Bold font not available, using regular');
-            thaiFontBold = thaiFont;
-        }
-        
-        console.log('Thai fonts downloaded successfully');
-        return { regular: thaiFont, bold: thaiFontBold };
-        
+        const positions = await listOpenPositions();
+        res.json({
+            success: true,
+            positions: positions.map(publicPosition)
+        });
+
     } catch (error) {
-        console.error('Error downloading Thai font:', error);
-        
-        try {
-            const fallback = await axios.get(
-                'https://raw.githubusercontent.com/google/fonts/main/ofl/sarabun/Sarabun-Regular.ttf',
-                { responseType: 'arraybuffer' }
-            );
-            thaiFont = Buffer.from(fallback.data);
-            thaiFontBold = thaiFont;
-            console.log('Thai font downloaded from fallback source');
-            return { regular: thaiFont, bold: thaiFontBold };
-        } catch (fallbackError) {
-            console.error('Fallback font download failed:', fallbackError);
-            throw new Error('Cannot download Thai font');
-        }
+        logger.error('Error loading positions', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการดึงตำแหน่งงาน'
+        });
     }
-}
+});
 
 // ====================================================
-// UTILITY FUNCTIONS
+// FORM VALIDATION SCRIPT
 // ====================================================
 
-async function sendEmail(to, subject, html, attachments = []) {
+// The form runs the same checks as the API before submitting
+app.get('/api/validation.js', (req, res) => {
+    res.type('application/javascript');
+    res.set('Cache-Control', 'public, max-age=300');
+    res.sendFile(require.resolve('../lib/validation'));
+});
+
+// Privacy notice and consent checkboxes for the form (lib/consent.js)
+app.get('/api/consent', (req, res) => {
+    res.json({ success: true, ...publicConsent(privacy.retentionMonths()) });
+});
+
+// Form token, honeypot field name and CAPTCHA widget (lib/spam.js)
+app.get('/api/form-config', (req, res) => {
+    res.set('Cache-Control', 'no-store');
     try {
-        await transporter.sendMail({
-            from: `"${process.env.COMPANY_NAME || 'HR Department'}" <${process.env.EMAIL_USER}>`,
-            to: to,
-            subject: subject,
-            html: html,
-            attachments: attachments
-        });
-        return true;
+        res.json({ success: true, ...spam.publicFormConfig() });
     } catch (error) {
-        console.error('Error sending email:', error);
-        return false;
+        logger.error('Error issuing form token', error);
+        res.status(500).json({
+            success: false,
+            message: 'ระบบยังไม่พร้อมรับใบสมัคร กรุณาติดต่อฝ่ายบุคคล'
+        });
     }
-}
+});
 
 // ====================================================
-// CLEAN PROFESSIONAL PDF GENERATION
+// JOB APPLICATION ENDPOINT
 // ====================================================
 
-async function generateJobApplicationPDF(data, photoBuffer) {
-    return new Promise(async (resolve, reject) => {
+function sendSpamRejection(req, res, rejection) {
+    logger.warn('Submission rejected', { reason: rejection.reason, ip: req.ip });
+    if (rejection.retry_after) res.set('Retry-After', String(rejection.retry_after));
+    res.status(429).json({
+        success: false,
+        message: rejection.message
+    });
+}
+
+// Turns away an IP over the `scope` limit before the upload is read
+function limitByIp(scope) {
+    return async (req, res, next) => {
         try {
-            const fonts = await downloadThaiFont();
-            
-            const doc = new PDFDocument({ 
-                size: 'A4',
-                margins: { top: 30, bottom: 30, left: 30, right: 30 }
-            });
-            
-            const chunks = [];
-            
-            doc.on('data', chunk => chunks.push(chunk));
-            doc.on('end', () => resolve(Buffer.concat(chunks)));
-            doc.on('error', reject);
-
-            doc.registerFont('Sarabun', fonts.regular);
-            doc.registerFont('SarabunBold', fonts.bold);
-
-            const pageWidth = doc.page.width;
-            const pageHeight = doc.page.height;
-            const margin = 30;
-            const contentWidth = pageWidth - (margin * 2);
-            
-            let yPos = margin;
-
-            // ====================================================
-            // HEADER WITH PHOTO
-            // ====================================================
-            
-            // Add Photo on top right
-            if (photoBuffer) {
-                try {
-                    const photoSize = 80;
-                    const photoX = pageWidth - margin - photoSize;
-                    const photoY = yPos;
-                    doc.image(photoBuffer, photoX, photoY, {
-                        width: photoSize,
-                        height: photoSize,
-                        align: 'right'
-                    });
-                } catch (photoError) {
-                    console.error('Error embedding photo:', photoError);
-                }
-            }
-            
-            // Position title
-            doc.font('SarabunBold')
-               .fontSize(24)
-               .fillColor('#1a1a1a')
-               .text(data.position, margin, yPos, { 
-                   width: contentWidth - 90,
-                   align: 'left'
-               });
-            yPos += 30;
-            
-            // Applicant name
-            doc.font('SarabunBold')
-               .fontSize(16)
-               .fillColor('#2c3e50')
-               .text(data.personal_info.fullname_th, margin, yPos, { 
-                   width: contentWidth - 90
-               });
-            yPos += 20;
-            
-            if (data.personal_info.fullname_en) {
-                doc.font('Sarabun')
-                   .fontSize(12)
-                   .fillColor('#7f8c8d')
-                   .text(data.personal_info.fullname_en, margin, yPos, { 
-                       width: contentWidth - 90
-                   });
-                yPos += 18;
-            }
-            
-            // Application ID
-            doc.font('Sarabun')
-               .fontSize(10)
-               .fillColor('#95a5a6')
-               .text(`รหัสใบสมัคร: ${data.id}`, margin, yPos);
-            yPos += 25;
-            
-            // Divider line
-            doc.moveTo(margin, yPos)
-               .lineTo(pageWidth - margin, yPos)
-               .lineWidth(1)
-               .stroke('#e0e0e0');
-            yPos += 20;
-            
-            // ====================================================
-            // QUICK INFO SECTION - Full Width
-            // ====================================================
-            
-            const colWidth = contentWidth / 3 - 10;
-            
-            // Column 1: Contact
-            let col1Y = yPos;
-            doc.font('SarabunBold')
-               .fontSize(11)
-               .fillColor('#2c3e50')
-               .text('ข้อมูลติดต่อ', margin, col1Y);
-            col1Y += 15;
-            
-            doc.font('Sarabun')
-               .fontSize(10)
-               .fillColor('#34495e')
-               .text(data.personal_info.phone, margin, col1Y);
-            col1Y += 13;
-            doc.text(data.personal_info.line_id, margin, col1Y);
-            col1Y += 13;
-            doc.text(data.personal_info.email, margin, col1Y, { width: colWidth });
-            
-            // Column 2: Personal
-            let col2Y = yPos;
-            const col2X = margin + colWidth + 15;
-            doc.font('SarabunBold')
-               .fontSize(11)
-               .fillColor('#2c3e50')
-               .text('ข้อมูลส่วนตัว', col2X, col2Y);
-            col2Y += 15;
-            
-            doc.font('Sarabun')
-               .fontSize(10)
-               .fillColor('#34495e')
-               .text(`${data.personal_info.gender}  อายุ ${data.personal_info.age} ปี`, col2X, col2Y);
-            col2Y += 13;
-            doc.text(data.personal_info.nationality, col2X, col2Y);
-            col2Y += 13;
-            doc.text(data.personal_info.religion, col2X, col2Y);
-            
-            // Column 3: Education & ID
-            let col3Y = yPos;
-            const col3X = margin + (colWidth + 15) * 2;
-            doc.font('SarabunBold')
-               .fontSize(11)
-               .fillColor('#2c3e50')
-               .text('การศึกษา', col3X, col3Y);
-            col3Y += 15;
-            
-            doc.font('Sarabun')
-               .fontSize(10)
-               .fillColor('#34495e')
-               .text(data.education.education_used, col3X, col3Y, { width: colWidth });
-            col3Y += 13;
-            doc.fontSize(9)
-               .fillColor('#7f8c8d')
-               .text(`บัตรปชช: ${data.personal_info.id_card}`, col3X, col3Y, { width: colWidth });
-            
-            yPos += 60;
-            
-            // Divider line
-            doc.moveTo(margin, yPos)
-               .lineTo(pageWidth - margin, yPos)
-               .lineWidth(1)
-               .stroke('#e0e0e0');
-            yPos += 20;
-            
-            // ====================================================
-            // TWO COLUMN LAYOUT - Full Width
-            // ====================================================
-            
-            const leftColX = margin;
-            const leftColWidth = contentWidth * 0.48;
-            const rightColX = margin + leftColWidth + 20;
-            const rightColWidth = contentWidth * 0.48;
-            
-            // LEFT COLUMN
-            let leftY = yPos;
-            
-            // Address
-            doc.font('SarabunBold')
-               .fontSize(12)
-               .fillColor('#2c3e50')
-               .text('ที่อยู่', leftColX, leftY);
-            leftY += 18;
-            
-            doc.font('Sarabun')
-               .fontSize(10)
-               .fillColor('#34495e')
-               .text(data.personal_info.address.full, leftColX, leftY, { 
-                   width: leftColWidth,
-                   lineGap: 2
-               });
-            leftY += doc.heightOfString(data.personal_info.address.full, { width: leftColWidth, lineGap: 2 }) + 5;
-            
-            doc.fontSize(9)
-               .fillColor('#7f8c8d')
-               .text(`${data.personal_info.address.subdistrict}, ${data.personal_info.address.district}`, 
-                   leftColX, leftY, { width: leftColWidth });
-            leftY += 12;
-            
-            doc.text(`${data.personal_info.address.province} ${data.personal_info.address.zipcode}`, 
-                leftColX, leftY, { width: leftColWidth });
-            leftY += 25;
-            
-            // Education History
-            doc.font('SarabunBold')
-               .fontSize(12)
-               .fillColor('#2c3e50')
-               .text('ประวัติการศึกษา', leftColX, leftY);
-            leftY += 18;
-            
-            if (data.education.high_school.school) {
-                doc.font('SarabunBold')
-                   .fontSize(10)
-                   .fillColor('#4FACFE')
-                   .text('มัธยมศึกษา', leftColX, leftY);
-                leftY += 14;
-                
-                doc.font('Sarabun')
-                   .fontSize(10)
-                   .fillColor('#34495e')
-                   .text(data.education.high_school.school, leftColX, leftY, { width: leftColWidth });
-                leftY += 12;
-                
-                if (data.education.high_school.major || data.education.high_school.year) {
-                    doc.fontSize(9)
-                       .fillColor('#7f8c8d')
-                       .text(`${data.education.high_school.major || '-'}  ปีที่จบ ${data.education.high_school.year || '-'}`, 
-                           leftColX, leftY, { width: leftColWidth });
-                    leftY += 12;
-                }
-                leftY += 8;
-            }
-            
-            if (data.education.vocational.school) {
-                doc.font('SarabunBold')
-                   .fontSize(10)
-                   .fillColor('#4FACFE')
-                   .text('ปวช./ปวส.', leftColX, leftY);
-                leftY += 14;
-                
-                doc.font('Sarabun')
-                   .fontSize(10)
-                   .fillColor('#34495e')
-                   .text(data.education.vocational.school, leftColX, leftY, { width: leftColWidth });
-                leftY += 12;
-                
-                if (data.education.vocational.major || data.education.vocational.year) {
-                    doc.fontSize(9)
-                       .fillColor('#7f8c8d')
-                       .text(`${data.education.vocational.major || '-'}  ปีที่จบ ${data.education.vocational.year || '-'}`, 
-                           leftColX, leftY, { width: leftColWidth });
-                    leftY += 12;
-                }
-                leftY += 8;
-            }
-            
-            if (data.education.bachelor.school) {
-                doc.font('SarabunBold')
-                   .fontSize(10)
-                   .fillColor('#4FACFE')
-                   .text('ปริญญาตรี', leftColX, leftY);
-                leftY += 14;
-                
-                doc.font('Sarabun')
-                   .fontSize(10)
-                   .fillColor('#34495e')
-                   .text(data.education.bachelor.school, leftColX, leftY, { width: leftColWidth });
-                leftY += 12;
-                
-                if (data.education.bachelor.major || data.education.bachelor.year) {
-                    doc.fontSize(9)
-                       .fillColor('#7f8c8d')
-                       .text(`${data.education.bachelor.major || '-'}  ปีที่จบ ${data.education.bachelor.year || '-'}`, 
-                           leftColX, leftY, { width: leftColWidth });
-                    leftY += 12;
-                }
-                leftY += 8;
-            }
-            
-            if (data.education.other.school) {
-                doc.font('SarabunBold')
-                   .fontSize(10)
-                   .fillColor('#4FACFE')
-                   .text('อื่นๆ', leftColX, leftY);
-                leftY += 14;
-                
-                doc.font('Sarabun')
-                   .fontSize(10)
-                   .fillColor('#34495e')
-                   .text(data.education.other.school, leftColX, leftY, { width: leftColWidth });
-                leftY += 12;
-                
-                if (data.education.other.major || data.education.other.year) {
-                    doc.fontSize(9)
-                       .fillColor('#7f8c8d')
-                       .text(`${data.education.other.major || '-'}  ปีที่จบ ${data.education.other.year || '-'}`, 
-                           leftColX, leftY, { width: leftColWidth });
-                    leftY += 12;
-                }
-                leftY += 8;
-            }
-            
-            leftY += 10;
-            
-            // Additional Info
-            doc.font('SarabunBold')
-               .fontSize(12)
-               .fillColor('#2c3e50')
-               .text('ข้อมูลเพิ่มเติม', leftColX, leftY);
-            leftY += 18;
-            
-            if (data.additional_info.special_skills) {
-                doc.font('Sarabun')
-                   .fontSize(10)
-                   .fillColor('#34495e')
-                   .text(`ความสามารถพิเศษ: ${data.additional_info.special_skills}`, 
-                       leftColX, leftY, { width: leftColWidth, lineGap: 2 });
-                leftY += doc.heightOfString(`ความสามารถพิเศษ: ${data.additional_info.special_skills}`, 
-                    { width: leftColWidth, lineGap: 2 }) + 8;
-            }
-            
-            if (data.additional_info.expected_salary) {
-                doc.text(`เงินเดือนที่คาดหวัง: ${data.additional_info.expected_salary} บาท`, 
-                    leftColX, leftY, { width: leftColWidth });
-                leftY += 13;
-            }
-            
-            if (data.additional_info.start_date) {
-                doc.text(`วันที่สามารถเริ่มงาน: ${data.additional_info.start_date}`, 
-                    leftColX, leftY, { width: leftColWidth });
-                leftY += 13;
-            }
-            
-            if (data.additional_info.has_disease && data.additional_info.has_disease !== 'ไม่มี') {
-                doc.text(`โรคประจำตัว: ${data.additional_info.disease_detail || data.additional_info.has_disease}`, 
-                    leftColX, leftY, { width: leftColWidth, lineGap: 2 });
-                leftY += doc.heightOfString(`โรคประจำตัว: ${data.additional_info.disease_detail || data.additional_info.has_disease}`, 
-                    { width: leftColWidth, lineGap: 2 }) + 8;
-            }
-            
-            // RIGHT COLUMN
-            let rightY = yPos;
-            
-            // Work Experience
-            doc.font('SarabunBold')
-               .fontSize(12)
-               .fillColor('#2c3e50')
-               .text('ประสบการณ์ทำงาน', rightColX, rightY);
-            rightY += 18;
-            
-            if (data.work_experience.length > 0) {
-                data.work_experience.forEach((work) => {
-                    // Position
-                    doc.font('SarabunBold')
-                       .fontSize(11)
-                       .fillColor('#2c3e50')
-                       .text(work.position || 'ไม่ระบุตำแหน่ง', rightColX, rightY, {
-                           width: rightColWidth
-                       });
-                    rightY += 14;
-                    
-                    // Company
-                    doc.font('Sarabun')
-                       .fontSize(10)
-                       .fillColor('#34495e')
-                       .text(work.company, rightColX, rightY, {
-                           width: rightColWidth
-                       });
-                    rightY += 12;
-                    
-                    // Duration
-                    doc.fontSize(9)
-                       .fillColor('#7f8c8d')
-                       .text(`${work.start || '-'} ถึง ${work.end || '-'}`, 
-                           rightColX, rightY, {
-                               width: rightColWidth
-                           });
-                    rightY += 12;
-                    
-                    // Reason
-                    if (work.reason) {
-                        doc.fontSize(9)
-                           .fillColor('#95a5a6')
-                           .text(`เหตุผลที่ออก: ${work.reason}`, rightColX, rightY, {
-                               width: rightColWidth,
-                               lineGap: 1
-                           });
-                        rightY += doc.heightOfString(`เหตุผลที่ออก: ${work.reason}`, 
-                            { width: rightColWidth, lineGap: 1 }) + 3;
-                    }
-                    
-                    rightY += 12;
-                });
-            } else {
-                doc.font('Sarabun')
-                   .fontSize(10)
-                   .fillColor('#95a5a6')
-                   .text('ไม่มีประสบการณ์ทำงาน', rightColX, rightY);
-                rightY += 25;
-            }
-            
-            rightY += 10;
-            
-            // Motivation
-            if (data.additional_info.motivation) {
-                doc.font('SarabunBold')
-                   .fontSize(12)
-                   .fillColor('#2c3e50')
-                   .text('เหตุผลที่สมัคร', rightColX, rightY);
-                rightY += 18;
-                
-                doc.font('Sarabun')
-                   .fontSize(10)
-                   .fillColor('#34495e')
-                   .text(data.additional_info.motivation, rightColX, rightY, {
-                       width: rightColWidth,
-                       lineGap: 3,
-                       align: 'left'
-                   });
-            }
-            
-            // ====================================================
-            // FOOTER
-            // ====================================================
-            
-            const footerY = pageHeight - 50;
-            
-            doc.moveTo(margin, footerY)
-               .lineTo(pageWidth - margin, footerY)
-               .lineWidth(0.5)
-               .stroke('#e0e0e0');
-            
-            doc.font('Sarabun')
-               .fontSize(8)
-               .fillColor('#95a5a6')
-               .text(`วันที่สมัคร: ${new Date().toLocaleDateString('th-TH')}`, 
-                   margin, footerY + 10, { 
-                       width: contentWidth,
-                       align: 'center'
-                   });
-            
-            doc.end();
-            
+            const rejection = await spam.checkIp(req, { scope });
+            if (rejection) return sendSpamRejection(req, res, rejection);
+            next();
         } catch (error) {
-            reject(error);
+            next(error);
         }
-    });
+    };
 }
 
-// ====================================================
-// HEALTH CHECK ENDPOINT
-// ====================================================
-
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'OK', 
-        message: 'Job Application API is running on Vercel',
-        timestamp: new Date().toISOString()
-    });
-});
+// Routes that save data answer 503 up front while the store refuses
+// writes (lib/store.js), instead of failing halfway through
+function requireWritableStore(req, res, next) {
+    const problem = getStore().unavailable;
+    if (!problem) return next();
 
-app.get('/', (req, res) => {
-    res.json({ 
-        message: 'Job Application API',
-        endpoints: [
-            'GET  /api/health',
-            'POST /api/job-application'
-        ]
+    logger.error('Storage refuses writes', { path: req.baseUrl + req.path, error: problem });
+    res.status(503).json({
+        success: false,
+        message: 'ระบบยังไม่พร้อมบันทึกข้อมูลในขณะนี้ กรุณาลองใหม่ภายหลังหรือติดต่อฝ่ายบุคคล'
     });
-});
+}
 
-// ====================================================
-// JOB APPLICATION ENDPOINT
-// ====================================================
+const limitSubmissions = limitByIp('submit');
+const limitDrafts = limitByIp('draft');
 
-app.post('/api/job-application', upload.fields([
-    { name: 'resume', maxCount: 1 },
-    { name: 'photo', maxCount: 1 }
-]), async (req, res) => {
+// Uploads are size-limited, type-checked and the photo normalized
+// before the handler runs (lib/uploads.js)
+app.post('/api/job-application', requireWritableStore, limitSubmissions, applicationUpload, async (req, res) => {
     try {
+        // Honeypot, fill time, per-email limit and CAPTCHA (lib/spam.js)
+        const rejection = await spam.checkSubmission(req, { scope: 'submit' });
+        if (rejection) {
+            return sendSpamRejection(req, res, rejection);
+        }
+
         const {
-            position,
+            position_ids,
             fullname_th,
             fullname_en,
             gender,
@@ -595,34 +211,7 @@ app.post('/api/job-application', upload.fields([
             district,
             province,
             zipcode,
-            edu_high_school,
-            edu_high_major,
-            edu_high_year,
-            edu_vocational,
-            edu_vocational_major,
-            edu_vocational_year,
-            edu_bachelor,
-            edu_bachelor_major,
-            edu_bachelor_year,
-            edu_other,
-            edu_other_major,
-            edu_other_year,
             education_used,
-            work1_company,
-            work1_position,
-            work1_start,
-            work1_end,
-            work1_reason,
-            work2_company,
-            work2_position,
-            work2_start,
-            work2_end,
-            work2_reason,
-            work3_company,
-            work3_position,
-            work3_start,
-            work3_end,
-            work3_reason,
             has_disease,
             disease_detail,
             has_criminal_record,
@@ -630,44 +219,56 @@ app.post('/api/job-application', upload.fields([
             special_skills,
             expected_salary,
             start_date,
-            motivation
+            motivation,
+            language,
+            draft_token
         } = req.body;
+
+        // A saved draft supplies any file that was not uploaded again
+        const draft = draft_token ? await drafts.findDraftByToken(draft_token) : null;
+        if (draft) {
+            req.files = await drafts.draftUploads(draft, req.files);
+        }
         
-        // Validation
-        if (!position || !fullname_th || !gender || !birthdate || !age || !nationality || !ethnicity || !religion || !id_card || !phone || !line_id || !email || !education_used) {
-            return res.status(400).json({
-                success: false,
-                message: 'กรุณากรอกข้อมูลให้ครบถ้วน'
-            });
+        // Field-level validation shared with index.html (lib/validation.js)
+        const errors = { ...validateApplication(req.body), ...validateConsent(req.body) };
+
+        if (!req.files || !req.files.photo) {
+            errors.photo = 'กรุณาอัปโหลดรูปถ่าย';
         }
 
-        const idCardDigits = id_card.replace(/\D/g, '');
-        if (idCardDigits.length !== 13) {
-            return res.status(400).json({
-                success: false,
-                message: 'เลขบัตรประชาชนต้องมี 13 หลัก'
-            });
+        // Only open positions from the positions resource are accepted
+        let accepted = [];
+        if (!errors.position_ids) {
+            const resolved = await resolvePositions(position_ids);
+            accepted = resolved.accepted;
+            if (resolved.rejected.length > 0 || accepted.length === 0) {
+                errors.position_ids = 'ตำแหน่งที่เลือกปิดรับสมัครแล้วหรือไม่มีอยู่ กรุณาโหลดหน้าใหม่แล้วเลือกอีกครั้ง';
+            }
         }
-        
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
+
+        if (Object.keys(errors).length > 0) {
             return res.status(400).json({
                 success: false,
-                message: 'รูปแบบอีเมลไม่ถูกต้อง'
+                message: 'กรุณาตรวจสอบข้อมูลที่กรอก',
+                errors
             });
         }
 
-        if (!req.files || !req.files.photo) {
-            return res.status(400).json({
-                success: false,
-                message: 'กรุณาอัปโหลดรูปถ่าย'
-            });
+        // One application per form token; replays stop here (lib/spam.js)
+        const replay = await spam.useFormToken(req);
+        if (replay) {
+            return sendSpamRejection(req, res, replay);
         }
+
+        const position = accepted.map(p => p.title).join(', ');
+        const idCardDigits = String(id_card).replace(/\D/g, '');
         
         // Create application object
         const application = {
             id: `APP${Date.now()}`,
             position,
+            position_ids: accepted.map(p => p.id),
             personal_info: {
                 fullname_th,
                 fullname_en,
@@ -689,18 +290,8 @@ app.post('/api/job-application', upload.fields([
                     zipcode
                 }
             },
-            education: {
-                high_school: { school: edu_high_school, major: edu_high_major, year: edu_high_year },
-                vocational: { school: edu_vocational, major: edu_vocational_major, year: edu_vocational_year },
-                bachelor: { school: edu_bachelor, major: edu_bachelor_major, year: edu_bachelor_year },
-                other: { school: edu_other, major: edu_other_major, year: edu_other_year },
-                education_used
-            },
-            work_experience: [
-                { company: work1_company, position: work1_position, start: work1_start, end: work1_end, reason: work1_reason },
-                { company: work2_company, position: work2_position, start: work2_start, end: work2_end, reason: work2_reason },
-                { company: work3_company, position: work3_position, start: work3_start, end: work3_end, reason: work3_reason }
-            ].filter(w => w.company),
+            // Any number of education and work entries (lib/history.js)
+            ...historyFromForm(req.body, education_used),
             additional_info: {
                 has_disease,
                 disease_detail,
@@ -711,198 +302,91 @@ app.post('/api/job-application', upload.fields([
                 start_date,
                 motivation
             },
+            language: language === 'en' ? 'en' : 'th',
             submitted_at: new Date().toISOString(),
             status: 'pending'
         };
-        
-        // Generate clean PDF with photo
-        console.log('Generating clean professional PDF...');
-        const photoBuffer = req.files.photo[0].buffer;
-        const pdfBuffer = await generateJobApplicationPDF(application, photoBuffer);
-        console.log('PDF generated successfully');
-        
-        // Prepare attachments
-        const attachments = [
-            {
-                filename: `Job_Application_${fullname_th}_${application.id}.pdf`,
-                content: pdfBuffer,
-                contentType: 'application/pdf'
+        application.declaration = acceptDeclaration(new Date(application.submitted_at));
+        application.consent = acceptConsent(req.body, new Date(application.submitted_at));
+        application.status_history = [{ status: 'pending', at: application.submitted_at }];
+
+        // Same ID card + email within the window: block, or update the
+        // earlier application (lib/duplicates.js)
+        const { blocked, record, revised } = await duplicates.serializeApplicant(application, async () => {
+            const { duplicate, possible } = await duplicates.findDuplicates(application);
+            application.possible_duplicates = possible;
+
+            if (duplicate && duplicates.duplicateMode() === 'block') {
+                return { blocked: duplicate };
             }
-        ];
-        
-        // Add photo
-        if (req.files.photo && req.files.photo[0]) {
-            attachments.push({
-                filename: `Photo_${fullname_th}_${req.files.photo[0].originalname}`,
-                content: req.files.photo[0].buffer,
-                contentType: req.files.photo[0].mimetype
+
+            // Persist before anything else so a failed email can't lose the applicant
+            const saved = duplicate
+                ? await duplicates.reviseApplication(duplicate, application, req.files)
+                : await saveApplication(application, req.files);
+            await duplicates.indexApplication(saved);
+            return { record: saved, revised: Boolean(duplicate) };
+        });
+
+        if (blocked) {
+            logger.info('Duplicate application blocked', { matches: blocked.id });
+            return res.status(409).json({
+                success: false,
+                message: `คุณได้ส่งใบสมัครด้วยเลขบัตรประชาชนและอีเมลนี้ไปแล้วภายใน ${duplicates.windowDays()} วันที่ผ่านมา ` +
+                    'ตรวจสอบสถานะได้ด้วยรหัสใบสมัครในอีเมลยืนยัน หากต้องการแก้ไขข้อมูลกรุณาติดต่อฝ่ายบุคคล',
+                duplicate: true
             });
         }
+        logger.info(revised ? 'Application revised' : 'Application saved', { application_id: record.id, revision: record.revision || 0 });
 
-        // Add resume if uploaded
-        if (req.files.resume && req.files.resume[0]) {
-            attachments.push({
-                filename: req.files.resume[0].originalname,
-                content: req.files.resume[0].buffer,
-                contentType: req.files.resume[0].mimetype
-            });
+        if (draft) {
+            await drafts.deleteDraft(draft);
         }
         
-        // Send confirmation email to applicant
-        const applicantEmailHTML = `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <meta charset="UTF-8">
-                <style>
-                    body { font-family: 'Sarabun', Arial, sans-serif; line-height: 1.6; color: #333; }
-                    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                    .header { background: linear-gradient(135deg, #4FACFE 0%, #00F2FE 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-                    .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-                    .info-box { background: white; padding: 15px; margin: 15px 0; border-left: 4px solid #4FACFE; border-radius: 5px; }
-                    .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-                </style>
-            </head>
-            <body>
-                <div class="container">
-                    <div class="header">
-                        <h1>ยืนยันการสมัครงาน</h1>
-                        <h2>ขอบคุณที่สมัครงานกับเรา!</h2>
-                    </div>
-                    <div class="content">
-                        <p>เรียน คุณ<strong>${fullname_th}</strong>,</p>
-                        <p>เราได้รับใบสมัครงานของคุณเรียบร้อยแล้ว</p>
-                        
-                        <div class="info-box">
-                            <h3>รายละเอียดใบสมัคร</h3>
-                            <p><strong>รหัสใบสมัคร:</strong> ${application.id}</p>
-                            <p><strong>ตำแหน่งงาน:</strong> ${position}</p>
-                            <p><strong>วันที่สมัคร:</strong> ${new Date().toLocaleDateString('th-TH')}</p>
-                        </div>
-                        
-                        <h3>ขั้นตอนต่อไป:</h3>
-                        <ol>
-                            <li>ทีม HR จะตรวจสอบใบสมัคร (3-5 วันทำการ)</li>
-                            <li>เราจะติดต่อกลับหากผ่านการคัดเลือก</li>
-                            <li>นัดสัมภาษณ์หรือแจ้งผลการพิจารณา</li>
-                        </ol>
-                        
-                        <p style="margin-top: 25px; padding-top: 25px; border-top: 2px solid #e0e0e0;">
-                            <strong>หมายเหตุ:</strong> กรุณาเก็บรหัสใบสมัคร (${application.id}) ไว้สำหรับติดตามสถานะ
-                        </p>
-                    </div>
-                    <div class="footer">
-                        <p>© 2024 บริษัท<br>
-                        Made with ❤ in Thailand</p>
-                    </div>
-                </div>
-            </body>
-            </html>
-        `;
-        
-        await sendEmail(
-            email, 
-            'ยืนยันการสมัครงาน', 
-            applicantEmailHTML
-        );
-        
-        // Send notification email to admin with PDF
-        const adminEmailHTML = `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <meta charset="UTF-8">
-                <style>
-                    body { font-family: 'Sarabun', Arial, sans-serif; line-height: 1.6; }
-                    .header { background: #4FACFE; color: white; padding: 20px; }
-                    .alert { background: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin: 20px 0; }
-                    .section { margin: 20px 0; padding: 15px; background: #f5f5f5; border-radius: 5px; }
-                    table { width: 100%; border-collapse: collapse; margin: 10px 0; }
-                    table td { padding: 8px; border-bottom: 1px solid #ddd; }
-                    table td:first-child { font-weight: bold; width: 200px; }
-                </style>
-            </head>
-            <body>
-                <div class="header">
-                    <h1>🎯 ใบสมัครงานใหม่!</h1>
-                    <p>รหัสใบสมัคร: ${application.id}</p>
-                </div>
-                
-                <div class="alert">
-                    <strong>⚡ แจ้งเตือนด่วน:</strong> มีผู้สมัครตำแหน่ง <strong>${position}</strong> 
-                    ไฟล์ PDF แนบมาพร้อมอีเมล
-                </div>
-                
-                <div class="section">
-                    <h2>📋 สรุปข้อมูล</h2>
-                    <table>
-                        <tr><td>ชื่อ-นามสกุล:</td><td>${fullname_th}</td></tr>
-                        <tr><td>ตำแหน่ง:</td><td>${position}</td></tr>
-                        <tr><td>เบอร์โทร:</td><td>${phone}</td></tr>
-                        <tr><td>LINE ID:</td><td>${line_id}</td></tr>
-                        <tr><td>อีเมล:</td><td>${email}</td></tr>
-                        <tr><td>อายุ:</td><td>${age} ปี</td></tr>
-                        <tr><td>สัญชาติ:</td><td>${nationality}</td></tr>
-                        <tr><td>เชื้อชาติ:</td><td>${ethnicity}</td></tr>
-                        <tr><td>ศาสนา:</td><td>${religion}</td></tr>
-                        <tr><td>การศึกษา:</td><td>${education_used}</td></tr>
-                        <tr><td>เงินเดือนที่คาดหวัง:</td><td>${expected_salary ? expected_salary + ' บาท' : 'ไม่ระบุ'}</td></tr>
-                        <tr><td>โรคประจำตัว:</td><td>${has_disease}${disease_detail ? ' - ' + disease_detail : ''}</td></tr>
-                        <tr><td>ประวัติอาชญากรรม:</td><td>${has_criminal_record}${criminal_detail ? ' - ' + criminal_detail : ''}</td></tr>
-                    </table>
-                </div>
-                
-                <div class="section">
-                    <h3>📎 ไฟล์แนบ:</h3>
-                    <ul>
-                        <li>✅ ใบสมัครงาน (PDF) - <strong>Job_Application_${fullname_th}_${application.id}.pdf</strong></li>
-                        <li>✅ รูปถ่าย - <strong>Photo_${fullname_th}_${req.files.photo[0].originalname}</strong></li>
-                        ${req.files.resume ? `<li>✅ เรซูเม่ - <strong>${req.files.resume[0].originalname}</strong></li>` : '<li>❌ ไม่มีเรซูเม่</li>'}
-                    </ul>
-                </div>
-                
-                <div class="section">
-                    <h3>📊 สถานะ:</h3>
-                    <p><strong>วันที่สมัคร:</strong> ${new Date().toLocaleDateString('th-TH', { 
-                        year: 'numeric', 
-                        month: 'long', 
-                        day: 'numeric',
-                        hour: '2-digit',
-                        minute: '2-digit'
-                    })}</p>
-                    <p><strong>สถานะ:</strong> <span style="color: #ffc107;">⏳ รอการพิจารณา</span></p>
-                </div>
-                
-                <hr style="margin: 30px 0;">
-                <p style="text-align: center; color: #666;">
-                    <strong>👉 Action Required:</strong> กรุณาตรวจสอบไฟล์ PDF แนบ<br>
-                    <em>ติดต่อผู้สมัครภายใน 7 วันทำการ</em>
-                </p>
-            </body>
-            </html>
-        `;
+        // Generate clean PDF with photo
+        // HR's copy goes by email, so it carries the masked values
+        const photoBuffer = req.files.photo[0].buffer;
+        const pdfBuffer = await generateJobApplicationPDF(maskApplication(record), photoBuffer, await resolveTemplate(record));
+        logger.debug('PDF generated', { application_id: record.id });
         
-        console.log('Sending email to admin...');
-        await sendEmail(
-            process.env.ADMIN_EMAIL || 'forcon674@outlook.com',
-            `📩 ใบสมัครงานใหม่ - ${position} - ${fullname_th}`,
-            adminEmailHTML,
-            attachments
-        );
-        console.log('Email sent successfully');
+        // Attachment names and every interpolated field are sanitized in lib/emails.js
+        const attachments = applicationAttachments(record, pdfBuffer, req.files);
+
+        // Both emails go through the outbox: saved first, retried if SMTP fails
+        const applicantMessage = await applicantEmail(record);
+        const confirmation = await sendEmail({
+            ...applicantMessage,
+            to: email,
+            kind: 'applicant_confirmation',
+            application_id: record.id
+        });
+
+        const adminMessage = await adminEmail(record, attachments);
+        await sendEmail({
+            ...adminMessage,
+            to: hrAddress(),
+            attachments,
+            kind: 'hr_notification',
+            application_id: record.id
+        });
         
-        // Log application
-        console.log('New Job Application:', application);
+        // Sensitive fields are masked by the logger
+        logger.info('New job application', { application: record });
         
         // Return success response
+        const submitted = revised ? 'อัปเดตใบสมัครเดิมของคุณด้วยข้อมูลใหม่แล้ว!' : 'ส่งใบสมัครงานสำเร็จ!';
         res.json({
             success: true,
-            message: 'ส่งใบสมัครงานสำเร็จ! เราจะติดต่อกลับภายใน 7 วันทำการ',
-            application_id: application.id
+            message: confirmation.status === 'sent'
+                ? `${submitted} เราจะติดต่อกลับภายใน 7 วันทำการ`
+                : `${submitted} แต่ยังส่งอีเมลยืนยันไม่ได้ ระบบจะลองส่งใหม่อีกครั้ง กรุณาจดรหัสใบสมัครไว้`,
+            application_id: record.id,
+            revised,
+            confirmation_email: confirmation.status
         });
         
     } catch (error) {
-        console.error('Error processing job application:', error);
+        logger.error('Error processing job application', error);
         res.status(500).json({
             success: false,
             message: 'เกิดข้อผิดพลาดในการส่งใบสมัคร'
@@ -910,6 +394,369 @@ app.post('/api/job-application', upload.fields([
     }
 });
 
+// ====================================================
+// APPLICATION DRAFTS
+// ====================================================
+
+// Draft uploads go through the same checks as a submitted application;
+// the email address is the only field required to save
+async function saveDraftRequest(req, res, current) {
+    const { email } = req.body || {};
+
+    if (!isValidEmail(email)) {
+        return res.status(400).json({
+            success: false,
+            message: 'กรุณากรอกอีเมลให้ถูกต้องเพื่อรับลิงก์กรอกใบสมัครต่อ',
+            errors: { email: 'รูปแบบอีเมลไม่ถูกต้อง' }
+        });
+    }
+
+    // Honeypot, fill time, per-email limit and CAPTCHA, as for a submission
+    const rejection = await spam.checkSubmission(req, { scope: 'draft' });
+    if (rejection) {
+        return sendSpamRejection(req, res, rejection);
+    }
+
+    const base = baseUrl();
+    let draft = await drafts.saveDraft(req.body, req.files, current);
+    let link = null;
+    if (drafts.isLinkDue(draft)) {
+        link = await sendDraftLink(draft, base);
+        draft = await drafts.markLinkSent(draft);
+    }
+
+    logger.info(current ? 'Draft updated' : 'Draft saved', { draft_id: draft.id });
+
+    let message = 'บันทึกร่างแล้ว ใช้ลิงก์เดิมในอีเมลกรอกต่อได้';
+    if (link) {
+        message = `บันทึกร่างแล้ว ส่งลิงก์สำหรับกรอกต่อไปที่ ${draft.fields.email}`;
+    } else if (draft.link_email !== draft.fields.email) {
+        message = `บันทึกร่างแล้ว ส่งลิงก์ได้ครั้งละไม่เกินทุก ${drafts.linkIntervalMinutes()} นาที กรุณาบันทึกอีกครั้งภายหลังเพื่อรับลิงก์ที่อีเมลใหม่`;
+    }
+
+    res.json({
+        success: true,
+        message,
+        draft_token: draft.token,
+        link_email: link ? link.status : null,
+        draft: drafts.publicDraft(draft)
+    });
+}
+
+app.post('/api/drafts', requireWritableStore, limitDrafts, applicationUpload, async (req, res) => {
+    try {
+        await saveDraftRequest(req, res, null);
+    } catch (error) {
+        logger.error('Error saving draft', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการบันทึกร่าง'
+        });
+    }
+});
+
+app.get('/api/drafts/:token', async (req, res) => {
+    try {
+        const draft = await drafts.findDraftByToken(req.params.token);
+
+        if (!draft) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบร่างใบสมัคร หรือลิงก์หมดอายุแล้ว'
+            });
+        }
+
+        res.json({ success: true, draft: drafts.publicDraft(draft) });
+
+    } catch (error) {
+        logger.error('Error loading draft', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการดึงร่างใบสมัคร'
+        });
+    }
+});
+
+app.put('/api/drafts/:token', requireWritableStore, limitDrafts, applicationUpload, async (req, res) => {
+    try {
+        const draft = await drafts.findDraftByToken(req.params.token);
+
+        if (!draft) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบร่างใบสมัคร หรือลิงก์หมดอายุแล้ว'
+            });
+        }
+
+        await saveDraftRequest(req, res, draft);
+    } catch (error) {
+        logger.error('Error updating draft', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการบันทึกร่าง'
+        });
+    }
+});
+
+app.delete('/api/drafts/:token', requireWritableStore, async (req, res) => {
+    try {
+        const draft = await drafts.findDraftByToken(req.params.token);
+
+        if (!draft) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบร่างใบสมัคร หรือลิงก์หมดอายุแล้ว'
+            });
+        }
+
+        await drafts.deleteDraft(draft);
+        logger.info('Draft deleted', { draft_id: draft.id });
+
+        res.json({ success: true, message: 'ลบร่างใบสมัครแล้ว' });
+
+    } catch (error) {
+        logger.error('Error deleting draft', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการลบร่างใบสมัคร'
+        });
+    }
+});
+
+// ====================================================
+// APPLICATION STATUS ENDPOINT
+// ====================================================
+
+app.get('/api/applications/:id/status', requireWritableStore, async (req, res) => {
+    try {
+        const { id_card_last4, email } = req.query;
+
+        if (!id_card_last4 && !email) {
+            return res.status(400).json({
+                success: false,
+                message: 'กรุณากรอกเลขบัตรประชาชน 4 หลักสุดท้าย หรืออีเมลที่ใช้สมัคร'
+            });
+        }
+
+        // Counted up front and given back on success, so only failed
+        // lookups use up the per-IP and per-ID limits (lib/spam.js)
+        const now = Date.now();
+        const rejection = await spam.checkStatusLookup(req, req.params.id, { now });
+        if (rejection) {
+            logger.warn('Status lookup rejected', { reason: rejection.reason, ip: req.ip });
+            res.set('Retry-After', String(rejection.retry_after));
+            return res.status(429).json({ success: false, message: rejection.message });
+        }
+
+        const application = await getApplication(req.params.id);
+
+        // Same answer for unknown IDs and wrong second factors
+        if (!application || !verifyApplicant(application, { id_card_last4, email })) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบใบสมัคร หรือข้อมูลยืนยันตัวตนไม่ถูกต้อง'
+            });
+        }
+        await spam.releaseStatusLookup(req, req.params.id, { now });
+
+        res.json({
+            success: true,
+            application_id: application.id,
+            position: application.position,
+            submitted_at: application.submitted_at,
+            status: application.status,
+            status_label: statusLabel(application.status),
+            timeline: publicTimeline(application)
+        });
+
+    } catch (error) {
+        logger.error('Error looking up application status', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการตรวจสอบสถานะ'
+        });
+    }
+});
+
+// ====================================================
+// INTERVIEW CONFIRMATION
+// ====================================================
+
+// The token comes from the link in the candidate's invite email
+function interviewView(slot, application) {
+    return {
+        application_id: application.id,
+        position: application.position,
+        applicant_name: application.personal_info.fullname_th,
+        starts_at: slot.starts_at,
+        ends_at: interviews.endsAt(slot),
+        duration_minutes: slot.duration_minutes,
+        location: slot.location,
+        interviewer_name: slot.interviewer_name,
+        notes: slot.notes,
+        response: slot.response,
+        response_label: interviews.responseLabel(slot.response),
+        responded_at: slot.responded_at,
+        past: interviews.isPast(slot)
+    };
+}
+
+async function findInterview(token) {
+    const slot = await interviews.findSlotByToken(token);
+    const application = slot && await getApplication(slot.application_id);
+    return application ? { slot, application } : null;
+}
+
+app.get('/api/interviews/:token', async (req, res) => {
+    try {
+        const found = await findInterview(req.params.token);
+
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบนัดสัมภาษณ์ หรือลิงก์หมดอายุแล้ว'
+            });
+        }
+
+        res.json({ success: true, interview: interviewView(found.slot, found.application) });
+
+    } catch (error) {
+        logger.error('Error looking up interview', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการดึงข้อมูลนัดสัมภาษณ์'
+        });
+    }
+});
+
+// Candidate confirms or asks for another time; HR gets an email either way
+app.post('/api/interviews/:token/respond', requireWritableStore, async (req, res) => {
+    try {
+        const { response, note } = req.body || {};
+
+        if (!interviews.RESPONSES.includes(response)) {
+            return res.status(400).json({
+                success: false,
+                message: 'กรุณาเลือกยืนยันการเข้าสัมภาษณ์ หรือขอเลื่อนนัด'
+            });
+        }
+
+        const found = await findInterview(req.params.token);
+
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบนัดสัมภาษณ์ หรือลิงก์หมดอายุแล้ว'
+            });
+        }
+
+        if (interviews.isPast(found.slot)) {
+            return res.status(409).json({
+                success: false,
+                message: 'นัดสัมภาษณ์นี้ผ่านไปแล้ว'
+            });
+        }
+
+        const { slot } = await interviews.respondToSlot(found.slot, response, note);
+        await sendInterviewResponse(slot, found.application);
+
+        logger.info('Interview response', { slot_id: slot.id, application_id: found.application.id, response });
+
+        res.json({
+            success: true,
+            message: response === 'confirmed'
+                ? 'ยืนยันการเข้าสัมภาษณ์เรียบร้อยแล้ว'
+                : 'ส่งคำขอเลื่อนนัดแล้ว ทีม HR จะติดต่อกลับเพื่อนัดเวลาใหม่',
+            interview: interviewView(slot, found.application)
+        });
+
+    } catch (error) {
+        logger.error('Error responding to interview', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการบันทึกคำตอบ'
+        });
+    }
+});
+
+// ====================================================
+// SCHEDULED JOBS
+// ====================================================
+
+// Called by a scheduler (e.g. Vercel Cron) with `Authorization: Bearer <CRON_SECRET>`
+app.get('/api/cron/outbox', requireCronSecret, requireWritableStore, async (req, res) => {
+    try {
+        const result = await processOutbox();
+        logger.info('Outbox processed', result);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        logger.error('Error processing outbox', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการส่งอีเมลที่ค้างอยู่'
+        });
+    }
+});
+
+// Deletes drafts (and their files) past DRAFT_TTL_DAYS
+app.get('/api/cron/drafts', requireCronSecret, requireWritableStore, async (req, res) => {
+    try {
+        const removed = await drafts.purgeExpiredDrafts();
+        logger.info('Expired drafts removed', { removed });
+        res.json({ success: true, removed });
+    } catch (error) {
+        logger.error('Error removing expired drafts', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการลบร่างที่หมดอายุ'
+        });
+    }
+});
+
+// Clears submission counters that have left every rate-limit window
+app.get('/api/cron/rate-limits', requireCronSecret, requireWritableStore, async (req, res) => {
+    try {
+        const removed = await spam.purgeExpiredLimits();
+        logger.info('Expired rate limits removed', { removed });
+        res.json({ success: true, removed });
+    } catch (error) {
+        logger.error('Error removing expired rate limits', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการล้างตัวนับการส่งใบสมัคร'
+        });
+    }
+});
+
+// Anonymizes or deletes applications past RETENTION_MONTHS (lib/privacy.js)
+app.get('/api/cron/retention', requireCronSecret, requireWritableStore, async (req, res) => {
+    try {
+        const result = await privacy.applyRetention();
+        if (result.application_ids.length > 0) {
+            await recordAudit({
+                actor: 'cron',
+                action: 'retention.run',
+                application_ids: result.application_ids,
+                details: { action: result.action, months: result.months }
+            });
+        }
+        logger.info('Retention applied', { action: result.action, months: result.months, applications: result.application_ids.length });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        logger.error('Error applying retention', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการลบข้อมูลที่เกินระยะเวลาเก็บรักษา'
+        });
+    }
+});
+
+// ====================================================
+// HR ADMIN API
+// ====================================================
+
+app.use('/api/admin', requireWritableStore, adminRouter);
+
 // ====================================================
 // ERROR HANDLING
 // ====================================================
@@ -922,7 +769,7 @@ app.use((req, res) => {
 });
 
 app.use((err, req, res, next) => {
-    console.error(err.stack);
+    logger.error('Unhandled error', err);
     res.status(500).json({
         success: false,
         message: 'Something went wrong!'
@@ -0,0 +1,1613 @@
+// lib/admin.js - HR ADMIN API
+// ====================================================
+
+const express = require('express');
+const multer = require('multer');
+const { authenticate, requireRole, issueToken } = require('./auth');
+const users = require('./users');
+const positions = require('./positions');
+const { getApplication, updateApplication, listApplications, getApplicationFile } = require('./store');
+const { STATUSES, isValidStatus, statusChange } = require('./status');
+const { filterApplications, sortApplications, paginate, summarizeApplication } = require('./filters');
+const { generateJobApplicationPDF, pdfFilename } = require('./pdf');
+const pdfTemplates = require('./pdf-templates');
+const { sniffFileType } = require('./uploads');
+const outbox = require('./outbox');
+const emailTemplates = require('./email-templates');
+const interviews = require('./interviews');
+const { FORMATS: EXPORT_FORMATS, exportApplications, exportFilename } = require('./export');
+const zipExport = require('./zip-export');
+const privacy = require('./privacy');
+const audit = require('./audit');
+const spam = require('./spam');
+const logger = require('./logger');
+const { maskApplication, revealApplication } = require('./sensitive');
+const {
+    previewEmail,
+    hasStatusEmail,
+    statusEmail,
+    sendStatusEmail,
+    baseUrl,
+    sendInterviewInvites,
+    sendInterviewCancellations
+} = require('./emails');
+
+const router = express.Router();
+
+const logoUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1024 * 1024 }
+}).single('logo');
+
+// Anonymized applications (lib/privacy.js) are kept for statistics only
+const ANONYMIZED_MESSAGE = 'ใบสมัครนี้ถูกลบข้อมูลส่วนบุคคลตามระยะเวลาเก็บรักษาแล้ว';
+const ERASED_MESSAGE = 'ข้อมูลของใบสมัครนี้ถูกลบแล้ว';
+
+// ID card, health and criminal record details are masked in everything
+// below (lib/sensitive.js). `?reveal=true` on the PDF and exports gives
+// the full values to admins; anyone else gets 403. Returns null once the
+// 403 has been sent.
+function readReveal(req, res) {
+    const reveal = req.query.reveal === 'true';
+    if (reveal && !users.hasRole(req.admin, 'admin')) {
+        res.status(403).json({
+            success: false,
+            message: 'เฉพาะผู้ดูแลระบบเท่านั้นที่ดูข้อมูลอ่อนไหวแบบเต็มได้'
+        });
+        return null;
+    }
+    return reveal;
+}
+
+// ====================================================
+// LOGIN
+// ====================================================
+
+router.post('/login', async (req, res) => {
+    try {
+        if (!process.env.AUTH_SECRET) {
+            return res.status(503).json({
+                success: false,
+                message: 'ยังไม่ได้ตั้งค่า AUTH_SECRET'
+            });
+        }
+
+        const { username, password } = req.body || {};
+
+        // Counted up front and given back on success, so only failed
+        // logins use up the per-IP and per-username limits (lib/spam.js)
+        const now = Date.now();
+        const rejection = await spam.checkLogin(req, username, { now });
+        if (rejection) {
+            logger.warn('Admin login rejected', { reason: rejection.reason, ip: req.ip });
+            res.set('Retry-After', String(rejection.retry_after));
+            return res.status(429).json({ success: false, message: rejection.message });
+        }
+
+        await users.ensureBootstrapAdmin();
+        const user = username && password ? await users.authenticateUser(username, password) : null;
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง'
+            });
+        }
+
+        await spam.releaseLogin(req, username, { now });
+        const updated = await users.updateUser(user.username, { last_login_at: new Date().toISOString() });
+        logger.info('Admin login', { username: user.username });
+
+        res.json({
+            success: true,
+            token: issueToken(updated),
+            user: users.publicUser(updated)
+        });
+
+    } catch (error) {
+        logger.error('Error logging in', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการเข้าสู่ระบบ'
+        });
+    }
+});
+
+router.use(authenticate);
+
+router.get('/me', (req, res) => {
+    res.json({ success: true, user: req.admin });
+});
+
+// ====================================================
+// APPLICATIONS
+// ====================================================
+
+router.get('/applications', async (req, res) => {
+    try {
+        const applications = sortApplications(filterApplications(await listApplications(), req.query), req.query);
+        const { items, pagination } = paginate(applications, req.query);
+        await audit.auditRequest(req, 'applications.list', {
+            application_ids: items.map(application => application.id),
+            details: { page: pagination.page, total: pagination.total }
+        });
+
+        res.json({
+            success: true,
+            applications: items.map(summarizeApplication),
+            pagination
+        });
+
+    } catch (error) {
+        logger.error('Error listing applications', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการดึงรายการใบสมัคร'
+        });
+    }
+});
+
+// Same filters and sort as the list, without paging.
+// ?format=csv|xlsx, ?exclude_sensitive=true drops ID card, health and criminal record,
+// ?reveal=true shows them in full (see readReveal).
+router.get('/applications/export', async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        const reveal = readReveal(req, res);
+        if (reveal === null) return;
+
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({
+                success: false,
+                message: `รูปแบบไฟล์ไม่ถูกต้อง (${Object.keys(EXPORT_FORMATS).join(', ')})`
+            });
+        }
+
+        const applications = sortApplications(filterApplications(await listApplications(), req.query), req.query);
+        const includeSensitive = req.query.exclude_sensitive !== 'true';
+        const file = await exportApplications(reveal ? applications : applications.map(maskApplication), format, { includeSensitive });
+        await audit.auditRequest(req, 'applications.export', {
+            application_ids: applications.map(application => application.id),
+            details: { format, include_sensitive: includeSensitive, reveal }
+        });
+
+        logger.info('Applications exported', { count: applications.length, format, include_sensitive: includeSensitive, by: req.admin.username });
+
+        res.attachment(file.filename);
+        res.type(file.contentType);
+        res.send(file.buffer);
+
+    } catch (error) {
+        logger.error('Error exporting applications', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการส่งออกข้อมูล'
+        });
+    }
+});
+
+// `ids` (comma-separated) picks applications directly; otherwise the list
+// filters and sort apply as for the CSV export
+router.get('/applications/export/zip', async (req, res) => {
+    try {
+        const reveal = readReveal(req, res);
+        if (reveal === null) return;
+
+        let applications;
+        if (req.query.ids) {
+            const ids = String(req.query.ids).split(',').map(id => id.trim()).filter(Boolean);
+            applications = (await Promise.all(ids.map(id => getApplication(id)))).filter(Boolean);
+        } else {
+            applications = sortApplications(filterApplications(await listApplications(), req.query), req.query);
+        }
+        applications = applications.filter(application => !privacy.isAnonymized(application));
+
+        if (applications.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบใบสมัครที่จะส่งออก'
+            });
+        }
+
+        const includeSensitive = req.query.exclude_sensitive !== 'true';
+        await audit.auditRequest(req, 'applications.export_zip', {
+            application_ids: applications.map(application => application.id),
+            details: { include_sensitive: includeSensitive, reveal }
+        });
+
+        res.attachment(exportFilename('zip'));
+        res.type(zipExport.CONTENT_TYPE);
+
+        const result = await zipExport.streamApplicationsZip(reveal ? applications : applications.map(maskApplication), res, {
+            includeSensitive,
+            templateId: req.query.template
+        });
+
+        logger.info('Applications exported as ZIP', { exported: result.exported, count: applications.length, cancelled: result.cancelled, by: req.admin.username });
+
+    } catch (error) {
+        logger.error('Error exporting applications ZIP', error);
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการส่งออกข้อมูล'
+        });
+    }
+});
+
+router.get('/applications/:id', async (req, res) => {
+    try {
+        const application = await getApplication(req.params.id);
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบใบสมัคร'
+            });
+        }
+
+        await audit.auditRequest(req, 'application.view', { application_ids: [application.id] });
+        res.json({ success: true, application: maskApplication(application) });
+
+    } catch (error) {
+        logger.error('Error loading application', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการดึงข้อมูลใบสมัคร'
+        });
+    }
+});
+
+// Candidate emails for a status change are sent unless `notify` is false;
+// `email_message` is extra text for the candidate (the HR `note` is not sent)
+function wantsNotification(body) {
+    return body.notify !== false && body.notify !== 'false';
+}
+
+router.patch('/applications/:id/status', requireRole('recruiter'), async (req, res) => {
+    try {
+        const { status, note, email_message } = req.body || {};
+
+        if (!isValidStatus(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `สถานะไม่ถูกต้อง (${STATUSES.join(', ')})`
+            });
+        }
+
+        const application = await getApplication(req.params.id);
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบใบสมัคร'
+            });
+        }
+
+        if (privacy.isAnonymized(application)) {
+            return res.status(409).json({ success: false, message: ANONYMIZED_MESSAGE });
+        }
+
+        const updated = await updateApplication(application.id,
+            statusChange(application, status, { by: req.admin.username, note }));
+
+        logger.info('Application status changed', { application_id: updated.id, status, by: req.admin.username });
+
+        const email = application.status !== status && wantsNotification(req.body)
+            ? await sendStatusEmail(updated, { message: email_message })
+            : null;
+
+        res.json({
+            success: true,
+            application: maskApplication(email ? await getApplication(updated.id) : updated),
+            email: email && outbox.summarizeJob(email)
+        });
+
+    } catch (error) {
+        logger.error('Error updating application status', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการเปลี่ยนสถานะ'
+        });
+    }
+});
+
+// Renders the candidate email a status change would send, without sending it
+router.post('/applications/:id/status/preview', requireRole('recruiter'), async (req, res) => {
+    try {
+        const { status, email_message } = req.body || {};
+
+        if (!isValidStatus(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `สถานะไม่ถูกต้อง (${STATUSES.join(', ')})`
+            });
+        }
+
+        const application = await getApplication(req.params.id);
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบใบสมัคร'
+            });
+        }
+
+        if (!hasStatusEmail(status) || privacy.isAnonymized(application)) {
+            return res.json({ success: true, email: null });
+        }
+
+        const email = await statusEmail(application, status, { message: email_message });
+        await audit.auditRequest(req, 'application.status_preview', {
+            application_ids: [application.id],
+            details: { status }
+        });
+        res.json({
+            success: true,
+            email: { to: application.personal_info.email, ...email }
+        });
+
+    } catch (error) {
+        logger.error('Error previewing status email', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการแสดงตัวอย่างอีเมล'
+        });
+    }
+});
+
+router.post('/applications/bulk-status', requireRole('recruiter'), async (req, res) => {
+    try {
+        const { ids, status, note, email_message } = req.body || {};
+
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'กรุณาเลือกใบสมัครอย่างน้อย 1 รายการ'
+            });
+        }
+
+        if (!isValidStatus(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `สถานะไม่ถูกต้อง (${STATUSES.join(', ')})`
+            });
+        }
+
+        const results = [];
+        for (const id of ids) {
+            const application = await getApplication(id);
+            if (!application) {
+                results.push({ id, success: false, message: 'ไม่พบใบสมัคร' });
+                continue;
+            }
+            if (privacy.isAnonymized(application)) {
+                results.push({ id, success: false, message: ANONYMIZED_MESSAGE });
+                continue;
+            }
+
+            const updated = await updateApplication(application.id,
+                statusChange(application, status, { by: req.admin.username, note }));
+            const email = application.status !== status && wantsNotification(req.body)
+                ? await sendStatusEmail(updated, { message: email_message })
+                : null;
+            results.push({ id: application.id, success: true, email_status: email ? email.status : null });
+        }
+
+        await audit.auditRequest(req, 'applications.bulk_status', {
+            application_ids: results.filter(r => r.success).map(r => r.id),
+            details: { status, requested: ids.length }
+        });
+        logger.info('Application statuses changed', { status, updated: results.filter(r => r.success).length, requested: ids.length, by: req.admin.username });
+
+        res.json({
+            success: true,
+            updated: results.filter(r => r.success).length,
+            results
+        });
+
+    } catch (error) {
+        logger.error('Error updating application statuses', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการเปลี่ยนสถานะ'
+        });
+    }
+});
+
+// Full ID card, health and criminal record details for one application
+router.get('/applications/:id/sensitive', requireRole('admin'), async (req, res) => {
+    try {
+        const application = await getApplication(req.params.id);
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบใบสมัคร'
+            });
+        }
+
+        if (privacy.isAnonymized(application)) {
+            return res.status(409).json({ success: false, message: ANONYMIZED_MESSAGE });
+        }
+
+        await audit.auditRequest(req, 'application.reveal', { application_ids: [application.id] });
+        logger.info('Sensitive fields revealed', { application_id: application.id, by: req.admin.username });
+
+        res.json({ success: true, values: revealApplication(application) });
+
+    } catch (error) {
+        logger.error('Error revealing sensitive fields', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการดึงข้อมูล'
+        });
+    }
+});
+
+// ====================================================
+// DOCUMENTS
+// ====================================================
+
+// ?reveal=true prints the sensitive fields in full (see readReveal)
+router.get('/applications/:id/pdf', async (req, res) => {
+    try {
+        const reveal = readReveal(req, res);
+        if (reveal === null) return;
+
+        const application = await getApplication(req.params.id);
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบใบสมัคร'
+            });
+        }
+
+        if (privacy.isAnonymized(application)) {
+            return res.status(409).json({ success: false, message: ANONYMIZED_MESSAGE });
+        }
+
+        const photo = await getApplicationFile(application, 'photo');
+        const template = await pdfTemplates.resolveTemplate(application, { templateId: req.query.template });
+        const pdfBuffer = await generateJobApplicationPDF(reveal ? application : maskApplication(application), photo && photo.buffer, template);
+        await audit.auditRequest(req, 'application.pdf', { application_ids: [application.id], details: { reveal } });
+
+        res.attachment(pdfFilename(application));
+        res.type('application/pdf');
+        res.send(pdfBuffer);
+
+    } catch (error) {
+        logger.error('Error generating application PDF', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการสร้าง PDF'
+        });
+    }
+});
+
+router.get('/applications/:id/files/:field', async (req, res) => {
+    try {
+        const application = await getApplication(req.params.id);
+
+        if (privacy.isAnonymized(application)) {
+            return res.status(410).json({ success: false, message: ANONYMIZED_MESSAGE });
+        }
+        if (!application && await audit.wasErased(String(req.params.id).trim().toUpperCase())) {
+            return res.status(410).json({ success: false, message: ERASED_MESSAGE });
+        }
+
+        const file = application && ['photo', 'resume'].includes(req.params.field)
+            ? await getApplicationFile(application, req.params.field)
+            : null;
+
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบไฟล์'
+            });
+        }
+
+        await audit.auditRequest(req, 'application.file', {
+            application_ids: [application.id],
+            details: { field: req.params.field }
+        });
+
+        res.attachment(file.originalname);
+        res.type(file.mimetype || 'application/octet-stream');
+        res.send(file.buffer);
+
+    } catch (error) {
+        logger.error('Error loading application file', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการดึงไฟล์'
+        });
+    }
+});
+
+// ====================================================
+// POSITIONS
+// ====================================================
+
+router.get('/positions', async (req, res) => {
+    try {
+        res.json({ success: true, positions: await positions.listPositions() });
+
+    } catch (error) {
+        logger.error('Error listing positions', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการดึงตำแหน่งงาน'
+        });
+    }
+});
+
+router.post('/positions', requireRole('admin'), async (req, res) => {
+    try {
+        const input = req.body || {};
+        const error = positions.validatePosition(positions.buildPosition(input));
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        if (input.id && await positions.getPosition(input.id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'รหัสตำแหน่งนี้มีอยู่แล้ว'
+            });
+        }
+
+        const position = await positions.createPosition(input);
+        logger.info('Position created', { position_id: position.id, by: req.admin.username });
+
+        res.status(201).json({ success: true, position });
+
+    } catch (error) {
+        logger.error('Error creating position', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการสร้างตำแหน่งงาน'
+        });
+    }
+});
+
+router.patch('/positions/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const current = await positions.getPosition(req.params.id);
+
+        if (!current) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบตำแหน่งงาน'
+            });
+        }
+
+        const error = positions.validatePosition(positions.buildPosition(req.body || {}, current));
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const position = await positions.updatePosition(current.id, req.body || {});
+        logger.info('Position updated', { position_id: position.id, by: req.admin.username });
+
+        res.json({ success: true, position });
+
+    } catch (error) {
+        logger.error('Error updating position', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการแก้ไขตำแหน่งงาน'
+        });
+    }
+});
+
+router.delete('/positions/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const removed = await positions.deletePosition(req.params.id);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบตำแหน่งงาน'
+            });
+        }
+
+        logger.info('Position deleted', { position_id: req.params.id, by: req.admin.username });
+        res.json({ success: true });
+
+    } catch (error) {
+        logger.error('Error deleting position', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการลบตำแหน่งงาน'
+        });
+    }
+});
+
+// ====================================================
+// INTERVIEW SLOTS
+// ====================================================
+
+// Frees an assigned slot and sends the cancelled invites
+async function cancelInterview(slot) {
+    const application = await getApplication(slot.application_id);
+    const released = await interviews.releaseSlot(slot);
+    return application ? sendInterviewCancellations(released, application) : [];
+}
+
+router.get('/interview-slots', async (req, res) => {
+    try {
+        const { position_id, application_id, available } = req.query;
+        const slots = await interviews.listSlots({
+            position_id,
+            application_id,
+            available: available === 'true'
+        });
+
+        res.json({ success: true, slots: slots.map(interviews.publicSlot) });
+
+    } catch (error) {
+        logger.error('Error listing interview slots', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการดึงช่วงเวลาสัมภาษณ์'
+        });
+    }
+});
+
+router.post('/interview-slots', requireRole('recruiter'), async (req, res) => {
+    try {
+        const input = req.body || {};
+        const slot = interviews.buildSlot(input);
+        const error = interviews.validateSlot(slot);
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        if (interviews.isPast(slot)) {
+            return res.status(400).json({
+                success: false,
+                message: 'วันเวลาสัมภาษณ์ต้องเป็นเวลาในอนาคต'
+            });
+        }
+
+        if (!(await positions.getPosition(slot.position_id))) {
+            return res.status(400).json({
+                success: false,
+                message: 'ไม่พบตำแหน่งงาน'
+            });
+        }
+
+        const created = await interviews.createSlot(input, { by: req.admin.username });
+        logger.info('Interview slot created', { slot_id: created.id, by: req.admin.username });
+
+        res.status(201).json({ success: true, slot: interviews.publicSlot(created) });
+
+    } catch (error) {
+        logger.error('Error creating interview slot', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการสร้างช่วงเวลาสัมภาษณ์'
+        });
+    }
+});
+
+// Moving a booked slot sends updated invites to both people
+router.patch('/interview-slots/:id', requireRole('recruiter'), async (req, res) => {
+    try {
+        const current = await interviews.getSlot(req.params.id);
+
+        if (!current) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบช่วงเวลาสัมภาษณ์'
+            });
+        }
+
+        const input = req.body || {};
+        const changed = interviews.buildSlot(input, current);
+        const error = interviews.validateSlot(changed);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        if (current.application_id && changed.position_id !== current.position_id) {
+            return res.status(409).json({
+                success: false,
+                message: 'เปลี่ยนตำแหน่งของช่วงเวลาที่มีผู้สมัครแล้วไม่ได้'
+            });
+        }
+
+        if (changed.starts_at !== current.starts_at && interviews.isPast(changed)) {
+            return res.status(400).json({
+                success: false,
+                message: 'วันเวลาสัมภาษณ์ต้องเป็นเวลาในอนาคต'
+            });
+        }
+
+        // Only a booked slot that moves emails a link
+        const base = current.application_id ? baseUrl() : null;
+        const { slot, application, moved } = await interviews.updateSlot(current, input);
+        const emails = moved && application ? await sendInterviewInvites(slot, application, base) : [];
+
+        logger.info('Interview slot updated', { slot_id: slot.id, by: req.admin.username });
+
+        res.json({
+            success: true,
+            slot: interviews.publicSlot(slot),
+            emails: emails.map(outbox.summarizeJob)
+        });
+
+    } catch (error) {
+        logger.error('Error updating interview slot', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการแก้ไขช่วงเวลาสัมภาษณ์'
+        });
+    }
+});
+
+router.delete('/interview-slots/:id', requireRole('recruiter'), async (req, res) => {
+    try {
+        const slot = await interviews.getSlot(req.params.id);
+
+        if (!slot) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบช่วงเวลาสัมภาษณ์'
+            });
+        }
+
+        const emails = slot.application_id && !interviews.isPast(slot) ? await cancelInterview(slot) : [];
+        await interviews.deleteSlot(slot.id);
+
+        logger.info('Interview slot deleted', { slot_id: slot.id, by: req.admin.username });
+        res.json({ success: true, emails: emails.map(outbox.summarizeJob) });
+
+    } catch (error) {
+        logger.error('Error deleting interview slot', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการลบช่วงเวลาสัมภาษณ์'
+        });
+    }
+});
+
+// Books the slot for an application and emails both invites. Assigning
+// the slot the application already holds sends the invites again.
+router.post('/interview-slots/:id/assign', requireRole('recruiter'), async (req, res) => {
+    try {
+        const slot = await interviews.getSlot(req.params.id);
+
+        if (!slot) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบช่วงเวลาสัมภาษณ์'
+            });
+        }
+
+        const application = await getApplication((req.body || {}).application_id);
+
+        if (!application) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบใบสมัคร'
+            });
+        }
+
+        if (privacy.isAnonymized(application)) {
+            return res.status(409).json({ success: false, message: ANONYMIZED_MESSAGE });
+        }
+
+        const error = interviews.checkAssignable(slot, application);
+        if (error) {
+            return res.status(409).json({ success: false, message: error });
+        }
+
+        const base = baseUrl();
+        const result = await interviews.assignSlot(slot, application, { by: req.admin.username });
+        const emails = [];
+        if (result.released && !interviews.isPast(result.released)) {
+            emails.push(...await sendInterviewCancellations(result.released, result.application));
+        }
+        emails.push(...await sendInterviewInvites(result.slot, result.application, base));
+
+        logger.info('Interview slot assigned', { slot_id: slot.id, application_id: application.id, by: req.admin.username });
+
+        res.json({
+            success: true,
+            slot: interviews.publicSlot(result.slot),
+            application: maskApplication(await getApplication(application.id)),
+            emails: emails.map(outbox.summarizeJob)
+        });
+
+    } catch (error) {
+        logger.error('Error assigning interview slot', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการนัดสัมภาษณ์'
+        });
+    }
+});
+
+router.delete('/interview-slots/:id/assign', requireRole('recruiter'), async (req, res) => {
+    try {
+        const slot = await interviews.getSlot(req.params.id);
+
+        if (!slot || !slot.application_id) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบนัดสัมภาษณ์'
+            });
+        }
+
+        const emails = await cancelInterview(slot);
+        logger.info('Interview slot released', { slot_id: slot.id, application_id: slot.application_id, by: req.admin.username });
+
+        res.json({
+            success: true,
+            slot: interviews.publicSlot(await interviews.getSlot(slot.id)),
+            emails: emails.map(outbox.summarizeJob)
+        });
+
+    } catch (error) {
+        logger.error('Error cancelling interview', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการยกเลิกนัดสัมภาษณ์'
+        });
+    }
+});
+
+// ====================================================
+// EMAIL OUTBOX
+// ====================================================
+
+// ?status=queued|sent|failed&application_id=APP...
+router.get('/emails', async (req, res) => {
+    try {
+        const { status, application_id } = req.query;
+
+        if (status && !outbox.EMAIL_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `สถานะไม่ถูกต้อง (${outbox.EMAIL_STATUSES.join(', ')})`
+            });
+        }
+
+        const emails = await outbox.listEmails({ status, application_id });
+        await audit.auditRequest(req, 'emails.list', {
+            application_ids: [...new Set(emails.map(email => email.application_id).filter(Boolean))],
+            details: { status: status || null, application_id: application_id || null, total: emails.length }
+        });
+        res.json({ success: true, emails });
+
+    } catch (error) {
+        logger.error('Error listing emails', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการดึงรายการอีเมล'
+        });
+    }
+});
+
+router.get('/emails/:id', async (req, res) => {
+    try {
+        const job = await outbox.getEmail(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบอีเมล'
+            });
+        }
+
+        await audit.auditRequest(req, 'email.view', {
+            application_ids: job.application_id ? [job.application_id] : [],
+            details: { email_id: job.id, kind: job.kind }
+        });
+
+        res.json({
+            success: true,
+            email: {
+                ...outbox.summarizeJob(job),
+                html: job.html,
+                attachments: job.attachments.map(({ filename, contentType }) => ({ filename, contentType }))
+            }
+        });
+
+    } catch (error) {
+        logger.error('Error loading email', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการดึงข้อมูลอีเมล'
+        });
+    }
+});
+
+router.post('/emails/:id/resend', requireRole('recruiter'), async (req, res) => {
+    try {
+        const job = await outbox.getEmail(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบอีเมล'
+            });
+        }
+        if (job.status !== 'failed') {
+            return res.status(409).json({
+                success: false,
+                message: 'ส่งซ้ำได้เฉพาะอีเมลที่ส่งไม่สำเร็จ'
+            });
+        }
+
+        const updated = await outbox.resendEmail(job.id);
+        if (!updated) {
+            return res.status(409).json({
+                success: false,
+                message: 'อีเมลนี้กำลังส่งอยู่'
+            });
+        }
+        logger.info('Email resent', { email_id: job.id, status: updated.status, by: req.admin.username });
+
+        res.json({ success: true, email: outbox.summarizeJob(updated) });
+
+    } catch (error) {
+        logger.error('Error resending email', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการส่งอีเมลซ้ำ'
+        });
+    }
+});
+
+// Runs the retry queue now instead of waiting for the scheduler
+router.post('/emails/process', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await outbox.processOutbox();
+        logger.info('Outbox processed', { ...result, by: req.admin.username });
+
+        res.json({ success: true, ...result });
+
+    } catch (error) {
+        logger.error('Error processing outbox', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการส่งอีเมลที่ค้างอยู่'
+        });
+    }
+});
+
+// ====================================================
+// EMAIL TEMPLATES
+// ====================================================
+
+router.get('/email-templates', async (req, res) => {
+    try {
+        const templates = await emailTemplates.listTemplates();
+        res.json({
+            success: true,
+            templates,
+            locales: emailTemplates.LOCALES,
+            variables: emailTemplates.VARIABLES
+        });
+
+    } catch (error) {
+        logger.error('Error listing email templates', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการดึงเทมเพลตอีเมล'
+        });
+    }
+});
+
+router.get('/email-templates/:locale/:name', async (req, res) => {
+    try {
+        const template = await emailTemplates.getTemplate(req.params.locale, req.params.name);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบเทมเพลตอีเมล'
+            });
+        }
+
+        res.json({ success: true, template });
+
+    } catch (error) {
+        logger.error('Error loading email template', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการดึงเทมเพลตอีเมล'
+        });
+    }
+});
+
+router.put('/email-templates/:locale/:name', requireRole('admin'), async (req, res) => {
+    try {
+        const { locale, name } = req.params;
+        const { source } = req.body || {};
+
+        if (!emailTemplates.isKnownTemplate(locale, name)) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบเทมเพลตอีเมล'
+            });
+        }
+
+        const error = emailTemplates.validateSource(source);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const template = await emailTemplates.saveTemplate(locale, name, source, { by: req.admin.username });
+        logger.info('Email template updated', { locale, name, by: req.admin.username });
+
+        res.json({ success: true, template });
+
+    } catch (error) {
+        logger.error('Error saving email template', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการบันทึกเทมเพลตอีเมล'
+        });
+    }
+});
+
+// Drops the edited copy so the bundled file is used again
+router.delete('/email-templates/:locale/:name', requireRole('admin'), async (req, res) => {
+    try {
+        const template = await emailTemplates.resetTemplate(req.params.locale, req.params.name);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบเทมเพลตอีเมล'
+            });
+        }
+
+        logger.info('Email template reset', { locale: req.params.locale, name: req.params.name, by: req.admin.username });
+        res.json({ success: true, template });
+
+    } catch (error) {
+        logger.error('Error resetting email template', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการคืนค่าเทมเพลตอีเมล'
+        });
+    }
+});
+
+// Body `{ source }` previews unsaved changes; without it the current template
+router.post('/email-templates/:locale/:name/preview', async (req, res) => {
+    try {
+        const { locale, name } = req.params;
+        const { source } = req.body || {};
+
+        if (!emailTemplates.isKnownTemplate(locale, name)) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบเทมเพลตอีเมล'
+            });
+        }
+
+        if (source !== undefined) {
+            const error = emailTemplates.validateSource(source);
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+        }
+
+        const preview = await previewEmail(locale, name, source);
+        res.json({ success: true, ...preview });
+
+    } catch (error) {
+        logger.error('Error previewing email template', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการแสดงตัวอย่างอีเมล'
+        });
+    }
+});
+
+// ====================================================
+// PDF TEMPLATES
+// ====================================================
+
+router.get('/pdf-templates', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            templates: await pdfTemplates.listTemplates(),
+            defaults: pdfTemplates.DEFAULT_TEMPLATE,
+            sections: pdfTemplates.SECTION_KEYS,
+            languages: pdfTemplates.LANGUAGES
+        });
+
+    } catch (error) {
+        logger.error('Error listing PDF templates', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการดึงเทมเพลต PDF'
+        });
+    }
+});
+
+router.post('/pdf-templates', requireRole('admin'), async (req, res) => {
+    try {
+        const input = req.body || {};
+        const error = pdfTemplates.validateTemplate(pdfTemplates.buildTemplate(input));
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        if (input.id && await pdfTemplates.getTemplate(input.id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'รหัสเทมเพลตนี้มีอยู่แล้ว'
+            });
+        }
+
+        const template = await pdfTemplates.createTemplate(input);
+        logger.info('PDF template created', { template_id: template.id, by: req.admin.username });
+
+        res.status(201).json({ success: true, template });
+
+    } catch (error) {
+        logger.error('Error creating PDF template', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการสร้างเทมเพลต PDF'
+        });
+    }
+});
+
+router.patch('/pdf-templates/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const current = await pdfTemplates.getTemplate(req.params.id);
+
+        if (!current) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบเทมเพลต PDF'
+            });
+        }
+
+        const error = pdfTemplates.validateTemplate(pdfTemplates.buildTemplate(req.body || {}, current));
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const template = await pdfTemplates.updateTemplate(current.id, req.body || {});
+        logger.info('PDF template updated', { template_id: template.id, by: req.admin.username });
+
+        res.json({ success: true, template });
+
+    } catch (error) {
+        logger.error('Error updating PDF template', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการแก้ไขเทมเพลต PDF'
+        });
+    }
+});
+
+router.delete('/pdf-templates/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const removed = await pdfTemplates.deleteTemplate(req.params.id);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบเทมเพลต PDF'
+            });
+        }
+
+        logger.info('PDF template deleted', { template_id: req.params.id, by: req.admin.username });
+        res.json({ success: true });
+
+    } catch (error) {
+        logger.error('Error deleting PDF template', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการลบเทมเพลต PDF'
+        });
+    }
+});
+
+// Multipart field "logo": PNG or JPEG up to 1 MB
+router.put('/pdf-templates/:id/logo', requireRole('admin'), (req, res, next) => {
+    logoUpload(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.code === 'LIMIT_FILE_SIZE' ? 'ไฟล์โลโก้ต้องไม่เกิน 1MB' : 'อัปโหลดโลโก้ไม่สำเร็จ'
+            });
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        // Trust the file's bytes, not the browser's MIME type
+        const mimetype = { jpeg: 'image/jpeg', png: 'image/png' }[req.file && sniffFileType(req.file.buffer)];
+
+        if (!mimetype) {
+            return res.status(400).json({
+                success: false,
+                message: 'กรุณาอัปโหลดโลโก้เป็นไฟล์ PNG หรือ JPG'
+            });
+        }
+
+        const template = await pdfTemplates.setTemplateLogo(req.params.id, { ...req.file, mimetype });
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบเทมเพลต PDF'
+            });
+        }
+
+        logger.info('PDF template logo updated', { template_id: template.id, by: req.admin.username });
+        res.json({ success: true, template });
+
+    } catch (error) {
+        logger.error('Error uploading PDF template logo', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการอัปโหลดโลโก้'
+        });
+    }
+});
+
+router.delete('/pdf-templates/:id/logo', requireRole('admin'), async (req, res) => {
+    try {
+        const template = await pdfTemplates.removeTemplateLogo(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบเทมเพลต PDF'
+            });
+        }
+
+        logger.info('PDF template logo removed', { template_id: template.id, by: req.admin.username });
+        res.json({ success: true, template });
+
+    } catch (error) {
+        logger.error('Error removing PDF template logo', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการลบโลโก้'
+        });
+    }
+});
+
+// Renders a sample application with the template. "default" works even
+// before it has been saved, showing the built-in look.
+router.get('/pdf-templates/:id/preview', async (req, res) => {
+    try {
+        const stored = await pdfTemplates.getTemplate(req.params.id);
+
+        if (!stored && req.params.id !== pdfTemplates.DEFAULT_TEMPLATE.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบเทมเพลต PDF'
+            });
+        }
+
+        const template = await pdfTemplates.renderTemplate(stored);
+        const pdfBuffer = await generateJobApplicationPDF(pdfTemplates.SAMPLE_APPLICATION, null, template);
+
+        res.type('application/pdf');
+        res.set('Content-Disposition', `inline; filename="Preview_${req.params.id}.pdf"`);
+        res.send(pdfBuffer);
+
+    } catch (error) {
+        logger.error('Error previewing PDF template', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการสร้าง PDF'
+        });
+    }
+});
+
+// ====================================================
+// PERSONAL DATA (PDPA, admin only)
+// ====================================================
+
+// `id_card` and/or `email` from the query (GET) or body (POST)
+function readSubject(req, res) {
+    const query = privacy.subjectQuery(req.method === 'GET' ? req.query : req.body || {});
+    if (!query) {
+        res.status(400).json({
+            success: false,
+            message: 'กรุณาระบุเลขบัตรประชาชน 13 หลัก หรืออีเมลของเจ้าของข้อมูล'
+        });
+    }
+    return query;
+}
+
+router.get('/data-subjects', requireRole('admin'), async (req, res) => {
+    try {
+        const query = readSubject(req, res);
+        if (!query) return;
+
+        const applications = await privacy.findSubjectApplications(query);
+        const drafts = await privacy.findSubjectDrafts(query);
+        await audit.auditRequest(req, 'subject.search', {
+            application_ids: applications.map(application => application.id),
+            details: privacy.maskedSubject(query)
+        });
+
+        res.json({
+            success: true,
+            applications: applications.map(summarizeApplication),
+            drafts: drafts.length
+        });
+
+    } catch (error) {
+        logger.error('Error finding data subject', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการค้นหาข้อมูล'
+        });
+    }
+});
+
+// ZIP of data.json and every uploaded file, for an access request
+router.get('/data-subjects/export', requireRole('admin'), async (req, res) => {
+    try {
+        const query = readSubject(req, res);
+        if (!query) return;
+
+        const applications = await privacy.findSubjectApplications(query);
+        const drafts = await privacy.findSubjectDrafts(query);
+
+        if (applications.length === 0 && drafts.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบข้อมูลของบุคคลนี้'
+            });
+        }
+
+        await audit.auditRequest(req, 'subject.export', {
+            application_ids: applications.map(application => application.id),
+            details: { ...privacy.maskedSubject(query), drafts: drafts.length }
+        });
+
+        res.attachment(exportFilename('zip', new Date(), 'personal_data'));
+        res.type(zipExport.CONTENT_TYPE);
+        await privacy.streamSubjectExport(applications, drafts, res);
+
+        logger.info('Personal data exported', { applications: applications.length, by: req.admin.username });
+
+    } catch (error) {
+        logger.error('Error exporting personal data', error);
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการส่งออกข้อมูล'
+        });
+    }
+});
+
+// Body `{ id_card, email, reason }`. Cannot be undone.
+router.post('/data-subjects/erase', requireRole('admin'), async (req, res) => {
+    try {
+        const query = readSubject(req, res);
+        if (!query) return;
+
+        const result = await privacy.eraseSubject(query);
+
+        if (result.application_ids.length === 0 && result.drafts === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบข้อมูลของบุคคลนี้'
+            });
+        }
+
+        await audit.auditRequest(req, 'subject.erase', {
+            application_ids: result.application_ids,
+            details: {
+                ...privacy.maskedSubject(query),
+                drafts: result.drafts,
+                reason: String((req.body || {}).reason || '').trim().slice(0, 500)
+            }
+        });
+
+        logger.info('Personal data erased', { applications: result.application_ids.length, drafts: result.drafts, by: req.admin.username });
+        res.json({ success: true, ...result });
+
+    } catch (error) {
+        logger.error('Error erasing personal data', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการลบข้อมูล'
+        });
+    }
+});
+
+// Settings and how many applications the next run would process
+router.get('/retention', requireRole('admin'), async (req, res) => {
+    try {
+        const due = await privacy.dueForRetention();
+        res.json({
+            success: true,
+            months: privacy.retentionMonths(),
+            action: privacy.retentionAction(),
+            due: due.length
+        });
+
+    } catch (error) {
+        logger.error('Error checking retention', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการตรวจสอบระยะเวลาเก็บรักษา'
+        });
+    }
+});
+
+// Runs the retention job now instead of waiting for the scheduler
+router.post('/retention/run', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await privacy.applyRetention();
+        if (result.application_ids.length > 0) {
+            await audit.auditRequest(req, 'retention.run', {
+                application_ids: result.application_ids,
+                details: { action: result.action, months: result.months }
+            });
+        }
+
+        logger.info('Retention applied', { action: result.action, months: result.months, applications: result.application_ids.length, by: req.admin.username });
+        res.json({ success: true, ...result });
+
+    } catch (error) {
+        logger.error('Error applying retention', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการลบข้อมูลที่เกินระยะเวลาเก็บรักษา'
+        });
+    }
+});
+
+// ?action=&actor=&application_id=, paged like the application list
+router.get('/audit-log', requireRole('admin'), async (req, res) => {
+    try {
+        const { items, pagination } = paginate(await audit.listAuditLog(req.query), req.query);
+        res.json({ success: true, entries: items, pagination });
+
+    } catch (error) {
+        logger.error('Error listing audit log', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการดึงบันทึกการเข้าถึงข้อมูล'
+        });
+    }
+});
+
+// ====================================================
+// USERS (admin only)
+// ====================================================
+
+router.get('/users', requireRole('admin'), async (req, res) => {
+    try {
+        const all = await users.listUsers();
+        res.json({ success: true, users: all.map(users.publicUser) });
+
+    } catch (error) {
+        logger.error('Error listing users', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการดึงรายชื่อผู้ใช้'
+        });
+    }
+});
+
+router.post('/users', requireRole('admin'), async (req, res) => {
+    try {
+        const { username, password, role, name } = req.body || {};
+        const error = users.validateUserInput({ username, password, role });
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        if (await users.getUser(username)) {
+            return res.status(409).json({
+                success: false,
+                message: 'ชื่อผู้ใช้นี้มีอยู่แล้ว'
+            });
+        }
+
+        const user = await users.createUser({ username, password, role, name });
+        logger.info('User created', { username: user.username, role: user.role, by: req.admin.username });
+
+        res.status(201).json({ success: true, user: users.publicUser(user) });
+
+    } catch (error) {
+        logger.error('Error creating user', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการสร้างผู้ใช้'
+        });
+    }
+});
+
+router.patch('/users/:username', requireRole('admin'), async (req, res) => {
+    try {
+        const { password, role, name, active } = req.body || {};
+        const error = users.validateUserInput({ password, role, active }, { partial: true });
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const self = req.params.username.trim().toLowerCase() === req.admin.username;
+        if (self && ((role !== undefined && role !== 'admin') || String(active) === 'false')) {
+            return res.status(400).json({
+                success: false,
+                message: 'ไม่สามารถลดสิทธิ์หรือปิดการใช้งานบัญชีของตัวเองได้'
+            });
+        }
+
+        const user = await users.updateUser(req.params.username, { password, role, name, active });
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบผู้ใช้'
+            });
+        }
+
+        logger.info('User updated', { username: user.username, by: req.admin.username });
+        res.json({ success: true, user: users.publicUser(user) });
+
+    } catch (error) {
+        logger.error('Error updating user', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการแก้ไขผู้ใช้'
+        });
+    }
+});
+
+router.delete('/users/:username', requireRole('admin'), async (req, res) => {
+    try {
+        if (req.params.username.trim().toLowerCase() === req.admin.username) {
+            return res.status(400).json({
+                success: false,
+                message: 'ไม่สามารถลบบัญชีของตัวเองได้'
+            });
+        }
+
+        const removed = await users.deleteUser(req.params.username);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'ไม่พบผู้ใช้'
+            });
+        }
+
+        logger.info('User deleted', { username: req.params.username, by: req.admin.username });
+        res.json({ success: true });
+
+    } catch (error) {
+        logger.error('Error deleting user', error);
+        res.status(500).json({
+            success: false,
+            message: 'เกิดข้อผิดพลาดในการลบผู้ใช้'
+        });
+    }
+});
+
+module.exports = router;
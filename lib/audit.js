@@ -0,0 +1,78 @@
+// lib/audit.js - PERSONAL DATA AUDIT LOG
+// ====================================================
+//
+// One entry in the "audit-log" collection each time someone opens,
+// downloads, exports or erases applicant data, and for every retention
+// run. Entries hold who, what, when, from where and which application
+// IDs, never the personal data itself, so they can be kept after the
+// applications they point at are gone.
+//
+// Actions: application.view / .pdf / .file / .reveal / .status_preview,
+// applications.list / .export / .export_zip / .bulk_status, email.view,
+// emails.list,
+// subject.search / .export / .erase, retention.run
+
+const { getStore } = require('./store');
+
+function entries(store) {
+    return store.collection('audit-log');
+}
+
+let sequence = 0;
+
+function newEntryId() {
+    sequence = (sequence + 1) % 1000;
+    return `AUDIT${Date.now()}${String(sequence).padStart(3, '0')}`;
+}
+
+// `actor` is an admin username, or "cron" / "system"
+async function recordAudit({ actor, role = null, action, application_ids = [], details = {}, ip = null }, store = getStore()) {
+    const entry = {
+        id: newEntryId(),
+        at: new Date().toISOString(),
+        actor,
+        role,
+        action,
+        application_ids,
+        details,
+        ip
+    };
+    await entries(store).put(entry.id, entry);
+    return entry;
+}
+
+// For admin routes: actor and IP come from the request
+function auditRequest(req, action, { application_ids = [], details = {} } = {}, store = getStore()) {
+    return recordAudit({
+        actor: req.admin.username,
+        role: req.admin.role,
+        action,
+        application_ids,
+        details,
+        ip: req.ip
+    }, store);
+}
+
+// Newest first
+async function listAuditLog({ action, actor, application_id } = {}, store = getStore()) {
+    return (await entries(store).list())
+        .filter(entry => !action || entry.action === action)
+        .filter(entry => !actor || entry.actor === actor)
+        .filter(entry => !application_id || entry.application_ids.includes(application_id))
+        .sort((a, b) => b.at.localeCompare(a.at) || b.id.localeCompare(a.id));
+}
+
+// True when the log shows the application was erased on request or
+// deleted by retention, so a missing record can be told from a wrong ID
+async function wasErased(applicationId, store = getStore()) {
+    return (await entries(store).list()).some(entry =>
+        (entry.action === 'subject.erase' || (entry.action === 'retention.run' && entry.details.action === 'delete')) &&
+        entry.application_ids.includes(applicationId));
+}
+
+module.exports = {
+    recordAudit,
+    auditRequest,
+    listAuditLog,
+    wasErased
+};
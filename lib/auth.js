@@ -0,0 +1,121 @@
+// lib/auth.js - ADMIN AUTHENTICATION
+// ====================================================
+//
+// HR users log in with username/password and get a signed JWT.
+// Admin routes send it as `Authorization: Bearer <token>`; the user is
+// re-read from the store on every request so disabling an account or
+// changing its role takes effect immediately.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getUser, hasRole, publicUser } = require('./users');
+
+const TOKEN_TTL = process.env.AUTH_TOKEN_TTL || '8h';
+
+function authSecret() {
+    return process.env.AUTH_SECRET;
+}
+
+function bearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+function issueToken(user) {
+    return jwt.sign({ sub: user.username, role: user.role }, authSecret(), { expiresIn: TOKEN_TTL });
+}
+
+async function authenticate(req, res, next) {
+    if (!authSecret()) {
+        return res.status(503).json({
+            success: false,
+            message: 'ยังไม่ได้ตั้งค่า AUTH_SECRET'
+        });
+    }
+
+    const token = bearerToken(req);
+    let payload = null;
+    if (token) {
+        try {
+            payload = jwt.verify(token, authSecret());
+        } catch (error) {
+            payload = null;
+        }
+    }
+
+    const user = payload && await getUser(payload.sub);
+    if (!user || user.active === false) {
+        return res.status(401).json({
+            success: false,
+            message: 'กรุณาเข้าสู่ระบบ'
+        });
+    }
+
+    req.admin = publicUser(user);
+    next();
+}
+
+// requireRole('recruiter') lets recruiters and admins through
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!hasRole(req.admin, role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'คุณไม่มีสิทธิ์ดำเนินการนี้'
+            });
+        }
+        next();
+    };
+}
+
+// ====================================================
+// SCHEDULED JOBS
+// ====================================================
+
+// Cron endpoints take `Authorization: Bearer <CRON_SECRET>` (what Vercel
+// Cron sends). Without CRON_SECRET they are switched off.
+function requireCronSecret(req, res, next) {
+    const secret = process.env.CRON_SECRET;
+    const token = Buffer.from(bearerToken(req) || '');
+
+    if (!secret) {
+        return res.status(503).json({
+            success: false,
+            message: 'ยังไม่ได้ตั้งค่า CRON_SECRET'
+        });
+    }
+    if (token.length !== Buffer.byteLength(secret) || !crypto.timingSafeEqual(token, Buffer.from(secret))) {
+        return res.status(401).json({
+            success: false,
+            message: 'ไม่มีสิทธิ์เรียกใช้งาน'
+        });
+    }
+    next();
+}
+
+// ====================================================
+// CORS
+// ====================================================
+
+// Admin routes only answer cross-origin requests from ADMIN_CORS_ORIGINS
+// (comma separated). Same-origin use of /admin needs no entry.
+function adminCorsOptions() {
+    const allowlist = (process.env.ADMIN_CORS_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean);
+
+    return {
+        origin: (origin, callback) => callback(null, !origin || allowlist.includes(origin))
+    };
+}
+
+module.exports = {
+    bearerToken,
+    issueToken,
+    authenticate,
+    requireRole,
+    requireCronSecret,
+    adminCorsOptions
+};
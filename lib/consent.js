@@ -0,0 +1,89 @@
+// lib/consent.js - PDPA CONSENT
+// ====================================================
+//
+// The privacy notice and consent checkboxes shown on the form. index.html
+// loads them from GET /api/consent and posts back `consent_version` with
+// the ticked `consent_<id>` boxes, so the form can never show wording the
+// server does not know about. Each application stores the version, the
+// exact wording accepted and when.
+//
+// Changing any text below means bumping CONSENT_VERSION: applicants with
+// the old page open are then asked to reload before they can submit.
+
+const { isChecked } = require('./validation');
+
+const CONSENT_VERSION = '1';
+
+const CONSENT_ITEMS = [
+    {
+        id: 'privacy',
+        required: true,
+        text: 'ข้าพเจ้าได้อ่านและรับทราบประกาศความเป็นส่วนตัวสำหรับผู้สมัครงานแล้ว และยินยอมให้บริษัทฯ ' +
+            'เก็บรวบรวมและใช้ข้อมูลส่วนบุคคลของข้าพเจ้าเพื่อพิจารณารับสมัครงานและติดต่อกลับ'
+    },
+    {
+        id: 'sensitive',
+        required: true,
+        text: 'ข้าพเจ้ายินยอมให้บริษัทฯ เก็บรวบรวมและใช้ข้อมูลส่วนบุคคลที่มีความอ่อนไหว ได้แก่ ศาสนา ' +
+            'ข้อมูลสุขภาพ (โรคประจำตัว) และประวัติอาชญากรรม เพื่อประกอบการพิจารณาความเหมาะสมกับตำแหน่งงานเท่านั้น'
+    }
+];
+
+function retentionText(months) {
+    return months > 0
+        ? `บริษัทฯ เก็บใบสมัครไว้ไม่เกิน ${months} เดือนนับจากการพิจารณาครั้งล่าสุด แล้วจึงลบหรือทำให้ไม่สามารถระบุตัวตนได้ ` +
+            'เว้นแต่ท่านได้รับการคัดเลือกเข้าทำงาน'
+        : 'บริษัทฯ เก็บใบสมัครไว้เท่าที่จำเป็นต่อการพิจารณารับสมัครงาน';
+}
+
+// Short notice shown above the checkboxes
+function privacyNotice(retentionMonths) {
+    return [
+        'ข้อมูลที่เก็บ: ข้อมูลในแบบฟอร์มนี้ รูปถ่าย และเรซูเม่ที่ท่านแนบ',
+        'วัตถุประสงค์: พิจารณาคุณสมบัติ ติดต่อนัดสัมภาษณ์ และแจ้งผลการสมัคร ข้อมูลจะเปิดเผยเฉพาะเจ้าหน้าที่ที่เกี่ยวข้องกับการสรรหาเท่านั้น',
+        `ระยะเวลาเก็บรักษา: ${retentionText(retentionMonths)}`,
+        'สิทธิของท่าน: ขอเข้าถึงหรือขอสำเนาข้อมูล ขอแก้ไข ขอลบ และถอนความยินยอมได้ โดยติดต่อฝ่ายบุคคลทางอีเมลที่ได้รับหลังส่งใบสมัคร'
+    ];
+}
+
+// What GET /api/consent returns to the form
+function publicConsent(retentionMonths) {
+    return {
+        version: CONSENT_VERSION,
+        notice: privacyNotice(retentionMonths),
+        items: CONSENT_ITEMS.map(item => ({ ...item, field: `consent_${item.id}` }))
+    };
+}
+
+// Returns { field: Thai message } like validateApplication
+function validateConsent(body = {}) {
+    if (String(body.consent_version || '') !== CONSENT_VERSION) {
+        return { consent_version: 'ข้อความขอความยินยอมมีการปรับปรุง กรุณาโหลดหน้าใหม่แล้วยืนยันอีกครั้ง' };
+    }
+
+    const errors = {};
+    CONSENT_ITEMS
+        .filter(item => item.required && !isChecked(body[`consent_${item.id}`]))
+        .forEach(item => { errors[`consent_${item.id}`] = 'กรุณาให้ความยินยอมข้อนี้ก่อนส่งใบสมัคร'; });
+    return errors;
+}
+
+function acceptConsent(body, at = new Date()) {
+    return {
+        version: CONSENT_VERSION,
+        accepted_at: at.toISOString(),
+        items: CONSENT_ITEMS.map(item => ({
+            id: item.id,
+            text: item.text,
+            accepted: isChecked(body[`consent_${item.id}`])
+        }))
+    };
+}
+
+module.exports = {
+    CONSENT_VERSION,
+    CONSENT_ITEMS,
+    publicConsent,
+    validateConsent,
+    acceptConsent
+};
@@ -0,0 +1,27 @@
+// lib/declaration.js - APPLICANT DECLARATION
+// ====================================================
+//
+// The statement the applicant ticks before submitting. The wording they
+// accepted and the time it was accepted are stored on the application
+// and printed in the signature block of the PDF. Keep DECLARATION_TEXT
+// in sync with the checkbox label in index.html.
+
+const DECLARATION_VERSION = '1';
+
+const DECLARATION_TEXT = 'ข้าพเจ้าขอรับรองว่าข้อความในใบสมัครนี้เป็นความจริงทุกประการ ' +
+    'หากปรากฏภายหลังว่าข้อความใดไม่เป็นความจริง บริษัทฯ มีสิทธิ์ยกเลิกการพิจารณาหรือเลิกจ้างได้ทันที';
+
+function acceptDeclaration(at = new Date()) {
+    return {
+        version: DECLARATION_VERSION,
+        text: DECLARATION_TEXT,
+        accepted: true,
+        accepted_at: at.toISOString()
+    };
+}
+
+module.exports = {
+    DECLARATION_VERSION,
+    DECLARATION_TEXT,
+    acceptDeclaration
+};
@@ -0,0 +1,225 @@
+// lib/drafts.js - SAVED APPLICATION DRAFTS
+// ====================================================
+//
+// An applicant can save an unfinished form on the server and get a link
+// to carry on later (the form also autosaves to the browser's local
+// storage; this is for switching devices or a cleared browser). Drafts
+// live in the "drafts" collection with their uploads kept as files, and
+// expire DRAFT_TTL_DAYS (default 7) after the last save.
+//
+// The link carries a token of draft ID + secret, like interview links.
+// It is emailed when the draft is first saved and again when the email
+// address changes, but at most once per DRAFT_LINK_INTERVAL_MINUTES
+// (default 60) per draft. Submitting the form with the token uses the
+// draft's files for any that were not uploaded again, then deletes the
+// draft.
+
+const crypto = require('crypto');
+const path = require('path');
+const { getStore } = require('./store');
+const { SPAM_FIELDS } = require('./spam');
+const { ENTRY_SECTIONS, entryList } = require('./validation');
+
+const DEFAULT_TTL_DAYS = 7;
+const DEFAULT_LINK_INTERVAL_MINUTES = 60;
+
+// Never kept in a draft: the applicant confirms these (and the consent_*
+// boxes) again on submit, and the spam checks run on every submit
+const EXCLUDED_FIELDS = ['declaration_accepted', 'draft_token', ...SPAM_FIELDS];
+
+function drafts(store) {
+    return store.collection('drafts');
+}
+
+function ttlDays() {
+    const days = Number(process.env.DRAFT_TTL_DAYS);
+    return Number.isFinite(days) && days > 0 ? days : DEFAULT_TTL_DAYS;
+}
+
+function linkIntervalMinutes() {
+    const minutes = Number(process.env.DRAFT_LINK_INTERVAL_MINUTES);
+    return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_LINK_INTERVAL_MINUTES;
+}
+
+let sequence = 0;
+
+function newDraftId() {
+    sequence = (sequence + 1) % 1000;
+    return `DRAFT${Date.now()}${String(sequence).padStart(3, '0')}`;
+}
+
+function isValidDraftId(id) {
+    return /^DRAFT\d+$/.test(String(id || ''));
+}
+
+function newToken(id) {
+    return `${id}.${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function sameToken(a, b) {
+    const left = Buffer.from(String(a || ''));
+    const right = Buffer.from(String(b || ''));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function isExpired(draft, now = new Date()) {
+    return new Date(draft.expires_at) <= now;
+}
+
+// True when the draft's address has not had the link yet and the last
+// link went out more than the interval ago
+function isLinkDue(draft, now = new Date()) {
+    if (draft.link_email === draft.fields.email) return false;
+    return !draft.link_sent_at ||
+        now - new Date(draft.link_sent_at) >= linkIntervalMinutes() * 60 * 1000;
+}
+
+// Form fields as posted; position_ids stays a list, and education and
+// work_experience stay lists of entries
+function draftFields(body = {}) {
+    const fields = {};
+    for (const [name, value] of Object.entries(body)) {
+        if (EXCLUDED_FIELDS.includes(name) || name.startsWith('consent_') || !/^[a-z0-9_]+$/.test(name)) continue;
+        if (name in ENTRY_SECTIONS) {
+            fields[name] = entryList(body, name);
+        } else if (name === 'position_ids') {
+            fields.position_ids = (Array.isArray(value) ? value : [value]).map(String).filter(Boolean);
+        } else if (typeof value === 'string') {
+            fields[name] = value;
+        }
+    }
+    return fields;
+}
+
+// What the form gets back: no storage keys or token
+function publicDraft(draft) {
+    const files = {};
+    for (const [field, meta] of Object.entries(draft.files || {})) {
+        files[field] = { originalname: meta.originalname, size: meta.size };
+    }
+    return {
+        fields: draft.fields,
+        files,
+        updated_at: draft.updated_at,
+        expires_at: draft.expires_at
+    };
+}
+
+// ====================================================
+// STORAGE
+// ====================================================
+
+async function getDraft(id, store = getStore()) {
+    return isValidDraftId(id) ? drafts(store).get(id) : null;
+}
+
+// Expired drafts are treated as gone even before the purge removes them
+async function findDraftByToken(token, store = getStore()) {
+    const [id] = String(token || '').split('.');
+    const draft = await getDraft(id, store);
+    return draft && sameToken(draft.token, token) && !isExpired(draft) ? draft : null;
+}
+
+// Files from a new upload replace the draft's; the rest are kept
+async function saveFiles(draft, uploadedFiles = {}, store) {
+    const files = { ...(draft.files || {}) };
+
+    for (const field of Object.keys(uploadedFiles)) {
+        const file = uploadedFiles[field] && uploadedFiles[field][0];
+        if (!file) continue;
+
+        const ext = path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+        const key = `${draft.id}/${field}${ext}`;
+        if (files[field] && files[field].key !== key) await store.removeFile(files[field].key);
+        await store.putFile(key, file.buffer);
+        files[field] = {
+            key,
+            originalname: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size
+        };
+    }
+    return files;
+}
+
+// Creates a draft, or updates `current` (found by token). Every save
+// pushes the expiry back.
+async function saveDraft(body, uploadedFiles, current = null, store = getStore()) {
+    const now = new Date();
+    const id = current ? current.id : newDraftId();
+    const draft = {
+        id,
+        token: current ? current.token : newToken(id),
+        created_at: current ? current.created_at : now.toISOString(),
+        files: current ? current.files : {},
+        fields: draftFields(body),
+        link_email: current ? current.link_email : null,
+        link_sent_at: current ? current.link_sent_at : null,
+        updated_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + ttlDays() * 24 * 60 * 60 * 1000).toISOString()
+    };
+    draft.files = await saveFiles(draft, uploadedFiles, store);
+
+    await drafts(store).put(id, draft);
+    return draft;
+}
+
+// Records that the resume link went to the draft's current address
+async function markLinkSent(draft, store = getStore()) {
+    const marked = { ...draft, link_email: draft.fields.email, link_sent_at: new Date().toISOString() };
+    await drafts(store).put(draft.id, marked);
+    return marked;
+}
+
+async function listDrafts(store = getStore()) {
+    return drafts(store).list();
+}
+
+async function deleteDraft(draft, store = getStore()) {
+    for (const meta of Object.values(draft.files || {})) {
+        await store.removeFile(meta.key);
+    }
+    await drafts(store).remove(draft.id);
+}
+
+// The draft's uploads in the shape multer gives req.files, for fields
+// missing from `uploadedFiles`
+async function draftUploads(draft, uploadedFiles = {}, store = getStore()) {
+    const files = { ...uploadedFiles };
+
+    for (const [field, meta] of Object.entries(draft.files || {})) {
+        if (files[field] && files[field][0]) continue;
+
+        const buffer = await store.getFile(meta.key);
+        if (buffer) files[field] = [{ ...meta, buffer }];
+    }
+    return files;
+}
+
+// For the cron job. Resolves to the number of drafts removed.
+async function purgeExpiredDrafts(store = getStore()) {
+    const now = new Date();
+    const expired = (await drafts(store).list()).filter(draft => isExpired(draft, now));
+
+    for (const draft of expired) {
+        await deleteDraft(draft, store);
+    }
+    return expired.length;
+}
+
+module.exports = {
+    DEFAULT_TTL_DAYS,
+    ttlDays,
+    linkIntervalMinutes,
+    isValidDraftId,
+    isLinkDue,
+    publicDraft,
+    getDraft,
+    findDraftByToken,
+    saveDraft,
+    markLinkSent,
+    listDrafts,
+    deleteDraft,
+    draftUploads,
+    purgeExpiredDrafts
+};
@@ -0,0 +1,271 @@
+// lib/duplicates.js - DUPLICATE APPLICATIONS
+// ====================================================
+//
+// A submission whose ID card AND email both match an application sent in
+// the last DUPLICATE_WINDOW_DAYS (default 30, 0 turns it off) is a
+// duplicate. DUPLICATE_MODE decides what happens to it:
+//   revise (default)  the existing application takes the new data; the
+//                     old data and files are kept in `revisions`
+//   block             the submission is refused with a friendly message
+// Both fields must match so that knowing someone's email is not enough to
+// overwrite their application.
+//
+// Weaker matches (ID card, email or phone on their own, at any time) do
+// not stop anything; they are saved as `possible_duplicates` and flagged
+// in the HR email and dashboard.
+//
+// Matches are found through the "application-index" collection: a keyed
+// hash of each ID card, email and phone (lib/sensitive.js lookupHash) ->
+// the applications that used it, so a submission reads only the
+// applications it can match. Every hit is checked against the application
+// itself, so an entry left behind by a changed or anonymized application
+// matches nothing. The index is built from the stored applications the
+// first time it is needed, and rebuilt when the hash key changes.
+
+const path = require('path');
+const { getStore, serialized, saveApplication } = require('./store');
+const { lookupHash } = require('./sensitive');
+
+const MODES = ['revise', 'block'];
+const DEFAULT_WINDOW_DAYS = 30;
+const MAX_POSSIBLE = 5;
+
+const digits = value => String(value || '').replace(/\D/g, '');
+
+const MATCH_FIELDS = {
+    id_card: { label: 'เลขบัตรประชาชน', label_en: 'ID card', value: info => digits(info.id_card) },
+    email: { label: 'อีเมล', label_en: 'email', value: info => String(info.email || '').trim().toLowerCase() },
+    phone: { label: 'เบอร์โทร', label_en: 'phone', value: info => digits(info.phone) }
+};
+
+// Replaced by a revision; everything else (status, notes, interview...) stays
+const REVISED_FIELDS = [
+    'position', 'position_ids', 'personal_info', 'education',
+    'work_experience', 'additional_info', 'language', 'declaration', 'consent'
+];
+
+function duplicateMode() {
+    return MODES.includes(process.env.DUPLICATE_MODE) ? process.env.DUPLICATE_MODE : 'revise';
+}
+
+function windowDays() {
+    const days = Number(process.env.DUPLICATE_WINDOW_DAYS);
+    return Number.isFinite(days) && days >= 0 ? days : DEFAULT_WINDOW_DAYS;
+}
+
+function matchLabel(field, locale = 'th') {
+    const match = MATCH_FIELDS[field];
+    return match ? (locale === 'en' ? match.label_en : match.label) : field;
+}
+
+// Latest time the applicant sent this application
+function lastSubmittedAt(application) {
+    return application.revised_at || application.submitted_at;
+}
+
+function matchedFields(candidate, application) {
+    const mine = candidate.personal_info || {};
+    const theirs = application.personal_info || {};
+    return Object.keys(MATCH_FIELDS).filter(field => {
+        const value = MATCH_FIELDS[field].value(mine);
+        return value && value === MATCH_FIELDS[field].value(theirs);
+    });
+}
+
+// ====================================================
+// INDEX
+// ====================================================
+
+const INDEX_BUILT = 'built';
+
+function index(store) {
+    return store.collection('application-index');
+}
+
+function indexKey(field, value) {
+    return `${field}-${lookupHash(value).slice(0, 32)}`;
+}
+
+// Tells an index built with the current hash key from an older one
+function indexKeyCheck() {
+    return lookupHash(INDEX_BUILT).slice(0, 16);
+}
+
+// Index keys for the current data and every revision of `application`
+function indexKeys(application) {
+    const keys = new Set();
+    for (const record of [application, ...(application.revisions || [])]) {
+        const info = record.personal_info || {};
+        for (const [field, match] of Object.entries(MATCH_FIELDS)) {
+            const value = match.value(info);
+            if (value) keys.add(indexKey(field, value));
+        }
+    }
+    return [...keys];
+}
+
+// Entries are read and rewritten one update at a time, so two
+// applications indexed at once both end up in the entry
+function updateEntry(key, store, update) {
+    return serialized(`application-index/${key}`, async () => {
+        const ids = ((await index(store).get(key)) || {}).application_ids || [];
+        const updated = update(ids);
+        if (updated === ids) return;
+
+        if (updated.length > 0) await index(store).put(key, { id: key, application_ids: updated });
+        else await index(store).remove(key);
+    });
+}
+
+async function indexApplication(application, store = getStore()) {
+    for (const key of indexKeys(application)) {
+        await updateEntry(key, store, ids => (ids.includes(application.id) ? ids : [...ids, application.id]));
+    }
+}
+
+// For erasure: the hashes identify the person too
+async function unindexApplication(application, store = getStore()) {
+    for (const key of indexKeys(application)) {
+        await updateEntry(key, store, ids => (ids.includes(application.id) ? ids.filter(id => id !== application.id) : ids));
+    }
+}
+
+function ensureIndex(store) {
+    return serialized('application-index/built', async () => {
+        const built = await index(store).get(INDEX_BUILT);
+        if (built && built.key_check === indexKeyCheck()) return;
+
+        // Entries hashed with another key would never match again
+        for (const entry of await index(store).list()) {
+            await index(store).remove(entry.id);
+        }
+        for (const application of await store.collection('applications').list()) {
+            await indexApplication(application, store);
+        }
+        await index(store).put(INDEX_BUILT, { id: INDEX_BUILT, key_check: indexKeyCheck(), built_at: new Date().toISOString() });
+    });
+}
+
+// Applications that share an ID card, email or phone with `candidate`
+async function matchingApplications(candidate, store) {
+    await ensureIndex(store);
+
+    const ids = new Set();
+    for (const key of indexKeys({ personal_info: candidate.personal_info })) {
+        (((await index(store).get(key)) || {}).application_ids || []).forEach(id => ids.add(id));
+    }
+
+    const found = [];
+    for (const id of ids) {
+        const application = await store.collection('applications').get(id);
+        if (application) found.push(application);
+    }
+    return found;
+}
+
+// ====================================================
+// MATCHING
+// ====================================================
+
+// Returns { duplicate, possible }: the application to revise or block
+// on (or null) and up to MAX_POSSIBLE weaker matches, newest first
+function checkDuplicates(candidate, applications, now = new Date()) {
+    const since = now.getTime() - windowDays() * 24 * 60 * 60 * 1000;
+    const matches = applications
+        .filter(application => application.id !== candidate.id)
+        .map(application => ({ application, matched_on: matchedFields(candidate, application) }))
+        .filter(match => match.matched_on.length > 0)
+        .sort((a, b) => String(lastSubmittedAt(b.application)).localeCompare(String(lastSubmittedAt(a.application))));
+
+    const exact = windowDays() > 0 && matches.find(match =>
+        match.matched_on.includes('id_card') && match.matched_on.includes('email') &&
+        new Date(lastSubmittedAt(match.application)).getTime() >= since);
+
+    return {
+        duplicate: exact ? exact.application : null,
+        possible: matches
+            .filter(match => !exact || match.application.id !== exact.application.id)
+            .slice(0, MAX_POSSIBLE)
+            .map(match => ({
+                id: match.application.id,
+                matched_on: match.matched_on,
+                submitted_at: lastSubmittedAt(match.application)
+            }))
+    };
+}
+
+// checkDuplicates against the applications the index points at
+async function findDuplicates(candidate, now = new Date(), store = getStore()) {
+    return checkDuplicates(candidate, await matchingApplications(candidate, store), now);
+}
+
+// Runs `task` (find duplicates, then save and index) after any other
+// submission with the same ID card in this instance, so two sent at the
+// same moment cannot both miss each other
+function serializeApplicant(candidate, task) {
+    const idCard = MATCH_FIELDS.id_card.value(candidate.personal_info || {});
+    return serialized(`applicant/${indexKey('id_card', idCard)}`, task);
+}
+
+// ====================================================
+// REVISIONS
+// ====================================================
+
+// Copies the current files to rev<N>_<field> keys so the new upload
+// cannot overwrite them
+async function keepFiles(application, number, store) {
+    const files = {};
+    for (const [field, meta] of Object.entries(application.files || {})) {
+        const buffer = await store.getFile(meta.key);
+        if (!buffer) continue;
+
+        const key = `${application.id}/rev${number}_${field}${path.extname(meta.key)}`;
+        await store.putFile(key, buffer);
+        files[field] = { ...meta, key };
+    }
+    return files;
+}
+
+// Merges `submission` (built like a new application) into `existing` and
+// saves it with `uploadedFiles`. Resolves to the saved record.
+async function reviseApplication(existing, submission, uploadedFiles = {}, store = getStore()) {
+    const previousNumber = existing.revision || 0;
+    const snapshot = {
+        revision: previousNumber,
+        submitted_at: lastSubmittedAt(existing),
+        files: await keepFiles(existing, previousNumber, store)
+    };
+    REVISED_FIELDS.forEach(field => { snapshot[field] = existing[field]; });
+
+    const now = new Date().toISOString();
+    const revised = { ...existing, updated_at: now };
+    REVISED_FIELDS.forEach(field => { revised[field] = submission[field]; });
+    Object.assign(revised, {
+        revision: previousNumber + 1,
+        revised_at: now,
+        revisions: [...(existing.revisions || []), snapshot],
+        possible_duplicates: submission.possible_duplicates || []
+    });
+
+    const record = await saveApplication(revised, uploadedFiles, store);
+
+    // Current files the new upload did not replace (e.g. .png -> .jpg)
+    const keys = Object.values(record.files).map(file => file.key);
+    for (const meta of Object.values(existing.files || {})) {
+        if (!keys.includes(meta.key)) await store.removeFile(meta.key);
+    }
+    return record;
+}
+
+module.exports = {
+    MODES,
+    duplicateMode,
+    windowDays,
+    matchLabel,
+    checkDuplicates,
+    findDuplicates,
+    serializeApplicant,
+    indexApplication,
+    unindexApplication,
+    reviseApplication
+};
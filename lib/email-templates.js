@@ -0,0 +1,199 @@
+// lib/email-templates.js - EDITABLE EMAIL TEMPLATES
+// ====================================================
+//
+// Each email is an HTML file in email-templates/<locale>/<name>.html; the
+// <title> is the subject. HR edits are saved in the "email-templates"
+// collection and win over the bundled file until they are reset.
+//
+// Templates use a small mustache-like syntax:
+//   {{name}}                 value, always HTML-escaped
+//   {{#name}}...{{/name}}    only when the value is filled in
+//   {{^name}}...{{/name}}    only when it is empty
+// There is no unescaped output, so applicant input can never add markup.
+
+const fs = require('fs');
+const path = require('path');
+const { getStore } = require('./store');
+const { escapeHTML, headerText } = require('./sanitize');
+const { NOTIFY_STATUSES } = require('./status');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'email-templates');
+const LOCALES = ['th', 'en'];
+const TEMPLATE_NAMES = [
+    'applicant_confirmation',
+    'hr_notification',
+    ...NOTIFY_STATUSES.map(status => `status_${status}`),
+    'interview_invite',
+    'interview_cancelled',
+    'interviewer_invite',
+    'interviewer_cancelled',
+    'interview_response',
+    'draft_saved'
+];
+
+// Everything a template may refer to (see lib/emails.js for the values)
+const VARIABLES = [
+    'application_id', 'position', 'applicant_name', 'fullname_th', 'fullname_en',
+    'gender', 'age', 'nationality', 'ethnicity', 'religion',
+    'phone', 'line_id', 'email', 'province', 'education_used',
+    'expected_salary', 'start_date', 'has_disease', 'disease_detail',
+    'has_criminal_record', 'criminal_detail',
+    'submitted_date', 'submitted_datetime',
+    'pdf_filename', 'photo_filename', 'resume_filename',
+    'status_label', 'message',
+    'revision', 'possible_duplicates',
+    'interview_datetime', 'interview_duration', 'interview_location',
+    'interviewer_name', 'interview_notes', 'interview_link',
+    'interview_response', 'response_note',
+    'draft_link', 'draft_expires',
+    'company_name', 'year'
+];
+
+const TAG = /\{\{\s*([#^/]?)\s*([^{}]*?)\s*\}\}/g;
+const SECTION = /\{\{\s*([#^])\s*([a-z_]+)\s*\}\}([\s\S]*?)\{\{\s*\/\s*\2\s*\}\}/g;
+
+function templates(store) {
+    return store.collection('email-templates');
+}
+
+function templateKey(locale, name) {
+    return `${locale}-${name}`;
+}
+
+function isKnownTemplate(locale, name) {
+    return LOCALES.includes(locale) && TEMPLATE_NAMES.includes(name);
+}
+
+function bundledSource(locale, name) {
+    return fs.readFileSync(path.join(TEMPLATE_DIR, locale, `${name}.html`), 'utf8');
+}
+
+// ====================================================
+// RENDERING
+// ====================================================
+
+function isFilled(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value === undefined || value === null || value === false) return false;
+    const text = String(value).trim();
+    return text !== '' && text !== '-';
+}
+
+// Sections are resolved before values are substituted, and substitution
+// is a single pass, so "{{...}}" typed by an applicant stays literal text
+function renderSource(source, context) {
+    let output = String(source);
+    let previous;
+    do {
+        previous = output;
+        output = output.replace(SECTION, (match, type, name, inner) =>
+            (isFilled(context[name]) === (type === '#') ? inner : ''));
+    } while (output !== previous);
+
+    return output.replace(TAG, (match, type, name) => (type ? '' : escapeHTML(context[name])));
+}
+
+function subjectOf(html) {
+    const match = /<title>([\s\S]*?)<\/title>/i.exec(html);
+    const subject = match ? match[1]
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+        : '';
+    return headerText(subject);
+}
+
+// Returns { subject, html }
+function renderTemplate(source, context) {
+    const html = renderSource(source, context);
+    return { subject: subjectOf(html), html };
+}
+
+// Returns an error message (Thai) or null
+function validateSource(source) {
+    if (typeof source !== 'string' || !source.trim()) {
+        return 'กรุณาใส่เนื้อหาเทมเพลต';
+    }
+    if (!/<title>[\s\S]*?\S[\s\S]*?<\/title>/i.test(source)) {
+        return 'เทมเพลตต้องมี <title> สำหรับหัวเรื่องอีเมล';
+    }
+
+    const open = [];
+    for (const [, type, name] of source.matchAll(TAG)) {
+        if (!VARIABLES.includes(name)) {
+            return `ไม่รู้จักตัวแปร {{${type}${name}}}`;
+        }
+        if (type === '#' || type === '^') {
+            open.push(name);
+        } else if (type === '/') {
+            if (open.pop() !== name) return `ปิดส่วน {{/${name}}} ไม่ตรงกับที่เปิดไว้`;
+        }
+    }
+    if (open.length > 0) {
+        return `ยังไม่ได้ปิดส่วน {{#${open[open.length - 1]}}}`;
+    }
+    return null;
+}
+
+// ====================================================
+// STORAGE
+// ====================================================
+
+async function getTemplate(locale, name, store = getStore()) {
+    if (!isKnownTemplate(locale, name)) return null;
+
+    const custom = await templates(store).get(templateKey(locale, name));
+    return {
+        locale,
+        name,
+        customized: Boolean(custom),
+        source: custom ? custom.source : bundledSource(locale, name),
+        updated_at: custom ? custom.updated_at : null,
+        updated_by: custom ? custom.updated_by : null
+    };
+}
+
+async function listTemplates(store = getStore()) {
+    const list = [];
+    for (const locale of LOCALES) {
+        for (const name of TEMPLATE_NAMES) {
+            const { source, ...summary } = await getTemplate(locale, name, store);
+            list.push({ ...summary, subject: subjectOf(source) });
+        }
+    }
+    return list;
+}
+
+async function saveTemplate(locale, name, source, { by } = {}, store = getStore()) {
+    if (!isKnownTemplate(locale, name)) return null;
+
+    await templates(store).put(templateKey(locale, name), {
+        id: templateKey(locale, name),
+        locale,
+        name,
+        source,
+        updated_at: new Date().toISOString(),
+        updated_by: by || null
+    });
+    return getTemplate(locale, name, store);
+}
+
+// Back to the bundled file
+async function resetTemplate(locale, name, store = getStore()) {
+    if (!isKnownTemplate(locale, name)) return null;
+
+    await templates(store).remove(templateKey(locale, name));
+    return getTemplate(locale, name, store);
+}
+
+module.exports = {
+    LOCALES,
+    TEMPLATE_NAMES,
+    VARIABLES,
+    isKnownTemplate,
+    bundledSource,
+    renderTemplate,
+    validateSource,
+    getTemplate,
+    listTemplates,
+    saveTemplate,
+    resetTemplate
+};
@@ -0,0 +1,415 @@
+// lib/emails.js - APPLICATION EMAILS
+// ====================================================
+//
+// Turns an application into template variables and renders the editable
+// templates from lib/email-templates.js. The applicant gets their email
+// in the language they chose on the form; HR gets HR_EMAIL_LANGUAGE
+// (default th). Attachment names go through safeFilename().
+//
+// Status emails (status_<status>) go to the candidate when HR moves the
+// application to one of NOTIFY_STATUSES, unless HR chooses to skip them.
+//
+// Interview emails carry an .ics invite (lib/ical.js). The candidate's is
+// in their language with the confirm/reschedule link; the interviewer's
+// and HR's follow HR_EMAIL_LANGUAGE.
+//
+// A saved draft (lib/drafts.js) gets a draft_saved email with the link
+// to carry on filling in the form.
+//
+// Health and criminal record details are masked in every email; HR opens
+// the dashboard for the full values (lib/sensitive.js).
+
+const { safeFilename } = require('./sanitize');
+const { pdfFilename } = require('./pdf');
+const { SAMPLE_APPLICATION } = require('./pdf-templates');
+const emailTemplates = require('./email-templates');
+const { NOTIFY_STATUSES, statusLabel } = require('./status');
+const { sendEmail, senderAddress } = require('./outbox');
+const { buildInvite, inviteAttachment } = require('./ical');
+const { responseLabel, endsAt } = require('./interviews');
+const { matchLabel } = require('./duplicates');
+const { maskValue } = require('./sensitive');
+
+const DATE_LOCALES = { th: 'th-TH', en: 'en-GB' };
+
+function localeOr(value, fallback = 'th') {
+    return emailTemplates.LOCALES.includes(value) ? value : fallback;
+}
+
+function formatDate(value, locale, withTime, withWeekday) {
+    return new Date(value).toLocaleString(DATE_LOCALES[locale], {
+        timeZone: 'Asia/Bangkok',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        ...(withWeekday ? { weekday: 'long' } : {}),
+        ...(withTime ? { hour: '2-digit', minute: '2-digit' } : {})
+    });
+}
+
+// Where new applications and interview replies are sent
+function hrAddress() {
+    return process.env.ADMIN_EMAIL || 'forcon674@outlook.com';
+}
+
+function hrLocale() {
+    return localeOr(process.env.HR_EMAIL_LANGUAGE);
+}
+
+// Attachments for the HR email: the PDF, the photo and the resume, all
+// with names that are safe to put in a MIME header.
+function applicationAttachments(application, pdfBuffer, files = {}) {
+    const attachments = [
+        {
+            filename: pdfFilename(application),
+            content: pdfBuffer,
+            contentType: 'application/pdf'
+        }
+    ];
+
+    const photo = files.photo && files.photo[0];
+    if (photo) {
+        attachments.push({
+            filename: safeFilename(`Photo_${application.personal_info.fullname_th}_${photo.originalname}`, 'Photo.jpg'),
+            content: photo.buffer,
+            contentType: photo.mimetype
+        });
+    }
+
+    const resume = files.resume && files.resume[0];
+    if (resume) {
+        attachments.push({
+            filename: safeFilename(resume.originalname, 'Resume'),
+            content: resume.buffer,
+            contentType: resume.mimetype
+        });
+    }
+
+    return attachments;
+}
+
+// "APP123 (อีเมล, เบอร์โทร · 12 ตุลาคม 2569); APP456 (...)"
+function possibleDuplicatesText(application, locale) {
+    return (application.possible_duplicates || []).map(match =>
+        `${match.id} (${match.matched_on.map(field => matchLabel(field, locale)).join(', ')}` +
+        `${match.submitted_at ? ` · ${formatDate(match.submitted_at, locale, false)}` : ''})`).join('; ');
+}
+
+// Values for every name in emailTemplates.VARIABLES. `attachments` come
+// from applicationAttachments(): the PDF first, then photo and resume.
+function templateContext(application, locale, attachments = [], extra = {}) {
+    const person = application.personal_info || {};
+    const education = application.education || {};
+    const info = application.additional_info || {};
+    const [pdf, ...files] = attachments;
+    const photo = files.find(file => file.contentType.startsWith('image/'));
+    const resume = files.find(file => file !== photo);
+
+    return {
+        application_id: application.id,
+        position: application.position,
+        applicant_name: (locale === 'en' && person.fullname_en) || person.fullname_th,
+        fullname_th: person.fullname_th,
+        fullname_en: person.fullname_en,
+        gender: person.gender,
+        age: person.age,
+        nationality: person.nationality,
+        ethnicity: person.ethnicity,
+        religion: person.religion,
+        phone: person.phone,
+        line_id: person.line_id,
+        email: person.email,
+        province: person.address && person.address.province,
+        education_used: education.education_used,
+        expected_salary: info.expected_salary,
+        start_date: info.start_date,
+        has_disease: info.has_disease,
+        disease_detail: maskValue('disease_detail', info.disease_detail),
+        has_criminal_record: info.has_criminal_record,
+        criminal_detail: maskValue('criminal_detail', info.criminal_detail),
+        submitted_date: formatDate(application.submitted_at, locale, false),
+        submitted_datetime: formatDate(application.submitted_at, locale, true),
+        pdf_filename: pdf ? pdf.filename : pdfFilename(application),
+        photo_filename: photo && photo.filename,
+        resume_filename: resume && resume.filename,
+        status_label: statusLabel(application.status, locale),
+        revision: application.revision,
+        possible_duplicates: possibleDuplicatesText(application, locale),
+        message: '',
+        company_name: process.env.COMPANY_NAME || (locale === 'en' ? 'HR Department' : 'บริษัท'),
+        year: new Date().getFullYear(),
+        ...extra
+    };
+}
+
+async function renderEmail(name, locale, application, attachments, store, extra) {
+    const template = await emailTemplates.getTemplate(locale, name, store);
+    return emailTemplates.renderTemplate(template.source, templateContext(application, locale, attachments, extra));
+}
+
+// Both resolve to { subject, html }
+function applicantEmail(application, store) {
+    return renderEmail('applicant_confirmation', localeOr(application.language), application, [], store);
+}
+
+function adminEmail(application, attachments = [], store) {
+    return renderEmail('hr_notification', hrLocale(), application, attachments, store);
+}
+
+// ====================================================
+// STATUS CHANGES
+// ====================================================
+
+function hasStatusEmail(status) {
+    return NOTIFY_STATUSES.includes(status);
+}
+
+// `message` is optional text from HR printed in the email
+function statusEmail(application, status, { message } = {}, store) {
+    const locale = localeOr(application.language);
+    return renderEmail(`status_${status}`, locale, { ...application, status }, [], store, {
+        message: String(message || '').trim()
+    });
+}
+
+// Queues the candidate's email for the status the application now has.
+// Returns the outbox job, or null when there is nothing to send.
+async function sendStatusEmail(application, { message } = {}, store) {
+    const to = application.personal_info && application.personal_info.email;
+    if (!hasStatusEmail(application.status) || !to) return null;
+
+    const email = await statusEmail(application, application.status, { message }, store);
+    return sendEmail({
+        ...email,
+        to,
+        kind: `status_${application.status}`,
+        application_id: application.id
+    }, store);
+}
+
+// ====================================================
+// INTERVIEWS
+// ====================================================
+
+// Links in emails point at PUBLIC_URL. It has to be set: the request's
+// Host header is chosen by whoever sends it, so it cannot go in mail.
+function baseUrl() {
+    if (!process.env.PUBLIC_URL) {
+        throw new Error('PUBLIC_URL must be set to put links in emails');
+    }
+    return process.env.PUBLIC_URL.replace(/\/+$/, '');
+}
+
+// The form page opens the confirm/reschedule box when it sees ?interview=
+function interviewLink(slot, base) {
+    return `${base}/?interview=${encodeURIComponent(slot.token)}#interview`;
+}
+
+function interviewContext(slot, locale, link) {
+    return {
+        interview_datetime: formatDate(slot.starts_at, locale, true, true),
+        interview_duration: slot.duration_minutes,
+        interview_location: slot.location,
+        interviewer_name: slot.interviewer_name,
+        interview_notes: slot.notes,
+        interview_link: link,
+        interview_response: responseLabel(slot.response, locale),
+        response_note: slot.response_note
+    };
+}
+
+// One .ics per recipient, all sharing the slot's UID and sequence
+function interviewInvite(slot, application, { method, locale, attendee, link }) {
+    const person = application.personal_info || {};
+    const company = process.env.COMPANY_NAME || (locale === 'en' ? 'HR Department' : 'บริษัท');
+    const forInterviewer = attendee.email === slot.interviewer_email;
+    const applicantName = (locale === 'en' && person.fullname_en) || person.fullname_th;
+
+    const summary = forInterviewer
+        ? `${locale === 'en' ? 'Interview with' : 'สัมภาษณ์'} ${applicantName} - ${application.position}`
+        : `${locale === 'en' ? 'Interview' : 'สัมภาษณ์งาน'}: ${application.position} (${company})`;
+    const description = [
+        `${locale === 'en' ? 'Application ID' : 'รหัสใบสมัคร'}: ${application.id}`,
+        `${locale === 'en' ? 'Interviewer' : 'ผู้สัมภาษณ์'}: ${slot.interviewer_name}`,
+        slot.notes,
+        link && `${locale === 'en' ? 'Confirm or reschedule' : 'ยืนยันหรือขอเลื่อนนัด'}: ${link}`
+    ].filter(Boolean).join('\n');
+
+    return buildInvite({
+        uid: `${slot.id}-${application.id}@job-application`,
+        sequence: slot.sequence,
+        method,
+        start: slot.starts_at,
+        end: endsAt(slot),
+        summary,
+        description,
+        location: slot.location,
+        url: link,
+        organizer: { name: company, email: senderAddress() },
+        attendees: [attendee]
+    });
+}
+
+async function sendInterviewEmail(name, locale, slot, application, { method, attendee, link }, store) {
+    const ics = interviewInvite(slot, application, { method, locale, attendee, link });
+    const email = await renderEmail(name, locale, application, [], store,
+        interviewContext(slot, locale, link));
+
+    return sendEmail({
+        ...email,
+        to: attendee.email,
+        attachments: [inviteAttachment(ics, method)],
+        kind: name,
+        application_id: application.id
+    }, store);
+}
+
+// Invites (or updated invites) for the candidate and the interviewer.
+// `base` is from baseUrl(). Resolves to the two outbox jobs.
+async function sendInterviewInvites(slot, application, base, store) {
+    const person = application.personal_info || {};
+    const link = interviewLink(slot, base);
+
+    return [
+        await sendInterviewEmail('interview_invite', localeOr(application.language), slot, application, {
+            method: 'REQUEST',
+            attendee: { name: person.fullname_th, email: person.email },
+            link
+        }, store),
+        await sendInterviewEmail('interviewer_invite', hrLocale(), slot, application, {
+            method: 'REQUEST',
+            attendee: { name: slot.interviewer_name, email: slot.interviewer_email }
+        }, store)
+    ];
+}
+
+// `slot` is the slot as it was booked, with its sequence already bumped
+async function sendInterviewCancellations(slot, application, store) {
+    const person = application.personal_info || {};
+
+    return [
+        await sendInterviewEmail('interview_cancelled', localeOr(application.language), slot, application, {
+            method: 'CANCEL',
+            attendee: { name: person.fullname_th, email: person.email }
+        }, store),
+        await sendInterviewEmail('interviewer_cancelled', hrLocale(), slot, application, {
+            method: 'CANCEL',
+            attendee: { name: slot.interviewer_name, email: slot.interviewer_email }
+        }, store)
+    ];
+}
+
+// Tells HR the candidate confirmed or asked for another time
+async function sendInterviewResponse(slot, application, store) {
+    const locale = hrLocale();
+    const email = await renderEmail('interview_response', locale, application, [], store,
+        interviewContext(slot, locale));
+
+    return sendEmail({
+        ...email,
+        to: hrAddress(),
+        kind: 'interview_response',
+        application_id: application.id
+    }, store);
+}
+
+// ====================================================
+// DRAFTS
+// ====================================================
+
+// The form page reloads the draft when it sees ?draft=
+function draftLink(draft, base) {
+    return `${base}/?draft=${encodeURIComponent(draft.token)}`;
+}
+
+function draftContext(draft, locale, link) {
+    return {
+        draft_link: link,
+        draft_expires: formatDate(draft.expires_at, locale, true)
+    };
+}
+
+// A draft has no application yet; the name and language are from the form
+function draftApplication(draft) {
+    const fields = draft.fields || {};
+    return {
+        id: draft.id,
+        language: localeOr(fields.language),
+        submitted_at: draft.updated_at,
+        personal_info: {
+            fullname_th: fields.fullname_th,
+            fullname_en: fields.fullname_en,
+            email: fields.email
+        }
+    };
+}
+
+// Queues the resume link to the email address on the draft
+async function sendDraftLink(draft, base, store) {
+    const application = draftApplication(draft);
+    const locale = application.language;
+    const email = await renderEmail('draft_saved', locale, application, [], store,
+        draftContext(draft, locale, draftLink(draft, base)));
+
+    return sendEmail({
+        ...email,
+        to: application.personal_info.email,
+        kind: 'draft_saved'
+    }, store);
+}
+
+// Renders `source` (or the current template) with made-up data
+async function previewEmail(locale, name, source, store) {
+    const status = name.startsWith('status_') ? name.slice('status_'.length) : SAMPLE_APPLICATION.status;
+    const application = {
+        ...SAMPLE_APPLICATION,
+        language: locale,
+        status,
+        submitted_at: new Date().toISOString(),
+        possible_duplicates: [{ id: 'APP1700000000000', matched_on: ['phone'], submitted_at: '2023-11-14T22:13:20.000Z' }]
+    };
+    const attachments = [
+        { filename: pdfFilename(application), contentType: 'application/pdf' },
+        { filename: safeFilename(`Photo_${application.personal_info.fullname_th}_photo.jpg`), contentType: 'image/jpeg' },
+        { filename: 'Resume.pdf', contentType: 'application/pdf' }
+    ];
+    const template = source === undefined ? (await emailTemplates.getTemplate(locale, name, store)).source : source;
+    const message = locale === 'en' ? 'Example message from HR.' : 'ตัวอย่างข้อความจาก HR';
+    const slot = {
+        token: 'SLOT0.example',
+        starts_at: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(),
+        duration_minutes: 60,
+        location: locale === 'en' ? 'Head office, meeting room 2' : 'สำนักงานใหญ่ ห้องประชุม 2',
+        interviewer_name: locale === 'en' ? 'Khun Interviewer' : 'คุณผู้สัมภาษณ์',
+        notes: '',
+        response: 'reschedule_requested',
+        response_note: locale === 'en' ? 'Could we move it to the afternoon?' : 'ขอเลื่อนเป็นช่วงบ่ายได้ไหมคะ'
+    };
+    const draft = {
+        token: 'DRAFT0.example',
+        expires_at: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
+    };
+
+    return emailTemplates.renderTemplate(template, templateContext(application, locale, attachments, {
+        message,
+        ...interviewContext(slot, locale, interviewLink(slot, process.env.PUBLIC_URL || 'https://example.com')),
+        ...draftContext(draft, locale, draftLink(draft, process.env.PUBLIC_URL || 'https://example.com'))
+    }));
+}
+
+module.exports = {
+    applicationAttachments,
+    templateContext,
+    applicantEmail,
+    adminEmail,
+    hasStatusEmail,
+    statusEmail,
+    sendStatusEmail,
+    hrAddress,
+    baseUrl,
+    sendInterviewInvites,
+    sendInterviewCancellations,
+    sendInterviewResponse,
+    sendDraftLink,
+    previewEmail
+};
@@ -0,0 +1,223 @@
+// lib/export.js - APPLICATION EXPORT (CSV / XLSX)
+// ====================================================
+//
+// One row per application with every stored field flattened into
+// columns: address, education as edu_1_*, edu_2_*... and work_experience
+// as work_1_*, work_2_*..., each up to the longest history in the export.
+//
+// CSV is UTF-8 with a BOM so Excel shows Thai correctly, and cells that
+// start like a formula are prefixed with ' so Excel never runs them.
+// XLSX cells are written as plain values and need no such guard.
+//
+// Columns marked `sensitive` (ID card, health and criminal record) are
+// left out when the export asks for it.
+
+const ExcelJS = require('exceljs');
+const { statusLabel } = require('./status');
+const { responseLabel } = require('./interviews');
+const { EDUCATION_LEVEL_LABELS, educationEntries, workEntries } = require('./history');
+
+const EDUCATION_FIELDS = [
+    ['level', 'ระดับ'],
+    ['school', 'สถานศึกษา'],
+    ['major', 'สาขา'],
+    ['year', 'ปีที่จบ']
+];
+
+const WORK_FIELDS = [
+    ['company', 'บริษัท'],
+    ['position', 'ตำแหน่ง'],
+    ['start', 'เริ่มงาน'],
+    ['end', 'สิ้นสุด'],
+    ['reason', 'เหตุผลที่ออก']
+];
+
+// "2026-10-19 18:28" in Thai time
+function bangkokDateTime(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? '' : date.toLocaleString('sv-SE', { timeZone: 'Asia/Bangkok' }).slice(0, 16);
+}
+
+const person = application => application.personal_info || {};
+const address = application => person(application).address || {};
+const education = application => application.education || {};
+const extra = application => application.additional_info || {};
+
+const BASE_COLUMNS = [
+    { key: 'id', header: 'รหัสใบสมัคร', value: a => a.id },
+    { key: 'submitted_at', header: 'วันที่สมัคร', value: a => bangkokDateTime(a.submitted_at) },
+    { key: 'updated_at', header: 'แก้ไขล่าสุด', value: a => bangkokDateTime(a.updated_at) },
+    { key: 'revision', header: 'ส่งซ้ำ (ครั้ง)', value: a => a.revision || 0 },
+    { key: 'possible_duplicates', header: 'อาจซ้ำกับ', value: a => (a.possible_duplicates || []).map(match => match.id).join(', ') },
+    { key: 'status', header: 'สถานะ', value: a => statusLabel(a.status) },
+    { key: 'position', header: 'ตำแหน่ง', value: a => a.position },
+    { key: 'position_ids', header: 'รหัสตำแหน่ง', value: a => (a.position_ids || []).join(', ') },
+    { key: 'language', header: 'ภาษา', value: a => a.language },
+    { key: 'fullname_th', header: 'ชื่อ-นามสกุล (ไทย)', value: a => person(a).fullname_th },
+    { key: 'fullname_en', header: 'ชื่อ-นามสกุล (อังกฤษ)', value: a => person(a).fullname_en },
+    { key: 'gender', header: 'เพศ', value: a => person(a).gender },
+    { key: 'birthdate', header: 'วันเกิด', value: a => person(a).birthdate },
+    { key: 'age', header: 'อายุ', value: a => person(a).age },
+    { key: 'nationality', header: 'สัญชาติ', value: a => person(a).nationality },
+    { key: 'ethnicity', header: 'เชื้อชาติ', value: a => person(a).ethnicity },
+    { key: 'religion', header: 'ศาสนา', value: a => person(a).religion },
+    { key: 'id_card', header: 'เลขบัตรประชาชน', value: a => person(a).id_card, sensitive: true },
+    { key: 'phone', header: 'เบอร์โทร', value: a => person(a).phone },
+    { key: 'line_id', header: 'LINE ID', value: a => person(a).line_id },
+    { key: 'email', header: 'อีเมล', value: a => person(a).email },
+    { key: 'address', header: 'ที่อยู่', value: a => address(a).full },
+    { key: 'subdistrict', header: 'ตำบล/แขวง', value: a => address(a).subdistrict },
+    { key: 'district', header: 'อำเภอ/เขต', value: a => address(a).district },
+    { key: 'province', header: 'จังหวัด', value: a => address(a).province },
+    { key: 'zipcode', header: 'รหัสไปรษณีย์', value: a => address(a).zipcode },
+    { key: 'education_used', header: 'วุฒิที่ใช้สมัคร', value: a => education(a).education_used },
+    { key: 'special_skills', header: 'ความสามารถพิเศษ', value: a => extra(a).special_skills },
+    { key: 'expected_salary', header: 'เงินเดือนที่คาดหวัง', value: a => extra(a).expected_salary },
+    { key: 'start_date', header: 'วันที่เริ่มงานได้', value: a => extra(a).start_date },
+    { key: 'motivation', header: 'เหตุผลที่สมัคร', value: a => extra(a).motivation },
+    { key: 'has_disease', header: 'โรคประจำตัว', value: a => extra(a).has_disease, sensitive: true },
+    { key: 'disease_detail', header: 'รายละเอียดโรคประจำตัว', value: a => extra(a).disease_detail, sensitive: true },
+    { key: 'has_criminal_record', header: 'ประวัติอาชญากรรม', value: a => extra(a).has_criminal_record, sensitive: true },
+    { key: 'criminal_detail', header: 'รายละเอียดประวัติอาชญากรรม', value: a => extra(a).criminal_detail, sensitive: true },
+    { key: 'declaration_accepted_at', header: 'ยืนยันคำรับรองเมื่อ', value: a => bangkokDateTime((a.declaration || {}).accepted_at) },
+    { key: 'consent_version', header: 'ฉบับความยินยอม (PDPA)', value: a => (a.consent || {}).version },
+    { key: 'consent_accepted_at', header: 'ให้ความยินยอมเมื่อ', value: a => bangkokDateTime((a.consent || {}).accepted_at) },
+    { key: 'resume', header: 'ไฟล์เรซูเม่', value: a => ((a.files || {}).resume || {}).originalname },
+    { key: 'interview_at', header: 'วันเวลาสัมภาษณ์', value: a => bangkokDateTime((a.interview || {}).starts_at) },
+    { key: 'interview_response', header: 'คำตอบนัดสัมภาษณ์', value: a => responseLabel((a.interview || {}).response) }
+];
+
+// `entries(application)` gives the list; `format` turns a field's value
+// into the cell
+function entryColumns(count, { prefix, title, fields, entries, format = (field, value) => value }) {
+    const columns = [];
+    for (let index = 0; index < count; index++) {
+        for (const [field, label] of fields) {
+            columns.push({
+                key: `${prefix}_${index + 1}_${field}`,
+                header: `${title} ${index + 1} - ${label}`,
+                value: a => format(field, (entries(a)[index] || {})[field])
+            });
+        }
+    }
+    return columns;
+}
+
+const EDUCATION_COLUMNS = {
+    prefix: 'edu',
+    title: 'การศึกษา',
+    fields: EDUCATION_FIELDS,
+    entries: a => educationEntries(a.education),
+    format: (field, value) => (field === 'level' ? EDUCATION_LEVEL_LABELS[value] || value : value)
+};
+
+const WORK_COLUMNS = {
+    prefix: 'work',
+    title: 'ประสบการณ์',
+    fields: WORK_FIELDS,
+    entries: workEntries
+};
+
+// Education and work columns go after education_used, before additional info
+function exportColumns(applications, { includeSensitive = true } = {}) {
+    const educationCount = Math.max(0, ...applications.map(a => educationEntries(a.education).length));
+    const workCount = Math.max(0, ...applications.map(a => workEntries(a).length));
+    const splitAt = BASE_COLUMNS.findIndex(column => column.key === 'special_skills');
+    const columns = [
+        ...BASE_COLUMNS.slice(0, splitAt),
+        ...entryColumns(educationCount, EDUCATION_COLUMNS),
+        ...entryColumns(workCount, WORK_COLUMNS),
+        ...BASE_COLUMNS.slice(splitAt)
+    ];
+    return includeSensitive ? columns : columns.filter(column => !column.sensitive);
+}
+
+function cellValue(column, application) {
+    const value = column.value(application);
+    return value === undefined || value === null ? '' : String(value);
+}
+
+// ====================================================
+// CSV
+// ====================================================
+
+function csvCell(value) {
+    let text = value;
+    if (/^[=+\-@\t\r]/.test(text) && text !== '-') text = `'${text}`;
+    return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(applications, options) {
+    const columns = exportColumns(applications, options);
+    const lines = [
+        columns.map(column => csvCell(column.header)).join(','),
+        ...applications.map(application =>
+            columns.map(column => csvCell(cellValue(column, application))).join(','))
+    ];
+    return Buffer.from('\ufeff' + lines.join('\r\n') + '\r\n', 'utf8');
+}
+
+// ====================================================
+// XLSX
+// ====================================================
+
+async function toXLSX(applications, options) {
+    const columns = exportColumns(applications, options);
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Applications', {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    sheet.columns = columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: Math.min(Math.max(column.header.length + 2, 12), 40)
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    for (const application of applications) {
+        sheet.addRow(Object.fromEntries(columns.map(column => [column.key, cellValue(column, application)])));
+    }
+    if (columns.length > 0) {
+        sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', build: toCSV },
+    xlsx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx',
+        build: toXLSX
+    }
+};
+
+// "applications_20261019-1828.csv"
+function exportFilename(extension, now = new Date(), prefix = 'applications') {
+    const stamp = bangkokDateTime(now).replace(/[-:]/g, '').replace(' ', '-');
+    return `${prefix}_${stamp}.${extension}`;
+}
+
+// Resolves to { buffer, contentType, filename }
+async function exportApplications(applications, format, options = {}, now = new Date()) {
+    const { contentType, extension, build } = FORMATS[format];
+
+    return {
+        buffer: await build(applications, options),
+        contentType,
+        filename: exportFilename(extension, now)
+    };
+}
+
+module.exports = {
+    FORMATS,
+    exportColumns,
+    toCSV,
+    toXLSX,
+    exportFilename,
+    exportApplications
+};
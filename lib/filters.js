@@ -0,0 +1,107 @@
+// lib/filters.js - APPLICATION FILTERING & PAGING
+// ====================================================
+//
+// Shared by the admin list view and anything else that takes the same
+// query string (exports, bulk actions).
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function contains(value, search) {
+    return String(value || '').toLowerCase().includes(String(search).trim().toLowerCase());
+}
+
+// "2024-05-31" as an upper bound means the whole of that day
+function parseDateBound(value, endOfDay) {
+    if (!value) return null;
+    const text = String(value);
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) && endOfDay ? `${text}T23:59:59.999Z` : text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function filterApplications(applications, query = {}) {
+    const from = parseDateBound(query.submitted_from, false);
+    const to = parseDateBound(query.submitted_to, true);
+
+    return applications.filter(application => {
+        const info = application.personal_info || {};
+        const address = info.address || {};
+        const education = application.education || {};
+        const submittedAt = new Date(application.submitted_at);
+
+        if (query.position_id && !(application.position_ids || []).includes(query.position_id)) return false;
+        if (query.position && !contains(application.position, query.position)) return false;
+        if (query.education_used && !contains(education.education_used, query.education_used)) return false;
+        if (query.province && !contains(address.province, query.province)) return false;
+        if (query.status && application.status !== query.status) return false;
+        if (from && submittedAt < from) return false;
+        if (to && submittedAt > to) return false;
+
+        return true;
+    });
+}
+
+const SORT_FIELDS = {
+    submitted_at: a => a.submitted_at,
+    fullname_th: a => (a.personal_info || {}).fullname_th,
+    position: a => a.position,
+    province: a => ((a.personal_info || {}).address || {}).province,
+    education_used: a => (a.education || {}).education_used,
+    status: a => a.status
+};
+
+// ?sort=<field>&order=asc|desc; newest submissions first by default
+function sortApplications(applications, query = {}) {
+    const field = SORT_FIELDS[query.sort] ? query.sort : 'submitted_at';
+    const getter = SORT_FIELDS[field];
+    const order = query.order || (field === 'submitted_at' ? 'desc' : 'asc');
+    const direction = order === 'desc' ? -1 : 1;
+
+    return applications.slice().sort((a, b) =>
+        direction * String(getter(a) || '').localeCompare(String(getter(b) || ''), 'th'));
+}
+
+function paginate(items, query = {}) {
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const totalPages = Math.max(Math.ceil(items.length / limit), 1);
+    const page = Math.min(Math.max(parseInt(query.page, 10) || 1, 1), totalPages);
+
+    return {
+        items: items.slice((page - 1) * limit, page * limit),
+        pagination: {
+            page,
+            limit,
+            total: items.length,
+            total_pages: totalPages
+        }
+    };
+}
+
+// Row shown in list views
+function summarizeApplication(application) {
+    const info = application.personal_info || {};
+
+    return {
+        id: application.id,
+        position: application.position,
+        fullname_th: info.fullname_th,
+        fullname_en: info.fullname_en,
+        email: info.email,
+        phone: info.phone,
+        province: (info.address || {}).province,
+        education_used: (application.education || {}).education_used,
+        status: application.status,
+        submitted_at: application.submitted_at,
+        updated_at: application.updated_at,
+        revision: application.revision || 0,
+        possible_duplicates: (application.possible_duplicates || []).length,
+        anonymized: Boolean(application.anonymized_at)
+    };
+}
+
+module.exports = {
+    filterApplications,
+    sortApplications,
+    paginate,
+    summarizeApplication
+};
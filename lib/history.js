@@ -0,0 +1,67 @@
+// lib/history.js - EDUCATION AND WORK HISTORY
+// ====================================================
+//
+// Applications keep education as { entries: [{ level, school, major,
+// year }], education_used } and work_experience as a list of { company,
+// position, start, end, reason }. Months are "YYYY-MM" and an empty end
+// means the applicant still works there. The form posts any number of
+// entries; lib/validation.js reads and checks them.
+//
+// Applications from before that keep one object per fixed level
+// (education.high_school, .vocational, .bachelor, .other) and free-text
+// months. The readers here give both shapes the same way, so the PDF,
+// export and dashboard never need to know which one they have.
+
+const { entryList, normalizeMonth, isCurrentJob } = require('./validation');
+
+const LEGACY_EDUCATION_LEVELS = ['high_school', 'vocational', 'bachelor', 'other'];
+
+// For the export; the PDF has its own labels per language
+const EDUCATION_LEVEL_LABELS = {
+    high_school: 'มัธยมศึกษา',
+    vocational: 'ปวช./ปวส.',
+    bachelor: 'ปริญญาตรี',
+    master: 'ปริญญาโท',
+    doctorate: 'ปริญญาเอก',
+    other: 'อื่นๆ'
+};
+
+// The education and work_experience parts of a new application
+function historyFromForm(body, education_used) {
+    return {
+        education: { entries: entryList(body, 'education'), education_used },
+        work_experience: entryList(body, 'work_experience').map(work => ({
+            ...work,
+            start: normalizeMonth(work.start),
+            end: isCurrentJob(work.end) ? '' : normalizeMonth(work.end)
+        }))
+    };
+}
+
+// [{ level, school, major, year }] in the order the applicant gave them
+function educationEntries(education) {
+    const stored = education || {};
+    if (Array.isArray(stored.entries)) return stored.entries;
+
+    return LEGACY_EDUCATION_LEVELS
+        .filter(level => stored[level] && stored[level].school)
+        .map(level => ({ level, school: stored[level].school, major: stored[level].major, year: stored[level].year }));
+}
+
+function workEntries(application) {
+    return Array.isArray(application.work_experience) ? application.work_experience : [];
+}
+
+// "2023-06" -> "06/2023"; older free text is shown as it was typed
+function formatMonth(value) {
+    const match = /^(\d{4})-(\d{2})$/.exec(String(value || ''));
+    return match ? `${match[2]}/${match[1]}` : (value || '');
+}
+
+module.exports = {
+    EDUCATION_LEVEL_LABELS,
+    historyFromForm,
+    educationEntries,
+    workEntries,
+    formatMonth
+};
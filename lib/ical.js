@@ -0,0 +1,116 @@
+// lib/ical.js - ICALENDAR INVITES
+// ====================================================
+//
+// Builds the single-event .ics files attached to interview emails
+// (RFC 5545). METHOD:REQUEST adds or updates the event in the
+// recipient's calendar; METHOD:CANCEL removes it. Updates reuse the UID
+// with a higher SEQUENCE so calendars replace the old entry.
+
+const PRODID = '-//Job Application System//Interviews//EN';
+
+function formatDateTime(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// TEXT values: backslash, ";" and "," are escaped, newlines become \n
+function escapeText(value) {
+    return String(value == null ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, '');
+}
+
+// Parameter values (CN) are quoted and may not contain quotes
+function paramText(value) {
+    return `"${String(value || '').replace(/["\u0000-\u001F\u007F]/g, '').trim()}"`;
+}
+
+// Lines longer than 75 octets continue on the next line after a space.
+// Splits on characters, not bytes, so Thai text stays valid UTF-8.
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+        const length = Buffer.byteLength(char);
+        if (size + length > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += length;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function attendeeLine({ name, email }) {
+    return `ATTENDEE;CN=${paramText(name || email)};ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=FALSE:mailto:${email}`;
+}
+
+// Returns the .ics file as a string. `method` is REQUEST or CANCEL.
+function buildInvite({
+    uid,
+    sequence = 0,
+    method = 'REQUEST',
+    start,
+    end,
+    summary,
+    description,
+    location,
+    url,
+    organizer,
+    attendees = []
+}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        `PRODID:${PRODID}`,
+        'VERSION:2.0',
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${formatDateTime(new Date())}`,
+        `DTSTART:${formatDateTime(start)}`,
+        `DTEND:${formatDateTime(end)}`,
+        `SUMMARY:${escapeText(summary)}`
+    ];
+
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (location) lines.push(`LOCATION:${escapeText(location)}`);
+    if (url) lines.push(`URL:${url}`);
+    if (organizer) {
+        lines.push(`ORGANIZER;CN=${paramText(organizer.name || organizer.email)}:mailto:${organizer.email}`);
+    }
+    attendees.filter(attendee => attendee.email).forEach(attendee => lines.push(attendeeLine(attendee)));
+
+    lines.push(
+        `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    );
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Attachment for lib/outbox.js
+function inviteAttachment(ics, method = 'REQUEST') {
+    return {
+        filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+        content: Buffer.from(ics, 'utf8'),
+        contentType: `text/calendar; charset=utf-8; method=${method}`
+    };
+}
+
+module.exports = {
+    escapeText,
+    foldLine,
+    buildInvite,
+    inviteAttachment
+};
@@ -0,0 +1,356 @@
+// lib/interviews.js - INTERVIEW SLOTS
+// ====================================================
+//
+// HR creates slots for a position in the "interview-slots" collection and
+// assigns one to a shortlisted application. The candidate and the
+// interviewer each get an email with an .ics invite (lib/ical.js); the
+// candidate's email has a link with a per-assignment token to confirm or
+// ask for another time. Moving or freeing an assigned slot sends updated
+// or cancelled invites to both.
+//
+// The application keeps a copy of its booking in `interview` so the
+// detail view does not need to look up the slot.
+
+const crypto = require('crypto');
+const { getStore, getApplication, updateApplication } = require('./store');
+const { statusChange } = require('./status');
+
+const RESPONSES = ['confirmed', 'reschedule_requested'];
+
+const RESPONSE_LABELS = {
+    confirmed: 'ยืนยันเข้าสัมภาษณ์',
+    reschedule_requested: 'ขอเลื่อนนัด'
+};
+
+const RESPONSE_LABELS_EN = {
+    confirmed: 'Confirmed',
+    reschedule_requested: 'Asked to reschedule'
+};
+
+// Statuses an interview can be booked for
+const BOOKABLE_STATUSES = ['shortlisted', 'interview'];
+
+const DEFAULT_DURATION = 60;
+
+function slots(store) {
+    return store.collection('interview-slots');
+}
+
+let sequence = 0;
+
+function newSlotId() {
+    sequence = (sequence + 1) % 1000;
+    return `SLOT${Date.now()}${String(sequence).padStart(3, '0')}`;
+}
+
+function isValidSlotId(id) {
+    return /^SLOT\d+$/.test(String(id || ''));
+}
+
+function responseLabel(response, locale = 'th') {
+    return (locale === 'en' ? RESPONSE_LABELS_EN : RESPONSE_LABELS)[response] || '';
+}
+
+// "2026-11-02T10:00" from a datetime-local input is Thai time
+function parseStart(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    const withZone = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(text) ? `${text}+07:00` : text;
+    const date = new Date(withZone);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function endsAt(slot) {
+    return new Date(new Date(slot.starts_at).getTime() + slot.duration_minutes * 60 * 1000).toISOString();
+}
+
+function isPast(slot, now = new Date()) {
+    return new Date(slot.starts_at) <= now;
+}
+
+// ====================================================
+// SLOTS
+// ====================================================
+
+function buildSlot(input, current = { duration_minutes: DEFAULT_DURATION }) {
+    const slot = { ...current };
+
+    if (input.position_id !== undefined) slot.position_id = String(input.position_id || '').trim();
+    if (input.starts_at !== undefined) {
+        const start = parseStart(input.starts_at);
+        slot.starts_at = start ? start.toISOString() : null;
+    }
+    if (input.duration_minutes !== undefined) {
+        slot.duration_minutes = input.duration_minutes === '' || input.duration_minutes === null
+            ? DEFAULT_DURATION
+            : Number(input.duration_minutes);
+    }
+    if (input.location !== undefined) slot.location = String(input.location || '').trim();
+    if (input.interviewer_name !== undefined) slot.interviewer_name = String(input.interviewer_name || '').trim();
+    if (input.interviewer_email !== undefined) slot.interviewer_email = String(input.interviewer_email || '').trim();
+    if (input.notes !== undefined) slot.notes = String(input.notes || '').trim();
+
+    return slot;
+}
+
+// Returns an error message (Thai) or null
+function validateSlot(slot) {
+    if (!slot.position_id) {
+        return 'กรุณาระบุตำแหน่งงาน';
+    }
+    if (!slot.starts_at) {
+        return 'กรุณาระบุวันและเวลาสัมภาษณ์';
+    }
+    if (!Number.isInteger(slot.duration_minutes) || slot.duration_minutes < 5 || slot.duration_minutes > 480) {
+        return 'ระยะเวลาสัมภาษณ์ต้องอยู่ระหว่าง 5-480 นาที';
+    }
+    if (!slot.location) {
+        return 'กรุณาระบุสถานที่หรือลิงก์สัมภาษณ์';
+    }
+    if (!slot.interviewer_name) {
+        return 'กรุณาระบุชื่อผู้สัมภาษณ์';
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(slot.interviewer_email || '')) {
+        return 'อีเมลผู้สัมภาษณ์ไม่ถูกต้อง';
+    }
+    return null;
+}
+
+// What HR sees; the token only ever goes out in the candidate's email
+function publicSlot(slot) {
+    const { token, ...rest } = slot;
+    return { ...rest, ends_at: endsAt(slot) };
+}
+
+async function listSlots({ position_id, application_id, available } = {}, store = getStore()) {
+    const now = new Date();
+    return (await slots(store).list())
+        .filter(slot => !position_id || slot.position_id === position_id)
+        .filter(slot => !application_id || slot.application_id === application_id)
+        .filter(slot => !available || (!slot.application_id && !isPast(slot, now)))
+        .sort((a, b) => a.starts_at.localeCompare(b.starts_at));
+}
+
+async function getSlot(id, store = getStore()) {
+    return isValidSlotId(id) ? slots(store).get(id) : null;
+}
+
+async function saveSlot(slot, store) {
+    slot.updated_at = new Date().toISOString();
+    await slots(store).put(slot.id, slot);
+    return slot;
+}
+
+async function createSlot(input, { by } = {}, store = getStore()) {
+    const now = new Date().toISOString();
+    const slot = buildSlot(input, {
+        id: newSlotId(),
+        duration_minutes: DEFAULT_DURATION,
+        application_id: null,
+        token: null,
+        sequence: 0,
+        response: null,
+        response_note: '',
+        responded_at: null,
+        created_at: now,
+        created_by: by || null
+    });
+    return saveSlot(slot, store);
+}
+
+// ====================================================
+// ASSIGNMENT
+// ====================================================
+
+// Token = slot ID + secret, so the lookup needs no scan
+function newToken(slot) {
+    return `${slot.id}.${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function sameToken(a, b) {
+    const left = Buffer.from(String(a || ''));
+    const right = Buffer.from(String(b || ''));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+async function findSlotByToken(token, store = getStore()) {
+    const [id] = String(token || '').split('.');
+    const slot = await getSlot(id, store);
+    return slot && slot.application_id && sameToken(slot.token, token) ? slot : null;
+}
+
+// Copy kept on the application
+function interviewSummary(slot) {
+    return {
+        slot_id: slot.id,
+        position_id: slot.position_id,
+        starts_at: slot.starts_at,
+        ends_at: endsAt(slot),
+        location: slot.location,
+        interviewer_name: slot.interviewer_name,
+        response: slot.response,
+        response_note: slot.response_note,
+        responded_at: slot.responded_at
+    };
+}
+
+// Returns an error message (Thai) or null
+function checkAssignable(slot, application, now = new Date()) {
+    if (slot.application_id && slot.application_id !== application.id) {
+        return 'ช่วงเวลานี้มีผู้สมัครแล้ว';
+    }
+    if (isPast(slot, now)) {
+        return 'ช่วงเวลานี้ผ่านไปแล้ว';
+    }
+    if (!BOOKABLE_STATUSES.includes(application.status)) {
+        return 'นัดสัมภาษณ์ได้เฉพาะผู้สมัครที่ผ่านการคัดเลือกเบื้องต้น';
+    }
+    if (Array.isArray(application.position_ids) && application.position_ids.length > 0 &&
+        !application.position_ids.includes(slot.position_id)) {
+        return 'ผู้สมัครไม่ได้สมัครตำแหน่งนี้';
+    }
+    return null;
+}
+
+// Books the slot for the application and moves it to "interview". Any
+// slot the application held before is freed (see releaseSlot) and
+// returned as `released` so the caller can send cancellations.
+async function assignSlot(slot, application, { by } = {}, store = getStore()) {
+    let released = null;
+    const previousId = application.interview && application.interview.slot_id;
+
+    if (previousId && previousId !== slot.id) {
+        const previous = await getSlot(previousId, store);
+        if (previous && previous.application_id === application.id) {
+            released = await releaseSlot(previous, store);
+        }
+    }
+
+    const rebooked = slot.application_id === application.id;
+    const updatedSlot = await saveSlot({
+        ...slot,
+        application_id: application.id,
+        token: rebooked ? slot.token : newToken(slot),
+        sequence: rebooked ? slot.sequence + 1 : slot.sequence,
+        response: null,
+        response_note: '',
+        responded_at: null,
+        assigned_at: new Date().toISOString(),
+        assigned_by: by || null
+    }, store);
+
+    const changes = { interview: interviewSummary(updatedSlot) };
+    if (application.status !== 'interview') {
+        Object.assign(changes, statusChange(application, 'interview', { by, note: `นัดสัมภาษณ์ ${updatedSlot.id}` }));
+    }
+    const updatedApplication = await updateApplication(application.id, changes, store);
+
+    return { slot: updatedSlot, application: updatedApplication, released };
+}
+
+// Frees the slot. Returns the slot as it was (for cancellations).
+async function releaseSlot(slot, store = getStore()) {
+    const application = slot.application_id ? await getApplication(slot.application_id, store) : null;
+    if (application && application.interview && application.interview.slot_id === slot.id) {
+        await updateApplication(application.id, { interview: null }, store);
+    }
+
+    await saveSlot({
+        ...slot,
+        application_id: null,
+        token: null,
+        sequence: slot.sequence + 1,
+        response: null,
+        response_note: '',
+        responded_at: null
+    }, store);
+    return { ...slot, sequence: slot.sequence + 1 };
+}
+
+// Changes to an assigned slot bump the sequence so calendars update.
+// `moved` tells the caller to send the updated invites.
+async function updateSlot(slot, input, store = getStore()) {
+    const updated = buildSlot(input, slot);
+
+    const moved = ['starts_at', 'duration_minutes', 'location', 'interviewer_name', 'interviewer_email']
+        .some(field => updated[field] !== slot[field]);
+    if (slot.application_id && moved) {
+        updated.sequence = slot.sequence + 1;
+        updated.response = null;
+        updated.response_note = '';
+        updated.responded_at = null;
+    }
+    await saveSlot(updated, store);
+
+    let application = null;
+    if (slot.application_id) {
+        application = await getApplication(slot.application_id, store);
+        if (application) {
+            application = await updateApplication(application.id, { interview: interviewSummary(updated) }, store);
+        }
+    }
+
+    return { slot: updated, application, moved: Boolean(slot.application_id && moved) };
+}
+
+async function deleteSlot(id, store = getStore()) {
+    await slots(store).remove(id);
+}
+
+// ====================================================
+// CANDIDATE RESPONSE
+// ====================================================
+
+async function respondToSlot(slot, response, note, store = getStore()) {
+    const updated = await saveSlot({
+        ...slot,
+        response,
+        response_note: String(note || '').trim().slice(0, 1000),
+        responded_at: new Date().toISOString()
+    }, store);
+
+    const application = await getApplication(slot.application_id, store);
+    if (application) {
+        await updateApplication(application.id, { interview: interviewSummary(updated) }, store);
+    }
+    return { slot: updated, application };
+}
+
+// ====================================================
+// PERSONAL DATA
+// ====================================================
+
+// Unlinks the application from its slots (PDPA erasure and retention).
+// The slots themselves stay as a record of interviews held.
+async function forgetApplication(applicationId, store = getStore()) {
+    const booked = await listSlots({ application_id: applicationId }, store);
+
+    for (const slot of booked) {
+        await saveSlot({ ...slot, application_id: null, token: null, response_note: '' }, store);
+    }
+    return booked.length;
+}
+
+module.exports = {
+    RESPONSES,
+    BOOKABLE_STATUSES,
+    isValidSlotId,
+    responseLabel,
+    endsAt,
+    isPast,
+    buildSlot,
+    validateSlot,
+    publicSlot,
+    listSlots,
+    getSlot,
+    createSlot,
+    findSlotByToken,
+    checkAssignable,
+    assignSlot,
+    releaseSlot,
+    updateSlot,
+    deleteSlot,
+    respondToSlot,
+    interviewSummary,
+    forgetApplication
+};
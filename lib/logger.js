@@ -0,0 +1,64 @@
+// lib/logger.js - STRUCTURED LOGGER
+// ====================================================
+//
+// One JSON object per line, which Vercel's log viewer can search:
+//   {"level":"info","time":"...","msg":"Application saved","application_id":"APP123"}
+//
+// Data passed with a message is copied with the sensitive applicant
+// fields (lib/sensitive.js) masked wherever they appear, so a whole
+// application can be logged safely. Errors keep their message and stack.
+// LOG_LEVEL (debug, info, warn, error; default info) sets what is written.
+
+const { SENSITIVE_FIELDS, maskValue } = require('./sensitive');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function minimumLevel() {
+    return LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+}
+
+// Copy of `value` that is safe to write to the log
+function redact(value, seen = new WeakSet()) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, ...(value.code ? { code: value.code } : {}), stack: value.stack };
+    }
+    if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+    if (value instanceof Date) return value.toISOString();
+    if (!value || typeof value !== 'object') return value;
+
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    if (Array.isArray(value)) return value.map(item => redact(item, seen));
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = key in SENSITIVE_FIELDS ? maskValue(key, item) : redact(item, seen);
+    }
+    return copy;
+}
+
+// `data` is an object of fields, or an Error
+function log(level, message, data = {}) {
+    if (LEVELS[level] < minimumLevel()) return;
+
+    const fields = data instanceof Error ? { error: data } : data;
+    const line = JSON.stringify({
+        level,
+        time: new Date().toISOString(),
+        msg: message,
+        ...redact(fields)
+    });
+
+    if (level === 'error') console.error(line);
+    else if (level === 'warn') console.warn(line);
+    else console.log(line);
+}
+
+module.exports = {
+    redact,
+    debug: (message, data) => log('debug', message, data),
+    info: (message, data) => log('info', message, data),
+    warn: (message, data) => log('warn', message, data),
+    error: (message, data) => log('error', message, data)
+};
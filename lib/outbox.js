@@ -0,0 +1,307 @@
+// lib/outbox.js - EMAIL OUTBOX
+// ====================================================
+//
+// Every email is saved as a job in the "outbox" collection before it is
+// sent, so a failed send is never lost. sendEmail() makes the first
+// attempt right away; failures are retried with backoff by
+// processOutbox() (run from GET /api/cron/outbox or the admin API) until
+// MAX_ATTEMPTS, after which the job is "failed" and can be resent by HR.
+//
+// Job status is one of queued / sending / sent / failed and is mirrored
+// on the application in `emails` so HR can see it next to the applicant.
+// A job is saved as "sending" before the transport is called, so a cron
+// run that starts meanwhile leaves it alone; one still "sending" after
+// SENDING_TIMEOUT is taken to have died mid-send and is tried again.
+//
+// SMTP comes from SMTP_HOST/SMTP_PORT/SMTP_SECURE; EMAIL_USER/EMAIL_PASS
+// are optional so a local stand-in (MailHog, smtp4dev) works unchanged.
+
+const nodemailer = require('nodemailer');
+const { getStore, getApplication, updateApplication } = require('./store');
+const { headerText } = require('./sanitize');
+const logger = require('./logger');
+
+const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const SENDING_TIMEOUT = 10 * 60 * 1000;
+
+// Wait after the 1st, 2nd, 3rd... failed attempt (minutes)
+const RETRY_DELAYS = [1, 5, 30, 120];
+
+let transporter = null;
+
+function getTransporter() {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'smtp.gmail.com',
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.EMAIL_USER
+                ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+                : undefined
+        });
+    }
+    return transporter;
+}
+
+// Swaps the SMTP transport for any object with sendMail() (tests, or
+// another nodemailer transport)
+function setTransporter(transport) {
+    transporter = transport;
+}
+
+function senderAddress() {
+    return process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@localhost';
+}
+
+function fromAddress() {
+    return `"${headerText(process.env.COMPANY_NAME || 'HR Department').replace(/"/g, '')}" <${senderAddress()}>`;
+}
+
+function jobs(store) {
+    return store.collection('outbox');
+}
+
+let sequence = 0;
+
+function newJobId() {
+    sequence = (sequence + 1) % 1000;
+    return `MAIL${Date.now()}${String(sequence).padStart(3, '0')}`;
+}
+
+function retryDelay(attempts) {
+    return RETRY_DELAYS[Math.min(attempts, RETRY_DELAYS.length) - 1] * 60 * 1000;
+}
+
+function isDue(job, now) {
+    if (job.status === 'queued') return new Date(job.next_attempt_at) <= now;
+    return job.status === 'sending' && new Date(job.sending_at).getTime() + SENDING_TIMEOUT <= now.getTime();
+}
+
+// What the application and the admin list show (no body, no attachments)
+function summarizeJob(job) {
+    return {
+        id: job.id,
+        kind: job.kind,
+        application_id: job.application_id,
+        to: job.to,
+        subject: job.subject,
+        status: job.status,
+        attempts: job.attempts,
+        last_error: job.last_error,
+        next_attempt_at: job.status === 'queued' ? job.next_attempt_at : null,
+        created_at: job.created_at,
+        sent_at: job.sent_at
+    };
+}
+
+async function recordOnApplication(job, store) {
+    if (!job.application_id) return;
+
+    const application = await getApplication(job.application_id, store);
+    if (!application) return;
+
+    const emails = (application.emails || []).filter(email => email.id !== job.id);
+    emails.push(summarizeJob(job));
+    await updateApplication(application.id, { emails }, store);
+}
+
+async function saveJob(job, store) {
+    job.updated_at = new Date().toISOString();
+    await jobs(store).put(job.id, job);
+    await recordOnApplication(job, store);
+    return job;
+}
+
+// ====================================================
+// QUEUE
+// ====================================================
+
+// Saves the email as a queued job. Attachment contents are stored as
+// files next to the job so a retry sends exactly the same message.
+async function enqueueEmail({ to, subject, html, attachments = [], kind = 'other', application_id = null }, store = getStore()) {
+    const id = newJobId();
+    const now = new Date().toISOString();
+
+    const stored = [];
+    for (const [index, attachment] of attachments.entries()) {
+        const key = `outbox/${id}/attachment-${index}`;
+        await store.putFile(key, attachment.content);
+        stored.push({ filename: attachment.filename, contentType: attachment.contentType, key });
+    }
+
+    return saveJob({
+        id,
+        kind,
+        application_id,
+        to,
+        subject: headerText(subject),
+        html: String(html),
+        attachments: stored,
+        status: 'queued',
+        attempts: 0,
+        last_error: null,
+        next_attempt_at: now,
+        sending_at: null,
+        created_at: now,
+        sent_at: null
+    }, store);
+}
+
+// Jobs this instance is delivering right now
+const inFlight = new Set();
+
+// Saves the job as "sending" unless it changed since it was read (another
+// run got to it first). Resolves to false when the job is not ours.
+async function claimJob(job, now, store) {
+    const stored = await jobs(store).get(job.id);
+    if (!stored || stored.updated_at !== job.updated_at) return false;
+
+    job.status = 'sending';
+    job.sending_at = now.toISOString();
+    await saveJob(job, store);
+    return true;
+}
+
+// One delivery attempt. Never throws: the outcome is on the returned job.
+// Resolves to null when the job is already being sent.
+async function deliver(job, store = getStore(), now = new Date()) {
+    if (inFlight.has(job.id)) return null;
+    inFlight.add(job.id);
+
+    try {
+        if (!await claimJob(job, now, store)) return null;
+
+        try {
+            const attachments = [];
+            for (const attachment of job.attachments) {
+                const content = await store.getFile(attachment.key);
+                if (!content) throw new Error(`Attachment missing: ${attachment.filename}`);
+                attachments.push({ filename: attachment.filename, contentType: attachment.contentType, content });
+            }
+
+            await getTransporter().sendMail({
+                from: fromAddress(),
+                to: job.to,
+                subject: headerText(job.subject),
+                html: job.html,
+                attachments
+            });
+
+            job.status = 'sent';
+            job.sent_at = new Date().toISOString();
+            job.last_error = null;
+            job.attempts += 1;
+
+            // Sent mail is never resent, so its attachment copies can go
+            for (const attachment of job.attachments) {
+                await store.removeFile(attachment.key);
+            }
+            logger.info('Email sent', { email_id: job.id, kind: job.kind });
+        } catch (error) {
+            job.attempts += 1;
+            job.last_error = error.message;
+
+            if (job.attempts >= MAX_ATTEMPTS) {
+                job.status = 'failed';
+            } else {
+                job.status = 'queued';
+                job.next_attempt_at = new Date(now.getTime() + retryDelay(job.attempts)).toISOString();
+            }
+            logger.error('Error sending email', { email_id: job.id, kind: job.kind, attempt: job.attempts, error: error.message });
+        }
+
+        job.sending_at = null;
+        return await saveJob(job, store);
+    } finally {
+        inFlight.delete(job.id);
+    }
+}
+
+// Queues the email and makes the first attempt immediately
+async function sendEmail(message, store = getStore()) {
+    const job = await enqueueEmail(message, store);
+    return deliver(job, store);
+}
+
+// Retries every queued job whose backoff has passed, oldest first, and
+// any job left "sending" past SENDING_TIMEOUT
+async function processOutbox({ now = new Date(), limit = 20 } = {}, store = getStore()) {
+    const due = (await jobs(store).list())
+        .filter(job => isDue(job, now))
+        .sort((a, b) => a.next_attempt_at.localeCompare(b.next_attempt_at))
+        .slice(0, limit);
+
+    const result = { processed: 0, sent: 0, queued: 0, failed: 0 };
+    for (const job of due) {
+        const updated = await deliver(job, store, now);
+        if (!updated) continue;
+        result.processed += 1;
+        result[updated.status] += 1;
+    }
+    return result;
+}
+
+// ====================================================
+// ADMIN
+// ====================================================
+
+async function listEmails({ status, application_id } = {}, store = getStore()) {
+    const all = await jobs(store).list();
+    return all
+        .filter(job => !status || job.status === status)
+        .filter(job => !application_id || job.application_id === application_id)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .map(summarizeJob);
+}
+
+async function getEmail(id, store = getStore()) {
+    return /^MAIL\d+$/.test(String(id || '')) ? jobs(store).get(id) : null;
+}
+
+// Failed jobs get a fresh set of attempts, starting now. Resolves to null
+// when the job is missing or being sent already.
+async function resendEmail(id, store = getStore()) {
+    const job = await getEmail(id, store);
+    if (!job) return null;
+
+    job.attempts = 0;
+    job.status = 'queued';
+    job.next_attempt_at = new Date().toISOString();
+    return deliver(job, store);
+}
+
+// Removes every email kept for the application and/or sent to the
+// address, attachments included (PDPA erasure and retention). Resolves
+// to the number removed.
+async function deleteEmails({ application_id, to } = {}, store = getStore()) {
+    const address = String(to || '').trim().toLowerCase();
+    const matching = (await jobs(store).list()).filter(job =>
+        (application_id && job.application_id === application_id) ||
+        (address && String(job.to || '').trim().toLowerCase() === address));
+
+    for (const job of matching) {
+        for (const attachment of job.attachments || []) {
+            await store.removeFile(attachment.key);
+        }
+        await jobs(store).remove(job.id);
+    }
+    return matching.length;
+}
+
+module.exports = {
+    EMAIL_STATUSES,
+    MAX_ATTEMPTS,
+    RETRY_DELAYS,
+    setTransporter,
+    senderAddress,
+    summarizeJob,
+    enqueueEmail,
+    deliver,
+    sendEmail,
+    processOutbox,
+    listEmails,
+    getEmail,
+    resendEmail,
+    deleteEmails
+};
@@ -0,0 +1,192 @@
+// lib/pdf-layout.js - FLOWING PDF LAYOUT
+// ====================================================
+//
+// Small layout engine over PDFKit. Content is drawn top to bottom inside
+// the page margins; whenever the next block does not fit, a new page is
+// added. Long paragraphs are left to PDFKit's own line wrapping, which
+// continues on a new page at the top margin. Headers, footers and page
+// numbers are drawn last into the reserved margin area of every
+// buffered page, so they can show "page i of n".
+
+class PDFLayout {
+    constructor(doc, styles) {
+        this.doc = doc;
+        this.styles = styles;
+    }
+
+    get left() {
+        return this.doc.page.margins.left;
+    }
+
+    get width() {
+        return this.doc.page.width - this.doc.page.margins.left - this.doc.page.margins.right;
+    }
+
+    get bottom() {
+        return this.doc.page.maxY();
+    }
+
+    // Room for content on an empty page
+    get pageHeight() {
+        return this.bottom - this.doc.page.margins.top;
+    }
+
+    get y() {
+        return this.doc.y;
+    }
+
+    style(name) {
+        const style = this.styles[name];
+        if (!style) throw new Error(`Unknown PDF style: ${name}`);
+
+        this.doc.font(style.font).fontSize(style.size).fillColor(style.color);
+        return style;
+    }
+
+    heightOf(text, styleName, width = this.width) {
+        const style = this.style(styleName);
+        return this.doc.heightOfString(String(text), { width, lineGap: style.lineGap || 0 });
+    }
+
+    // `text` cut with an ellipsis to fit on one line of `width`
+    truncate(text, styleName, width) {
+        this.style(styleName);
+        const chars = Array.from(String(text));
+        if (this.doc.widthOfString(chars.join('')) <= width) return chars.join('');
+
+        while (chars.length > 0 && this.doc.widthOfString(`${chars.join('')}…`) > width) {
+            chars.pop();
+        }
+        return `${chars.join('').trimEnd()}…`;
+    }
+
+    newPage() {
+        this.doc.addPage();
+    }
+
+    // Starts a new page unless `height` more points fit on this one
+    ensureSpace(height) {
+        if (this.doc.y + height > this.bottom) {
+            this.newPage();
+        }
+    }
+
+    moveDown(points) {
+        this.doc.y += points;
+        if (this.doc.y > this.bottom) {
+            this.newPage();
+        }
+    }
+
+    // Flowing text: may continue on the next page(s)
+    text(text, styleName, { x = this.left, width = this.width } = {}) {
+        if (text === undefined || text === null || text === '') return;
+
+        const style = this.style(styleName);
+        this.doc.text(String(text), x, this.doc.y, { width, lineGap: style.lineGap || 0 });
+        this.doc.x = this.left;
+    }
+
+    // Text that must stay on one page (titles, single lines)
+    line(text, styleName, options = {}) {
+        if (text === undefined || text === null || text === '') return;
+
+        this.ensureSpace(this.heightOf(text, styleName, options.width));
+        this.text(text, styleName, options);
+    }
+
+    // Section title; keeps at least `keepWith` points of content with it
+    heading(text, keepWith = 30) {
+        this.ensureSpace(this.heightOf(text, 'heading') + keepWith);
+        this.text(text, 'heading');
+        this.moveDown(4);
+    }
+
+    rule(gap = 10, color = this.styles.rule.color) {
+        this.ensureSpace(gap * 2);
+        this.doc.y += gap;
+        this.doc.moveTo(this.left, this.doc.y)
+            .lineTo(this.left + this.width, this.doc.y)
+            .lineWidth(1)
+            .stroke(color);
+        this.doc.y += gap;
+    }
+
+    // Side-by-side columns. Each column is a list of [text, style] lines.
+    // A block that fits on a page moves to a new page as a whole; a taller
+    // one goes row by row (the n-th line of every column together), so the
+    // columns always share a page. A row taller than a page has its lines
+    // one after another at full width instead.
+    columns(columns, gap = 15) {
+        const columnWidth = (this.width - gap * (columns.length - 1)) / columns.length;
+        const cells = columns.map(lines => lines.filter(([text]) => text));
+        const cellHeight = ([text, style]) => this.heightOf(text, style, columnWidth) + 2;
+        const height = Math.max(...cells.map(lines => lines.reduce((sum, cell) => sum + cellHeight(cell), 0)));
+        const columnX = index => this.left + index * (columnWidth + gap);
+
+        if (height <= this.pageHeight) {
+            this.ensureSpace(height);
+            const top = this.doc.y;
+
+            cells.forEach((lines, index) => {
+                this.doc.y = top;
+                lines.forEach(([text, style]) => {
+                    this.text(text, style, { x: columnX(index), width: columnWidth });
+                    this.doc.y += 2;
+                });
+            });
+
+            this.doc.y = top + height;
+            return;
+        }
+
+        const rowCount = Math.max(...cells.map(lines => lines.length));
+        for (let row = 0; row < rowCount; row++) {
+            const rowCells = cells.map(lines => lines[row]);
+            const rowHeight = Math.max(...rowCells.map(cell => (cell ? cellHeight(cell) : 0)));
+
+            if (rowHeight > this.pageHeight) {
+                rowCells.filter(Boolean).forEach(([text, style]) => {
+                    this.text(text, style);
+                    this.moveDown(2);
+                });
+                continue;
+            }
+
+            this.ensureSpace(rowHeight);
+            const top = this.doc.y;
+            rowCells.forEach((cell, index) => {
+                if (!cell) return;
+                this.doc.y = top;
+                this.text(cell[0], cell[1], { x: columnX(index), width: columnWidth });
+            });
+            this.doc.y = top + rowHeight;
+        }
+    }
+
+    // Draws into the reserved header/footer margins of every page.
+    // `draw(pageNumber, pageCount, margins)` gets the real page margins;
+    // while it runs they are zeroed so nothing spills onto a new page.
+    decoratePages(draw) {
+        const range = this.doc.bufferedPageRange();
+
+        for (let i = 0; i < range.count; i++) {
+            this.doc.switchToPage(range.start + i);
+
+            // Writing below maxY would otherwise trigger an automatic page break
+            const margins = this.doc.page.margins;
+            const saved = { top: margins.top, bottom: margins.bottom };
+            margins.top = 0;
+            margins.bottom = 0;
+
+            draw(i + 1, range.count, saved);
+
+            margins.top = saved.top;
+            margins.bottom = saved.bottom;
+        }
+    }
+}
+
+module.exports = {
+    PDFLayout
+};
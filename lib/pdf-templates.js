@@ -0,0 +1,294 @@
+// lib/pdf-templates.js - PDF TEMPLATES
+// ====================================================
+//
+// Templates live in the "pdf-templates" collection and control the
+// branding of the application PDF: logo, company name and address,
+// colors, which sections are printed and in what order, and the label
+// language (th/en). A position can name its template in `pdf_template`;
+// otherwise the "default" template is used, and the built-in
+// DEFAULT_TEMPLATE fills in anything a stored template leaves out.
+
+const path = require('path');
+const { getStore } = require('./store');
+const { getPosition } = require('./positions');
+const { DECLARATION_VERSION, DECLARATION_TEXT } = require('./declaration');
+
+const LANGUAGES = ['th', 'en'];
+
+// Everything below the title block, in the default order
+const SECTION_KEYS = [
+    'quick_info',
+    'address',
+    'education',
+    'work_experience',
+    'additional_info',
+    'motivation',
+    'declarations',
+    'signature'
+];
+
+const COLOR_KEYS = ['title', 'heading', 'accent', 'text', 'muted', 'faint', 'rule'];
+
+const DEFAULT_TEMPLATE = {
+    id: 'default',
+    name: 'ค่าเริ่มต้น',
+    language: 'th',
+    company_name: '',
+    company_address: '',
+    colors: {
+        title: '#1a1a1a',
+        heading: '#2c3e50',
+        accent: '#4FACFE',
+        text: '#34495e',
+        muted: '#7f8c8d',
+        faint: '#95a5a6',
+        rule: '#e0e0e0'
+    },
+    sections: SECTION_KEYS,
+    logo: null
+};
+
+const LOGO_TYPES = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg'
+};
+
+function templates(store) {
+    return store.collection('pdf-templates');
+}
+
+function isValidTemplateId(id) {
+    return /^[a-z0-9][a-z0-9-]{1,39}$/.test(String(id || ''));
+}
+
+function buildTemplate(input, current = {}) {
+    const template = { ...current };
+
+    if (input.name !== undefined) template.name = String(input.name || '').trim();
+    if (input.language !== undefined) template.language = input.language;
+    if (input.company_name !== undefined) template.company_name = String(input.company_name || '').trim();
+    if (input.company_address !== undefined) template.company_address = String(input.company_address || '').trim();
+    if (input.colors !== undefined) template.colors = { ...(current.colors || {}), ...(input.colors || {}) };
+    if (input.sections !== undefined) {
+        template.sections = (Array.isArray(input.sections) ? input.sections : String(input.sections || '').split(','))
+            .map(key => String(key).trim())
+            .filter(Boolean);
+    }
+
+    return template;
+}
+
+// Returns an error message (Thai) or null
+function validateTemplate(template) {
+    if (!template.name) {
+        return 'กรุณาระบุชื่อเทมเพลต';
+    }
+    if (template.language !== undefined && !LANGUAGES.includes(template.language)) {
+        return `ภาษาไม่ถูกต้อง (${LANGUAGES.join(', ')})`;
+    }
+    for (const [key, value] of Object.entries(template.colors || {})) {
+        if (!COLOR_KEYS.includes(key)) {
+            return `ไม่รู้จักสี "${key}" (${COLOR_KEYS.join(', ')})`;
+        }
+        if (!/^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(String(value))) {
+            return `สี ${key} ต้องอยู่ในรูปแบบ #RRGGBB`;
+        }
+    }
+    if (template.sections !== undefined) {
+        const unknown = template.sections.filter(key => !SECTION_KEYS.includes(key));
+        if (unknown.length > 0) {
+            return `ไม่รู้จักหัวข้อ ${unknown.join(', ')} (${SECTION_KEYS.join(', ')})`;
+        }
+        if (new Set(template.sections).size !== template.sections.length) {
+            return 'หัวข้อซ้ำกัน';
+        }
+    }
+    return null;
+}
+
+async function listTemplates(store = getStore()) {
+    const all = await templates(store).list();
+    return all.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+async function getTemplate(id, store = getStore()) {
+    return isValidTemplateId(id) ? templates(store).get(id) : null;
+}
+
+async function createTemplate(input, store = getStore()) {
+    const now = new Date().toISOString();
+    const id = isValidTemplateId(input.id) ? input.id : `tpl-${Date.now()}`;
+    const template = buildTemplate(input, { id, logo: null, created_at: now, updated_at: now });
+
+    await templates(store).put(id, template);
+    return template;
+}
+
+async function updateTemplate(id, input, store = getStore()) {
+    const current = await getTemplate(id, store);
+    if (!current) return null;
+
+    const updated = buildTemplate(input, { ...current, updated_at: new Date().toISOString() });
+    await templates(store).put(id, updated);
+    return updated;
+}
+
+async function deleteTemplate(id, store = getStore()) {
+    const current = await getTemplate(id, store);
+    if (!current) return false;
+
+    if (current.logo) await store.removeFile(current.logo.key);
+    return templates(store).remove(id);
+}
+
+// ====================================================
+// LOGO
+// ====================================================
+
+async function setTemplateLogo(id, file, store = getStore()) {
+    const current = await getTemplate(id, store);
+    if (!current) return null;
+
+    if (current.logo) await store.removeFile(current.logo.key);
+
+    const key = `pdf-templates/${id}/logo${LOGO_TYPES[file.mimetype] || path.extname(file.originalname)}`;
+    await store.putFile(key, file.buffer);
+
+    const updated = {
+        ...current,
+        logo: { key, originalname: file.originalname, mimetype: file.mimetype, size: file.size },
+        updated_at: new Date().toISOString()
+    };
+    await templates(store).put(id, updated);
+    return updated;
+}
+
+async function removeTemplateLogo(id, store = getStore()) {
+    const current = await getTemplate(id, store);
+    if (!current) return null;
+
+    if (current.logo) await store.removeFile(current.logo.key);
+
+    const updated = { ...current, logo: null, updated_at: new Date().toISOString() };
+    await templates(store).put(id, updated);
+    return updated;
+}
+
+// ====================================================
+// RESOLUTION
+// ====================================================
+
+// Stored template merged over the defaults, with the logo loaded.
+// COMPANY_NAME is used when the template does not name the company.
+async function renderTemplate(template, store = getStore()) {
+    const merged = {
+        ...DEFAULT_TEMPLATE,
+        ...(template || {}),
+        colors: { ...DEFAULT_TEMPLATE.colors, ...((template && template.colors) || {}) }
+    };
+
+    merged.company_name = merged.company_name || process.env.COMPANY_NAME || '';
+    merged.sections = (merged.sections || SECTION_KEYS).filter(key => SECTION_KEYS.includes(key));
+    merged.logoBuffer = merged.logo ? await store.getFile(merged.logo.key) : null;
+
+    return merged;
+}
+
+// Picks the template for an application: an explicit ID, then the first
+// of its positions that names one, then "default". Asking for "default"
+// explicitly gives the built-in look when it has not been saved.
+async function resolveTemplate(application, { templateId } = {}, store = getStore()) {
+    if (templateId === DEFAULT_TEMPLATE.id) {
+        return renderTemplate(await getTemplate(templateId, store), store);
+    }
+
+    const candidates = [templateId];
+
+    for (const positionId of (application && application.position_ids) || []) {
+        const position = await getPosition(positionId, store);
+        if (position && position.pdf_template) candidates.push(position.pdf_template);
+    }
+    candidates.push(DEFAULT_TEMPLATE.id);
+
+    for (const id of candidates.filter(Boolean)) {
+        const template = await getTemplate(id, store);
+        if (template) return renderTemplate(template, store);
+    }
+
+    return renderTemplate(null, store);
+}
+
+// Made-up application used for template previews
+const SAMPLE_APPLICATION = {
+    id: 'APP0000000000000',
+    position: 'ตัวอย่างตำแหน่งงาน',
+    position_ids: [],
+    personal_info: {
+        fullname_th: 'สมชาย ใจดี',
+        fullname_en: 'Somchai Jaidee',
+        gender: 'ชาย',
+        birthdate: '1995-01-15',
+        age: '30',
+        nationality: 'ไทย',
+        ethnicity: 'ไทย',
+        religion: 'พุทธ',
+        id_card: '1234567890123',
+        phone: '081-234-5678',
+        line_id: 'somchai.j',
+        email: 'somchai@example.com',
+        address: {
+            full: '99/9 ถนนสุขุมวิท',
+            subdistrict: 'คลองเตย',
+            district: 'คลองเตย',
+            province: 'กรุงเทพมหานคร',
+            zipcode: '10110'
+        }
+    },
+    education: {
+        entries: [
+            { level: 'high_school', school: 'โรงเรียนตัวอย่างวิทยา', major: 'วิทย์-คณิต', year: '2556' },
+            { level: 'bachelor', school: 'มหาวิทยาลัยตัวอย่าง', major: 'บริหารธุรกิจ', year: '2560' },
+            { level: 'master', school: 'มหาวิทยาลัยตัวอย่าง', major: 'การจัดการ', year: '2564' }
+        ],
+        education_used: 'ปริญญาโท'
+    },
+    work_experience: [
+        { company: 'บริษัท ตัวอย่าง จำกัด', position: 'หัวหน้างานธุรการ', start: '2022-07', end: '', reason: '' },
+        { company: 'บริษัท ทดสอบ จำกัด', position: 'เจ้าหน้าที่ธุรการ', start: '2017-06', end: '2022-06', reason: 'ต้องการความก้าวหน้า' }
+    ],
+    additional_info: {
+        has_disease: 'ไม่มี',
+        has_criminal_record: 'ไม่เคย',
+        special_skills: 'Microsoft Office, ภาษาอังกฤษ',
+        expected_salary: '20000',
+        start_date: '2025-02-01',
+        motivation: 'ต้องการร่วมงานกับองค์กรที่มั่นคงและพัฒนาตัวเองอย่างต่อเนื่อง'
+    },
+    declaration: {
+        version: DECLARATION_VERSION,
+        text: DECLARATION_TEXT,
+        accepted: true,
+        accepted_at: '2025-01-01T09:00:00.000Z'
+    },
+    submitted_at: '2025-01-01T09:00:00.000Z',
+    status: 'pending'
+};
+
+module.exports = {
+    LANGUAGES,
+    SECTION_KEYS,
+    COLOR_KEYS,
+    DEFAULT_TEMPLATE,
+    SAMPLE_APPLICATION,
+    buildTemplate,
+    validateTemplate,
+    listTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    setTemplateLogo,
+    removeTemplateLogo,
+    renderTemplate,
+    resolveTemplate
+};
@@ -0,0 +1,545 @@
+// lib/pdf.js - JOB APPLICATION PDF
+// ====================================================
+
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+const { PDFLayout } = require('./pdf-layout');
+const { safeFilename } = require('./sanitize');
+const logger = require('./logger');
+const { DEFAULT_TEMPLATE, SECTION_KEYS } = require('./pdf-templates');
+const { educationEntries, workEntries, formatMonth } = require('./history');
+
+// ====================================================
+// THAI FONTS
+// ====================================================
+//
+// Sarabun ships with the deployment in fonts/. PDF_FONT_REGULAR and
+// PDF_FONT_BOLD (or PDF_FONT_DIR) point at other files. Fallback chain:
+// configured path -> bundled Sarabun -> regular weight for bold ->
+// PDFKit's built-in Helvetica, so a missing file never fails a submission.
+
+const BUNDLED_FONT_DIR = path.join(__dirname, '..', 'fonts');
+const BUILTIN_FONT = 'Helvetica';
+
+let cachedFonts = null;
+
+function fontCandidates(weight) {
+    const configured = weight === 'bold' ? process.env.PDF_FONT_BOLD : process.env.PDF_FONT_REGULAR;
+    const fileName = weight === 'bold' ? 'Sarabun-Bold' : 'Sarabun-Regular';
+    const dirs = [process.env.PDF_FONT_DIR, BUNDLED_FONT_DIR].filter(Boolean);
+
+    return [
+        configured,
+        ...dirs.flatMap(dir => ['.ttf', '.woff'].map(ext => path.join(dir, fileName + ext)))
+    ].filter(Boolean);
+}
+
+function readFirstFont(candidates) {
+    for (const candidate of candidates) {
+        try {
+            return { file: candidate, buffer: fs.readFileSync(candidate) };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Cannot read font', { file: candidate, error: error.message });
+            }
+        }
+    }
+    return null;
+}
+
+function loadThaiFonts() {
+    if (cachedFonts) return cachedFonts;
+
+    const regular = readFirstFont(fontCandidates('regular'));
+    const bold = readFirstFont(fontCandidates('bold'));
+
+    if (!regular) {
+        logger.error('Thai font not found, using the built-in font', { candidates: fontCandidates('regular'), font: BUILTIN_FONT });
+        cachedFonts = { regular: BUILTIN_FONT, bold: `${BUILTIN_FONT}-Bold` };
+        return cachedFonts;
+    }
+
+    if (!bold) {
+        logger.warn('Bold font not available, using regular');
+    }
+
+    logger.info('Thai fonts loaded', { regular: regular.file, bold: bold ? bold.file : null });
+    cachedFonts = { regular: regular.buffer, bold: bold ? bold.buffer : regular.buffer };
+    return cachedFonts;
+}
+
+// ====================================================
+// CLEAN PROFESSIONAL PDF GENERATION
+// ====================================================
+//
+// Sections flow top to bottom across as many A4 pages as the application
+// needs (see lib/pdf-layout.js). Every page repeats a small header with
+// the application ID and ends with the submission date and page number.
+// Branding, colors, section order and label language come from the
+// template (lib/pdf-templates.js).
+
+const MARGIN = 30;
+const HEADER_HEIGHT = 30;
+const FOOTER_HEIGHT = 30;
+const PHOTO_SIZE = 80;
+const LOGO_HEIGHT = 40;
+
+const LABELS = {
+    th: {
+        locale: 'th-TH',
+        application: 'ใบสมัครงาน',
+        application_id: 'รหัสใบสมัคร',
+        submitted_at: 'วันที่สมัคร',
+        page: (page, count) => `หน้า ${page} / ${count}`,
+        time_suffix: ' น.',
+        contact: 'ข้อมูลติดต่อ',
+        personal: 'ข้อมูลส่วนตัว',
+        age: age => `อายุ ${age} ปี`,
+        education_used: 'การศึกษา',
+        id_card: 'บัตรปชช',
+        address: 'ที่อยู่',
+        education: 'ประวัติการศึกษา',
+        education_levels: {
+            high_school: 'มัธยมศึกษา',
+            vocational: 'ปวช./ปวส.',
+            bachelor: 'ปริญญาตรี',
+            master: 'ปริญญาโท',
+            doctorate: 'ปริญญาเอก',
+            other: 'อื่นๆ'
+        },
+        graduated: 'ปีที่จบ',
+        work_experience: 'ประสบการณ์ทำงาน',
+        no_work_experience: 'ไม่มีประสบการณ์ทำงาน',
+        no_job_title: 'ไม่ระบุตำแหน่ง',
+        to: 'ถึง',
+        present: 'ปัจจุบัน',
+        leaving_reason: 'เหตุผลที่ออก',
+        additional_info: 'ข้อมูลเพิ่มเติม',
+        special_skills: 'ความสามารถพิเศษ',
+        expected_salary: salary => `เงินเดือนที่คาดหวัง: ${salary} บาท`,
+        start_date: 'วันที่สามารถเริ่มงาน',
+        motivation: 'เหตุผลที่สมัคร',
+        declarations: 'ข้อมูลที่ผู้สมัครแจ้ง',
+        fullname_th: 'ชื่อ-นามสกุล (ไทย)',
+        fullname_en: 'ชื่อ-นามสกุล (อังกฤษ)',
+        birthdate: 'วันเกิด',
+        nationality: 'สัญชาติ',
+        ethnicity: 'เชื้อชาติ',
+        religion: 'ศาสนา',
+        disease: 'โรคประจำตัว',
+        criminal_record: 'ประวัติการต้องโทษ',
+        signature: 'คำรับรองของผู้สมัคร',
+        no_declaration: 'ไม่มีข้อมูลการยืนยันคำรับรอง',
+        signed: 'ลงชื่อ ........................................ ผู้สมัคร',
+        accepted_online: 'ยืนยันทางออนไลน์เมื่อ'
+    },
+    en: {
+        locale: 'en-GB',
+        application: 'Job Application',
+        application_id: 'Application ID',
+        submitted_at: 'Submitted',
+        page: (page, count) => `Page ${page} of ${count}`,
+        time_suffix: '',
+        contact: 'Contact',
+        personal: 'Personal',
+        age: age => `Age ${age}`,
+        education_used: 'Education',
+        id_card: 'ID card',
+        address: 'Address',
+        education: 'Education History',
+        education_levels: {
+            high_school: 'High School',
+            vocational: 'Vocational Certificate',
+            bachelor: "Bachelor's Degree",
+            master: "Master's Degree",
+            doctorate: 'Doctorate',
+            other: 'Other'
+        },
+        graduated: 'Graduated',
+        work_experience: 'Work Experience',
+        no_work_experience: 'No work experience',
+        no_job_title: 'Position not specified',
+        to: 'to',
+        present: 'Present',
+        leaving_reason: 'Reason for leaving',
+        additional_info: 'Additional Information',
+        special_skills: 'Special skills',
+        expected_salary: salary => `Expected salary: ${salary} THB`,
+        start_date: 'Available from',
+        motivation: 'Why I Am Applying',
+        declarations: "Applicant's Declarations",
+        fullname_th: 'Full name (Thai)',
+        fullname_en: 'Full name (English)',
+        birthdate: 'Date of birth',
+        nationality: 'Nationality',
+        ethnicity: 'Ethnicity',
+        religion: 'Religion',
+        disease: 'Medical conditions',
+        criminal_record: 'Criminal record',
+        signature: "Applicant's Declaration",
+        no_declaration: 'No declaration on record',
+        signed: 'Signed ........................................ Applicant',
+        accepted_online: 'Accepted online on'
+    }
+};
+
+function buildStyles(colors) {
+    return {
+        title:    { font: 'SarabunBold', size: 24, color: colors.title },
+        company:  { font: 'SarabunBold', size: 14, color: colors.heading },
+        name:     { font: 'SarabunBold', size: 16, color: colors.heading },
+        subtitle: { font: 'Sarabun', size: 12, color: colors.muted },
+        heading:  { font: 'SarabunBold', size: 12, color: colors.heading },
+        label:    { font: 'SarabunBold', size: 11, color: colors.heading },
+        accent:   { font: 'SarabunBold', size: 10, color: colors.accent },
+        body:     { font: 'Sarabun', size: 10, color: colors.text, lineGap: 2 },
+        detail:   { font: 'Sarabun', size: 9, color: colors.muted, lineGap: 1 },
+        muted:    { font: 'Sarabun', size: 9, color: colors.faint, lineGap: 1 },
+        small:    { font: 'Sarabun', size: 8, color: colors.faint },
+        rule:     { color: colors.rule }
+    };
+}
+
+function submittedDate(data, labels) {
+    return new Date(data.submitted_at || Date.now()).toLocaleDateString(labels.locale);
+}
+
+// Birthdates are calendar days (YYYY-MM-DD); print them as given
+function formatBirthdate(value, labels) {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (!value || isNaN(date.getTime())) return value || '-';
+    return date.toLocaleDateString(labels.locale, { timeZone: 'UTC', year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+function formatDateTime(value, labels) {
+    return `${new Date(value).toLocaleString(labels.locale, {
+        timeZone: 'Asia/Bangkok',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    })}${labels.time_suffix}`;
+}
+
+function withDetail(answer, detail) {
+    return detail ? `${answer || '-'} - ${detail}` : (answer || '-');
+}
+
+// Logo, company name and address above the title
+function drawBranding(layout, template) {
+    const { doc } = layout;
+    if (!template.logoBuffer && !template.company_name && !template.company_address) return;
+
+    const top = layout.y;
+    let textX = layout.left;
+
+    if (template.logoBuffer) {
+        try {
+            const logo = doc.openImage(template.logoBuffer);
+            const width = Math.min(LOGO_HEIGHT * logo.width / logo.height, layout.width / 3);
+            doc.image(logo, layout.left, top, { fit: [width, LOGO_HEIGHT] });
+            textX += width + 12;
+        } catch (logoError) {
+            logger.error('Error embedding logo', logoError);
+        }
+    }
+
+    const textWidth = layout.left + layout.width - textX;
+    layout.text(template.company_name, 'company', { x: textX, width: textWidth });
+    layout.text(template.company_address, 'detail', { x: textX, width: textWidth });
+
+    doc.y = Math.max(doc.y, template.logoBuffer ? top + LOGO_HEIGHT : 0);
+    layout.rule(8, template.colors.accent);
+}
+
+function drawTitle(layout, data, photoBuffer, { labels }) {
+    const { doc } = layout;
+    const top = layout.y;
+    const textWidth = layout.width - PHOTO_SIZE - 10;
+
+    if (photoBuffer) {
+        try {
+            doc.image(photoBuffer, layout.left + layout.width - PHOTO_SIZE, top, {
+                width: PHOTO_SIZE,
+                height: PHOTO_SIZE
+            });
+        } catch (photoError) {
+            logger.error('Error embedding photo', photoError);
+        }
+    }
+
+    layout.text(data.position, 'title', { width: textWidth });
+    layout.moveDown(2);
+    layout.text(data.personal_info.fullname_th, 'name', { width: textWidth });
+    layout.text(data.personal_info.fullname_en, 'subtitle', { width: textWidth });
+    layout.moveDown(4);
+    layout.text(`${labels.application_id}: ${data.id}`, 'muted', { width: textWidth });
+
+    doc.y = Math.max(doc.y, photoBuffer ? top + PHOTO_SIZE : 0);
+    layout.rule();
+}
+
+// ====================================================
+// SECTIONS
+// ====================================================
+
+function drawQuickInfo(layout, data, { labels }) {
+    const info = data.personal_info;
+
+    layout.columns([
+        [
+            [labels.contact, 'label'],
+            [info.phone, 'body'],
+            [info.line_id, 'body'],
+            [info.email, 'body']
+        ],
+        [
+            [labels.personal, 'label'],
+            [`${info.gender}  ${labels.age(info.age)}`, 'body'],
+            [info.nationality, 'body'],
+            [info.religion, 'body']
+        ],
+        [
+            [labels.education_used, 'label'],
+            [data.education.education_used, 'body'],
+            [`${labels.id_card}: ${info.id_card}`, 'detail']
+        ]
+    ]);
+    layout.rule();
+}
+
+function drawAddress(layout, data, { labels }) {
+    const address = data.personal_info.address;
+
+    layout.heading(labels.address);
+    layout.text(address.full, 'body');
+    layout.moveDown(3);
+    layout.line(`${address.subdistrict}, ${address.district}`, 'detail');
+    layout.line(`${address.province} ${address.zipcode}`, 'detail');
+}
+
+// Any number of entries, in the order the applicant gave them
+function drawEducation(layout, data, { labels }) {
+    layout.heading(labels.education);
+
+    educationEntries(data.education).forEach((entry) => {
+        const label = labels.education_levels[entry.level] || labels.education_levels.other;
+        const details = entry.major || entry.year
+            ? `${entry.major || '-'}  ${labels.graduated} ${entry.year || '-'}`
+            : '';
+
+        layout.ensureSpace(layout.heightOf(label, 'accent') + layout.heightOf(entry.school, 'body') + 12);
+        layout.text(label, 'accent');
+        layout.text(entry.school, 'body');
+        layout.line(details, 'detail');
+        layout.moveDown(8);
+    });
+}
+
+function drawWorkExperience(layout, data, { labels }) {
+    const history = workEntries(data);
+
+    layout.heading(labels.work_experience);
+
+    if (history.length === 0) {
+        layout.line(labels.no_work_experience, 'muted');
+        return;
+    }
+
+    history.forEach((work) => {
+        const title = work.position || labels.no_job_title;
+
+        // Keep position, company and dates together
+        layout.ensureSpace(layout.heightOf(title, 'label') + layout.heightOf(work.company, 'body') + 14);
+        layout.text(title, 'label');
+        layout.text(work.company, 'body');
+        layout.text(`${formatMonth(work.start) || '-'} ${labels.to} ${formatMonth(work.end) || labels.present}`, 'detail');
+        if (work.reason) {
+            layout.text(`${labels.leaving_reason}: ${work.reason}`, 'muted');
+        }
+        layout.moveDown(10);
+    });
+}
+
+function drawAdditionalInfo(layout, data, { labels }) {
+    const info = data.additional_info;
+
+    layout.heading(labels.additional_info);
+
+    if (info.special_skills) {
+        layout.text(`${labels.special_skills}: ${info.special_skills}`, 'body');
+        layout.moveDown(6);
+    }
+    if (info.expected_salary) {
+        layout.line(labels.expected_salary(info.expected_salary), 'body');
+    }
+    if (info.start_date) {
+        layout.line(`${labels.start_date}: ${info.start_date}`, 'body');
+    }
+}
+
+function drawMotivation(layout, data, { labels }) {
+    if (!data.additional_info.motivation) return;
+
+    layout.heading(labels.motivation);
+    layout.text(data.additional_info.motivation, 'body');
+}
+
+// Everything the applicant declared about themselves, as collected
+function drawDeclarations(layout, data, { labels }) {
+    const info = data.personal_info;
+    const extra = data.additional_info;
+
+    layout.heading(labels.declarations);
+    layout.columns([
+        [
+            [`${labels.fullname_th}: ${info.fullname_th}`, 'body'],
+            [`${labels.fullname_en}: ${info.fullname_en || '-'}`, 'body'],
+            [`${labels.birthdate}: ${formatBirthdate(info.birthdate, labels)}  (${labels.age(info.age || '-')})`, 'body'],
+            [`${labels.nationality} ${info.nationality || '-'}  ${labels.ethnicity} ${info.ethnicity || '-'}  ${labels.religion} ${info.religion || '-'}`, 'body']
+        ],
+        [
+            [`${labels.disease}: ${withDetail(extra.has_disease, extra.disease_detail)}`, 'body'],
+            [`${labels.criminal_record}: ${withDetail(extra.has_criminal_record, extra.criminal_detail)}`, 'body']
+        ]
+    ]);
+}
+
+// Statement the applicant accepted, with when they accepted it
+function drawSignature(layout, data, { labels }) {
+    const declaration = data.declaration;
+    const signatureX = layout.left + layout.width / 2;
+    const signatureWidth = layout.width / 2;
+
+    if (!declaration || !declaration.accepted) {
+        layout.heading(labels.signature);
+        layout.line(labels.no_declaration, 'muted');
+        return;
+    }
+
+    // Heading, statement and signature lines stay on one page
+    layout.ensureSpace(layout.heightOf(labels.signature, 'heading') + layout.heightOf(declaration.text, 'body') + 80);
+    layout.heading(labels.signature);
+    layout.text(declaration.text, 'body');
+    layout.moveDown(20);
+
+    layout.text(labels.signed, 'body', { x: signatureX, width: signatureWidth });
+    layout.text(`( ${data.personal_info.fullname_th} )`, 'body', { x: signatureX, width: signatureWidth });
+    layout.text(`${labels.accepted_online} ${formatDateTime(declaration.accepted_at, labels)}`, 'detail', { x: signatureX, width: signatureWidth });
+}
+
+// Template section keys (SECTION_KEYS) -> renderers
+const SECTIONS = {
+    quick_info: drawQuickInfo,
+    address: drawAddress,
+    education: drawEducation,
+    work_experience: drawWorkExperience,
+    additional_info: drawAdditionalInfo,
+    motivation: drawMotivation,
+    declarations: drawDeclarations,
+    signature: drawSignature
+};
+
+function drawPageFrame(layout, data, { labels, template }, pageNumber, pageCount, margins) {
+    const { doc } = layout;
+    const left = layout.left;
+    const width = layout.width;
+    const headerY = MARGIN;
+    const footerY = doc.page.height - margins.bottom + 10;
+
+    // Header; the name gives way to the application ID
+    const applicationId = `${labels.application_id}: ${data.id}`;
+    layout.style('small');
+    const nameWidth = width - doc.widthOfString(applicationId) - 15;
+    const name = layout.truncate(`${template.company_name || labels.application} · ${data.personal_info.fullname_th}`, 'small', nameWidth);
+    doc.text(name, left, headerY, { width: nameWidth, align: 'left', lineBreak: false });
+    doc.text(applicationId, left, headerY, { width, align: 'right', lineBreak: false });
+    doc.moveTo(left, headerY + 14)
+       .lineTo(left + width, headerY + 14)
+       .lineWidth(0.5)
+       .stroke(template.colors.rule);
+
+    // Footer
+    doc.moveTo(left, footerY)
+       .lineTo(left + width, footerY)
+       .lineWidth(0.5)
+       .stroke(template.colors.rule);
+
+    layout.style('small');
+    doc.text(`${labels.submitted_at}: ${submittedDate(data, labels)}`, left, footerY + 8, { width, align: 'left', lineBreak: false });
+    doc.text(labels.page(pageNumber, pageCount), left, footerY + 8, { width, align: 'right', lineBreak: false });
+}
+
+// `template` is a rendered template from lib/pdf-templates.js
+// (resolveTemplate / renderTemplate); the built-in default is used without one.
+async function generateJobApplicationPDF(data, photoBuffer, template = DEFAULT_TEMPLATE) {
+    return new Promise((resolve, reject) => {
+        try {
+            const fonts = loadThaiFonts();
+            const colors = { ...DEFAULT_TEMPLATE.colors, ...(template.colors || {}) };
+            const context = {
+                template: { ...template, colors },
+                labels: LABELS[template.language] || LABELS.th
+            };
+
+            // Pin the creation date so the same application renders the same PDF.
+            // Pages stay buffered so the footer can print the total page count.
+            const doc = new PDFDocument({
+                size: 'A4',
+                bufferPages: true,
+                margins: {
+                    top: MARGIN + HEADER_HEIGHT,
+                    bottom: MARGIN + FOOTER_HEIGHT,
+                    left: MARGIN,
+                    right: MARGIN
+                },
+                info: {
+                    Title: `${context.labels.application} ${data.id}`,
+                    Author: template.company_name || '',
+                    CreationDate: new Date(data.submitted_at || Date.now())
+                }
+            });
+
+            const chunks = [];
+
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            doc.registerFont('Sarabun', fonts.regular);
+            doc.registerFont('SarabunBold', fonts.bold);
+
+            const layout = new PDFLayout(doc, buildStyles(colors));
+
+            drawBranding(layout, context.template);
+            drawTitle(layout, data, photoBuffer, context);
+
+            (template.sections || SECTION_KEYS)
+                .filter(key => SECTIONS[key])
+                .forEach((key, index) => {
+                    if (index > 0 && key !== 'quick_info') layout.moveDown(15);
+                    SECTIONS[key](layout, data, context);
+                });
+
+            layout.decoratePages((pageNumber, pageCount, margins) =>
+                drawPageFrame(layout, data, context, pageNumber, pageCount, margins));
+
+            doc.end();
+
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+function pdfFilename(application) {
+    return safeFilename(`Job_Application_${application.personal_info.fullname_th}_${application.id}.pdf`, `Job_Application_${application.id}.pdf`);
+}
+
+module.exports = {
+    loadThaiFonts,
+    generateJobApplicationPDF,
+    pdfFilename
+};
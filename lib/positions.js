@@ -0,0 +1,175 @@
+// lib/positions.js - JOB POSITIONS
+// ====================================================
+//
+// Positions live in the "positions" collection. The form only offers
+// positions that are open and not past their closing date, and the
+// submit handler resolves the chosen IDs against the same rules.
+
+const { getStore } = require('./store');
+const { parseDate } = require('./validation');
+
+// What the form offered before positions were managed from the API
+const DEFAULT_POSITIONS = [
+    { id: 'admin', title: '👔 Admin (เจ้าหน้าที่ธุรการ)', department: 'ธุรการ' },
+    { id: 'sales', title: '💼 ฝ่ายขายการตลาด', department: 'ขายและการตลาด' },
+    { id: 'welder', title: '🔧 ช่างเชื่อม', department: 'ฝ่ายผลิต' },
+    { id: 'assistant', title: '🛠️ ผู้ช่วยช่าง', department: 'ฝ่ายผลิต' },
+    { id: 'packing', title: '📦 Packing (พนักงานแพ็คสินค้า)', department: 'คลังสินค้า' }
+];
+
+function positions(store) {
+    return store.collection('positions');
+}
+
+function isValidPositionId(id) {
+    return /^[a-z0-9][a-z0-9-]{1,39}$/.test(String(id || ''));
+}
+
+// Closing dates are calendar days in Thailand
+function isPastClosingDate(position, now = new Date()) {
+    if (!position.closing_date) return false;
+    const closesAt = new Date(`${position.closing_date}T23:59:59.999+07:00`);
+    return !isNaN(closesAt.getTime()) && now > closesAt;
+}
+
+function isAcceptingApplications(position, now = new Date()) {
+    return Boolean(position) && position.open !== false && !isPastClosingDate(position, now);
+}
+
+// Fields the public form needs
+function publicPosition(position) {
+    return {
+        id: position.id,
+        title: position.title,
+        description: position.description,
+        department: position.department,
+        headcount: position.headcount,
+        closing_date: position.closing_date
+    };
+}
+
+function buildPosition(input, current = {}) {
+    const position = { ...current };
+
+    if (input.title !== undefined) position.title = String(input.title).trim();
+    if (input.description !== undefined) position.description = String(input.description || '').trim();
+    if (input.department !== undefined) position.department = String(input.department || '').trim();
+    if (input.open !== undefined) position.open = input.open === true || input.open === 'true';
+    if (input.headcount !== undefined) {
+        position.headcount = input.headcount === '' || input.headcount === null ? null : parseInt(input.headcount, 10);
+    }
+    if (input.closing_date !== undefined) position.closing_date = input.closing_date || null;
+    if (input.pdf_template !== undefined) position.pdf_template = String(input.pdf_template || '').trim() || null;
+
+    return position;
+}
+
+// Returns an error message (Thai) or null
+function validatePosition(position) {
+    if (!position.title) {
+        return 'กรุณาระบุชื่อตำแหน่ง';
+    }
+    if (position.headcount !== null && position.headcount !== undefined &&
+        (!Number.isInteger(position.headcount) || position.headcount < 0)) {
+        return 'จำนวนที่รับต้องเป็นจำนวนเต็มไม่ติดลบ';
+    }
+    if (position.closing_date && !parseDate(position.closing_date)) {
+        return 'วันปิดรับสมัครต้องเป็นวันที่ที่มีอยู่จริงในรูปแบบ YYYY-MM-DD';
+    }
+    if (position.pdf_template && !/^[a-z0-9][a-z0-9-]{1,39}$/.test(position.pdf_template)) {
+        return 'รหัสเทมเพลต PDF ไม่ถูกต้อง';
+    }
+    return null;
+}
+
+// Seeds the default positions the first time the collection is read.
+// A marker in "settings" keeps them from coming back once HR deletes them.
+async function listPositions(store = getStore()) {
+    let all = await positions(store).list();
+
+    if (all.length === 0 && !(await store.collection('settings').get('positions-seeded'))) {
+        const now = new Date().toISOString();
+        all = DEFAULT_POSITIONS.map((position, index) => ({
+            ...position,
+            sort_order: index,
+            description: '',
+            open: true,
+            headcount: null,
+            closing_date: null,
+            created_at: now,
+            updated_at: now
+        }));
+        // Shown but not saved while the store refuses writes (lib/store.js)
+        if (!store.unavailable) {
+            await Promise.all(all.map(position => positions(store).put(position.id, position)));
+            await store.collection('settings').put('positions-seeded', { seeded_at: now });
+        }
+    }
+
+    const order = position => (Number.isInteger(position.sort_order) ? position.sort_order : Infinity);
+    return all.sort((a, b) => (order(a) - order(b)) || String(a.created_at).localeCompare(String(b.created_at)));
+}
+
+async function listOpenPositions(store = getStore()) {
+    const now = new Date();
+    return (await listPositions(store)).filter(position => isAcceptingApplications(position, now));
+}
+
+async function getPosition(id, store = getStore()) {
+    return isValidPositionId(id) ? positions(store).get(id) : null;
+}
+
+async function createPosition(input, store = getStore()) {
+    const now = new Date().toISOString();
+    const id = isValidPositionId(input.id) ? input.id : `pos-${Date.now()}`;
+    const position = buildPosition({ open: true, ...input }, { id, created_at: now, updated_at: now });
+
+    await positions(store).put(id, position);
+    return position;
+}
+
+async function updatePosition(id, input, store = getStore()) {
+    const current = await getPosition(id, store);
+    if (!current) return null;
+
+    const updated = buildPosition(input, { ...current, updated_at: new Date().toISOString() });
+    await positions(store).put(id, updated);
+    return updated;
+}
+
+async function deletePosition(id, store = getStore()) {
+    return isValidPositionId(id) ? positions(store).remove(id) : false;
+}
+
+// Resolves the IDs sent by the form. Unknown or closed positions are
+// returned in `rejected` so the handler can refuse the submission.
+async function resolvePositions(ids, store = getStore()) {
+    const list = (Array.isArray(ids) ? ids : String(ids || '').split(','))
+        .map(id => String(id).trim())
+        .filter(Boolean);
+    const unique = Array.from(new Set(list));
+    const all = await listPositions(store);
+
+    const accepted = [];
+    const rejected = [];
+    for (const id of unique) {
+        const position = all.find(p => p.id === id);
+        (isAcceptingApplications(position) ? accepted : rejected).push(position || { id });
+    }
+
+    return { accepted, rejected };
+}
+
+module.exports = {
+    isAcceptingApplications,
+    publicPosition,
+    buildPosition,
+    validatePosition,
+    listPositions,
+    listOpenPositions,
+    getPosition,
+    createPosition,
+    updatePosition,
+    deletePosition,
+    resolvePositions
+};
@@ -0,0 +1,305 @@
+// lib/privacy.js - PDPA RETENTION & DATA SUBJECT REQUESTS
+// ====================================================
+//
+// Retention: applications with no activity for RETENTION_MONTHS (default
+// 12, 0 keeps them forever) are anonymized or deleted, depending on
+// RETENTION_ACTION:
+//   anonymize (default)  only what the hiring statistics need is kept
+//                        (position, status history, gender, age,
+//                        province...); files and emails are removed
+//   delete               the application is removed altogether
+// Hired applicants are left alone: their data moves on to the employee
+// record. Run from GET /api/cron/retention or the admin API.
+//
+// Data subject requests: HR finds everything held about one person by
+// ID card and/or email, then downloads it as a ZIP (data.json plus the
+// uploaded files) or erases it: applications, their files, revisions,
+// emails, interview bookings and saved drafts.
+//
+// Callers record both in the audit log (lib/audit.js).
+
+const path = require('path');
+const archiver = require('archiver');
+const { getStore, listApplications } = require('./store');
+const { isValidEmail } = require('./validation');
+const { deleteEmails } = require('./outbox');
+const { forgetApplication } = require('./interviews');
+const drafts = require('./drafts');
+const { unindexApplication } = require('./duplicates');
+
+const RETENTION_ACTIONS = ['anonymize', 'delete'];
+const DEFAULT_RETENTION_MONTHS = 12;
+
+// Statuses retention never touches
+const KEPT_STATUSES = ['hired'];
+
+function applications(store) {
+    return store.collection('applications');
+}
+
+function retentionMonths() {
+    const months = Number(process.env.RETENTION_MONTHS);
+    return Number.isFinite(months) && months >= 0 ? months : DEFAULT_RETENTION_MONTHS;
+}
+
+function retentionAction() {
+    return RETENTION_ACTIONS.includes(process.env.RETENTION_ACTION) ? process.env.RETENTION_ACTION : 'anonymize';
+}
+
+function isAnonymized(application) {
+    return Boolean(application && application.anonymized_at);
+}
+
+// Status changes, emails and revisions all move updated_at
+function lastActivity(application) {
+    return application.updated_at || application.submitted_at;
+}
+
+function isDue(application, months, now) {
+    if (!months || isAnonymized(application) || KEPT_STATUSES.includes(application.status)) return false;
+
+    const expires = new Date(lastActivity(application));
+    expires.setUTCMonth(expires.getUTCMonth() + months);
+    return expires <= now;
+}
+
+// Every stored file: current uploads and those kept with revisions
+function fileEntries(application) {
+    const entries = Object.entries(application.files || {}).map(([field, meta]) => ({ name: field, meta }));
+    for (const revision of application.revisions || []) {
+        for (const [field, meta] of Object.entries(revision.files || {})) {
+            entries.push({ name: `rev${revision.revision}_${field}`, meta });
+        }
+    }
+    return entries;
+}
+
+// Files, emails, interview bookings and duplicate index entries; the
+// record itself is up to the caller
+async function removeApplicationData(application, store) {
+    for (const { meta } of fileEntries(application)) {
+        await store.removeFile(meta.key);
+    }
+    await unindexApplication(application, store);
+    await deleteEmails({ application_id: application.id }, store);
+    await forgetApplication(application.id, store);
+}
+
+// Drops links to applications that no longer exist (or identify no one)
+// from everyone else's possible_duplicates
+async function forgetDuplicateLinks(ids, store) {
+    if (ids.length === 0) return;
+
+    for (const application of await listApplications(store)) {
+        const links = application.possible_duplicates || [];
+        const kept = links.filter(link => !ids.includes(link.id));
+        if (kept.length !== links.length) {
+            await applications(store).put(application.id, { ...application, possible_duplicates: kept });
+        }
+    }
+}
+
+// ====================================================
+// RETENTION
+// ====================================================
+
+function anonymizedRecord(application, now) {
+    const info = application.personal_info || {};
+    const stamp = record => record && { version: record.version, accepted_at: record.accepted_at };
+
+    return {
+        id: application.id,
+        position: application.position,
+        position_ids: application.position_ids,
+        status: application.status,
+        status_history: (application.status_history || []).map(({ status, at, by }) => ({ status, at, by })),
+        personal_info: {
+            gender: info.gender,
+            age: info.age,
+            nationality: info.nationality,
+            address: { province: (info.address || {}).province }
+        },
+        education: { education_used: (application.education || {}).education_used },
+        language: application.language,
+        revision: application.revision || 0,
+        declaration: stamp(application.declaration),
+        consent: stamp(application.consent),
+        files: {},
+        submitted_at: application.submitted_at,
+        updated_at: now,
+        anonymized_at: now
+    };
+}
+
+async function anonymizeApplication(application, store = getStore()) {
+    await removeApplicationData(application, store);
+
+    const record = anonymizedRecord(application, new Date().toISOString());
+    await applications(store).put(application.id, record);
+    return record;
+}
+
+async function eraseApplication(application, store = getStore()) {
+    await removeApplicationData(application, store);
+    await applications(store).remove(application.id);
+}
+
+// What the next run would process
+async function dueForRetention({ now = new Date() } = {}, store = getStore()) {
+    const months = retentionMonths();
+    return (await listApplications(store)).filter(application => isDue(application, months, now));
+}
+
+// Resolves to { action, months, application_ids } for what was processed
+async function applyRetention({ now = new Date() } = {}, store = getStore()) {
+    const action = retentionAction();
+    const due = await dueForRetention({ now }, store);
+
+    for (const application of due) {
+        if (action === 'delete') {
+            await eraseApplication(application, store);
+        } else {
+            await anonymizeApplication(application, store);
+        }
+    }
+
+    const ids = due.map(application => application.id);
+    await forgetDuplicateLinks(ids, store);
+    return { action, months: retentionMonths(), application_ids: ids };
+}
+
+// ====================================================
+// DATA SUBJECT REQUESTS
+// ====================================================
+
+const digits = value => String(value || '').replace(/\D/g, '');
+const normalizeEmail = value => String(value || '').trim().toLowerCase();
+
+// Returns { id_card, email } or null when neither identifies anyone
+function subjectQuery({ id_card, email } = {}) {
+    const query = {
+        id_card: digits(id_card).length === 13 ? digits(id_card) : '',
+        email: isValidEmail(email) ? normalizeEmail(email) : ''
+    };
+    return query.id_card || query.email ? query : null;
+}
+
+// For the audit log, which must not hold the identifiers themselves
+function maskedSubject(query) {
+    const masked = {};
+    if (query.id_card) masked.id_card = `*********${query.id_card.slice(-4)}`;
+    if (query.email) {
+        const [name, domain] = query.email.split('@');
+        masked.email = `${name.charAt(0)}***@${domain}`;
+    }
+    return masked;
+}
+
+function belongsTo(fields, query) {
+    return Boolean((query.id_card && digits(fields.id_card) === query.id_card) ||
+        (query.email && normalizeEmail(fields.email) === query.email));
+}
+
+async function findSubjectApplications(query, store = getStore()) {
+    return (await listApplications(store))
+        .filter(application => belongsTo(application.personal_info || {}, query))
+        .sort((a, b) => String(a.submitted_at).localeCompare(String(b.submitted_at)));
+}
+
+async function findSubjectDrafts(query, store = getStore()) {
+    return (await drafts.listDrafts(store)).filter(draft => belongsTo(draft.fields || {}, query));
+}
+
+// The applicant's copy: storage keys become paths inside the ZIP, and
+// links to other people's applications are left out
+function exportRecord(application, folder) {
+    const { possible_duplicates, ...record } = application;
+    const withPaths = files => Object.fromEntries(Object.entries(files || {}).map(([field, meta]) =>
+        [field, { originalname: meta.originalname, mimetype: meta.mimetype, size: meta.size, path: `${folder}/${field}${path.extname(meta.key)}` }]));
+
+    return {
+        ...record,
+        files: withPaths(application.files),
+        revisions: (application.revisions || []).map(revision => ({
+            ...revision,
+            files: withPaths(Object.fromEntries(Object.entries(revision.files || {})
+                .map(([field, meta]) => [`rev${revision.revision}_${field}`, meta])))
+        }))
+    };
+}
+
+// Pipes a ZIP of data.json and every file into `output`
+async function streamSubjectExport(subjectApplications, subjectDrafts, output, store = getStore()) {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('error', error => output.destroy(error));
+    const finished = new Promise(resolve => {
+        output.once('finish', resolve);
+        output.once('close', resolve);
+    });
+    archive.pipe(output);
+
+    const data = {
+        exported_at: new Date().toISOString(),
+        applications: [],
+        drafts: []
+    };
+
+    for (const application of subjectApplications) {
+        const folder = `applications/${application.id}`;
+        for (const { name, meta } of fileEntries(application)) {
+            const buffer = await store.getFile(meta.key);
+            if (buffer) archive.append(buffer, { name: `${folder}/${name}${path.extname(meta.key)}` });
+        }
+        data.applications.push(exportRecord(application, folder));
+    }
+
+    for (const draft of subjectDrafts) {
+        const folder = `drafts/${draft.id}`;
+        for (const [field, meta] of Object.entries(draft.files || {})) {
+            const buffer = await store.getFile(meta.key);
+            if (buffer) archive.append(buffer, { name: `${folder}/${field}${path.extname(meta.key)}` });
+        }
+        data.drafts.push({ ...drafts.publicDraft(draft), created_at: draft.created_at });
+    }
+
+    archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+    await archive.finalize();
+    await finished;
+}
+
+// Resolves to { application_ids, drafts } for what was removed
+async function eraseSubject(query, store = getStore()) {
+    const subjectApplications = await findSubjectApplications(query, store);
+    const subjectDrafts = await findSubjectDrafts(query, store);
+
+    for (const application of subjectApplications) {
+        await eraseApplication(application, store);
+    }
+    for (const draft of subjectDrafts) {
+        await drafts.deleteDraft(draft, store);
+    }
+    // e.g. draft links, which belong to no application
+    if (query.email) await deleteEmails({ to: query.email }, store);
+
+    const ids = subjectApplications.map(application => application.id);
+    await forgetDuplicateLinks(ids, store);
+    return { application_ids: ids, drafts: subjectDrafts.length };
+}
+
+module.exports = {
+    RETENTION_ACTIONS,
+    DEFAULT_RETENTION_MONTHS,
+    retentionMonths,
+    retentionAction,
+    isAnonymized,
+    anonymizeApplication,
+    eraseApplication,
+    applyRetention,
+    dueForRetention,
+    subjectQuery,
+    maskedSubject,
+    findSubjectApplications,
+    findSubjectDrafts,
+    streamSubjectExport,
+    eraseSubject
+};
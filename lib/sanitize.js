@@ -0,0 +1,54 @@
+// lib/sanitize.js - OUTPUT SANITIZING
+// ====================================================
+//
+// Applicant input ends up in HTML emails, mail headers and attachment
+// file names. These helpers make it safe for each of those places.
+
+// Escapes text for HTML element content and quoted attribute values
+function escapeHTML(value) {
+    if (value === undefined || value === null) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Single-line header value: CR/LF and other control or line-separator
+// characters are replaced by a space so input cannot add header lines
+function headerText(value, maxLength = 200) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/[\u0000-\u001F\u007F-\u009F\u2028\u2029]+/g, ' ')
+        .replace(/\s{2,}/g, ' ')
+        .trim()
+        .slice(0, maxLength);
+}
+
+// File name with path separators, control characters and characters that
+// Windows/mail clients reject; Thai letters are kept. The extension is
+// preserved when the name has to be shortened.
+function safeFilename(value, fallback = 'file', maxLength = 120) {
+    let name = String(value === undefined || value === null ? '' : value)
+        .normalize('NFC')
+        .replace(/[\\/]+/g, '_')
+        .replace(/[\u0000-\u001F\u007F-\u009F\u2028\u2029<>:"|?*;]+/g, '')
+        .replace(/\s+/g, '_')
+        .replace(/^[.\-_]+/, '')
+        .replace(/_{2,}/g, '_');
+
+    if (!name || /^\.*$/.test(name)) return fallback;
+
+    if (name.length > maxLength) {
+        const dot = name.lastIndexOf('.');
+        const ext = dot > 0 && name.length - dot <= 10 ? name.slice(dot) : '';
+        name = name.slice(0, maxLength - ext.length) + ext;
+    }
+    return name;
+}
+
+module.exports = {
+    escapeHTML,
+    headerText,
+    safeFilename
+};
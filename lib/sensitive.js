@@ -0,0 +1,185 @@
+// lib/sensitive.js - SENSITIVE APPLICANT FIELDS
+// ====================================================
+//
+// The ID card number, health details and criminal record details are:
+//   - encrypted at rest: the store seals them with AES-256-GCM on every
+//     write to "applications" (revisions included) and "drafts", and
+//     opens them on read, so the rest of the code sees plain values.
+//     FIELD_ENCRYPTION_KEY is 32 bytes as 64 hex characters or base64;
+//     without it they are stored as entered and a warning is logged.
+//     Records written before the key was set are read as they are and
+//     encrypted the next time they are saved.
+//   - masked everywhere else: emails, the emailed PDF, logs and the HR
+//     dashboard show 1-2345-xxxxx-xx-3 and •••••• instead. Admins can
+//     reveal the full values, which is recorded in the audit log.
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const HIDDEN = '••••••';
+
+// field name -> where it lives in an application
+const SENSITIVE_FIELDS = {
+    id_card: 'personal_info',
+    disease_detail: 'additional_info',
+    criminal_detail: 'additional_info'
+};
+
+// "1234567890123" -> "1-2345-xxxxx-xx-3"
+function maskIdCard(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    if (!digits) return value;
+    if (digits.length !== 13) return `${'x'.repeat(digits.length - 1)}${digits.slice(-1)}`;
+    return `${digits[0]}-${digits.slice(1, 5)}-xxxxx-xx-${digits[12]}`;
+}
+
+function maskValue(field, value) {
+    if (value === undefined || value === null || value === '') return value;
+    return field === 'id_card' ? maskIdCard(value) : HIDDEN;
+}
+
+// ====================================================
+// ENCRYPTION
+// ====================================================
+
+let warned = false;
+
+// Resolves FIELD_ENCRYPTION_KEY to 32 bytes, or null when it is not set
+function encryptionKey() {
+    const setting = String(process.env.FIELD_ENCRYPTION_KEY || '').trim();
+    if (!setting) return null;
+
+    const key = /^[0-9a-f]{64}$/i.test(setting) ? Buffer.from(setting, 'hex') : Buffer.from(setting, 'base64');
+    if (key.length !== 32) {
+        throw new Error('FIELD_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)');
+    }
+    return key;
+}
+
+// Keyed hash for finding records by a value without storing it (the
+// duplicate index, rate-limit counters). A plain hash of a 13-digit ID
+// card is reversed by hashing every possible number, so the key comes
+// from FIELD_ENCRYPTION_KEY, or AUTH_SECRET without it. With neither set
+// the values are stored unencrypted anyway and a plain SHA-256 is used.
+function lookupHash(value) {
+    const secret = encryptionKey() || process.env.AUTH_SECRET;
+    if (!secret) return crypto.createHash('sha256').update(value).digest('hex');
+
+    const key = crypto.createHmac('sha256', secret).update('lookup-hash').digest();
+    return crypto.createHmac('sha256', key).update(value).digest('hex');
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function encryptValue(value) {
+    if (typeof value !== 'string' || value === '' || isEncrypted(value)) return value;
+
+    const key = encryptionKey();
+    if (!key) {
+        if (!warned) {
+            // Required here: the logger loads this module for its field list
+            require('./logger').warn('FIELD_ENCRYPTION_KEY is not set: sensitive applicant fields are stored unencrypted');
+            warned = true;
+        }
+        return value;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return `${PREFIX}${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${encrypted.toString('base64')}`;
+}
+
+function decryptValue(value) {
+    if (!isEncrypted(value)) return value;
+
+    const key = encryptionKey();
+    if (!key) {
+        throw new Error('Cannot read encrypted applicant data: FIELD_ENCRYPTION_KEY is not set');
+    }
+
+    const [iv, tag, encrypted] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// ====================================================
+// RECORDS
+// ====================================================
+
+// Copy of `application` with `transform(field, value)` applied to every
+// sensitive field, in the current data and in each revision
+function mapApplication(application, transform) {
+    const mapOne = record => {
+        const mapped = { ...record };
+        for (const [field, section] of Object.entries(SENSITIVE_FIELDS)) {
+            if (record[section] && field in record[section]) {
+                mapped[section] = { ...mapped[section], [field]: transform(field, record[section][field]) };
+            }
+        }
+        return mapped;
+    };
+
+    const mapped = mapOne(application);
+    if (Array.isArray(application.revisions)) {
+        mapped.revisions = application.revisions.map(mapOne);
+    }
+    return mapped;
+}
+
+// Drafts keep the form fields flat
+function mapDraft(draft, transform) {
+    if (!draft.fields) return draft;
+
+    const fields = { ...draft.fields };
+    for (const field of Object.keys(SENSITIVE_FIELDS)) {
+        if (field in fields) fields[field] = transform(field, fields[field]);
+    }
+    return { ...draft, fields };
+}
+
+const SEALED_COLLECTIONS = {
+    applications: mapApplication,
+    drafts: mapDraft
+};
+
+// Used by lib/store.js on the way in and out of the driver
+function sealDocument(collection, doc) {
+    const map = SEALED_COLLECTIONS[collection];
+    return map && doc ? map(doc, (field, value) => encryptValue(value)) : doc;
+}
+
+function openDocument(collection, doc) {
+    const map = SEALED_COLLECTIONS[collection];
+    return map && doc ? map(doc, (field, value) => decryptValue(value)) : doc;
+}
+
+// What HR sees unless an admin reveals the values
+function maskApplication(application) {
+    return mapApplication(application, maskValue);
+}
+
+// The full values, for an admin who asked for them
+function revealApplication(application) {
+    const values = {};
+    for (const [field, section] of Object.entries(SENSITIVE_FIELDS)) {
+        values[field] = (application[section] || {})[field] || '';
+    }
+    return values;
+}
+
+module.exports = {
+    SENSITIVE_FIELDS,
+    maskIdCard,
+    maskValue,
+    lookupHash,
+    encryptValue,
+    decryptValue,
+    sealDocument,
+    openDocument,
+    maskApplication,
+    revealApplication
+};
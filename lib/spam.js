@@ -0,0 +1,414 @@
+// lib/spam.js - SPAM PROTECTION FOR THE PUBLIC FORM
+// ====================================================
+//
+// Every accepted submission costs a PDF and two emails, so
+// POST /api/job-application turns away (429 with a Thai message):
+//   - more than SUBMIT_LIMIT_PER_IP submissions from one IP in an hour
+//     (default 10) or SUBMIT_LIMIT_PER_EMAIL for one email in a day
+//     (default 5); 0 turns a limit off
+//   - a filled-in honeypot field, which people never see
+//   - forms sent less than SUBMIT_MIN_SECONDS (default 8) after the page
+//     loaded, timed with a token from GET /api/form-config signed with
+//     FORM_SECRET (or AUTH_SECRET); without either no token is issued
+//     and the form cannot be sent
+//   - a token that already sent an application: each page load gets one
+//     submission, recorded in "rate-limits" until the token expires
+//   - a missing or failed CAPTCHA, when CAPTCHA_PROVIDER is set
+//     (recaptcha, hcaptcha or turnstile, with CAPTCHA_SITE_KEY and
+//     CAPTCHA_SECRET_KEY)
+//
+// Saving a draft (POST and PUT /api/drafts) emails a resume link, so it
+// goes through the same checks with its own limits: DRAFT_LIMIT_PER_IP
+// saves an hour (default 20) and DRAFT_LIMIT_PER_EMAIL a day (default 10).
+//
+// GET /api/applications/:id/status turns away guessing: failed lookups
+// count against the IP (STATUS_LOOKUP_LIMIT_PER_IP an hour, default 20)
+// and the IP with the application ID (STATUS_LOOKUP_LIMIT_PER_ID an hour,
+// default 5). The ID alone is not a key, or anyone could lock the
+// applicant out of their own status page.
+//
+// POST /api/admin/login turns away password guessing the same way: failed
+// logins count against the IP (LOGIN_LIMIT_PER_IP an hour, default 20)
+// and the username (LOGIN_LIMIT_PER_USER an hour, default 10).
+//
+// Counters live in the "rate-limits" collection under a keyed hash of the
+// IP or email (lib/sensitive.js lookupHash), so they hold no personal
+// data. A request is counted in the same step that checks it, one at a
+// time per counter, so requests sent in parallel cannot all slip under
+// the limit. GET /api/cron/rate-limits clears the stale counters.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { getStore, serialized } = require('./store');
+const { lookupHash } = require('./sensitive');
+const logger = require('./logger');
+
+// Hidden off-screen in index.html; only bots fill it in
+const HONEYPOT_FIELD = 'contact_fax';
+const TOKEN_FIELD = 'form_token';
+const TOKEN_MAX_AGE = 24 * 60 * 60 * 1000;
+
+const LIMITS = {
+    ip: { env: 'SUBMIT_LIMIT_PER_IP', defaultMax: 10, windowMs: 60 * 60 * 1000 },
+    email: { env: 'SUBMIT_LIMIT_PER_EMAIL', defaultMax: 5, windowMs: 24 * 60 * 60 * 1000 },
+    draft_ip: { env: 'DRAFT_LIMIT_PER_IP', defaultMax: 20, windowMs: 60 * 60 * 1000 },
+    draft_email: { env: 'DRAFT_LIMIT_PER_EMAIL', defaultMax: 10, windowMs: 24 * 60 * 60 * 1000 },
+    lookup_ip: { env: 'STATUS_LOOKUP_LIMIT_PER_IP', defaultMax: 20, windowMs: 60 * 60 * 1000 },
+    lookup_id: { env: 'STATUS_LOOKUP_LIMIT_PER_ID', defaultMax: 5, windowMs: 60 * 60 * 1000 },
+    login_ip: { env: 'LOGIN_LIMIT_PER_IP', defaultMax: 20, windowMs: 60 * 60 * 1000 },
+    login_user: { env: 'LOGIN_LIMIT_PER_USER', defaultMax: 10, windowMs: 60 * 60 * 1000 }
+};
+
+// Which limits a form counts against, and what the 429 says
+const SCOPES = {
+    submit: {
+        ip: 'ip',
+        email: 'email',
+        ipMessage: 'มีการส่งใบสมัครจากเครือข่ายนี้บ่อยเกินไป',
+        emailMessage: 'อีเมลนี้ส่งใบสมัครครบจำนวนที่กำหนดแล้ว'
+    },
+    draft: {
+        ip: 'draft_ip',
+        email: 'draft_email',
+        ipMessage: 'มีการบันทึกร่างจากเครือข่ายนี้บ่อยเกินไป',
+        emailMessage: 'อีเมลนี้บันทึกร่างครบจำนวนที่กำหนดแล้ว'
+    }
+};
+const DEFAULT_MIN_SECONDS = 8;
+
+const CAPTCHA_PROVIDERS = {
+    recaptcha: {
+        field: 'g-recaptcha-response',
+        verifyUrl: 'https://www.google.com/recaptcha/api/siteverify',
+        script: 'https://www.google.com/recaptcha/api.js',
+        widgetClass: 'g-recaptcha'
+    },
+    hcaptcha: {
+        field: 'h-captcha-response',
+        verifyUrl: 'https://api.hcaptcha.com/siteverify',
+        script: 'https://js.hcaptcha.com/1/api.js',
+        widgetClass: 'h-captcha'
+    },
+    turnstile: {
+        field: 'cf-turnstile-response',
+        verifyUrl: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+        script: 'https://challenges.cloudflare.com/turnstile/v0/api.js',
+        widgetClass: 'cf-turnstile'
+    }
+};
+
+// Form fields that belong to the checks above, never to the application
+const SPAM_FIELDS = [HONEYPOT_FIELD, TOKEN_FIELD, ...Object.values(CAPTCHA_PROVIDERS).map(provider => provider.field)];
+
+const BLOCKED_MESSAGE = 'ไม่สามารถส่งใบสมัครได้ในขณะนี้ กรุณาลองใหม่ภายหลัง';
+
+function limits(store) {
+    return store.collection('rate-limits');
+}
+
+function envNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function maxSubmissions(kind) {
+    return envNumber(LIMITS[kind].env, LIMITS[kind].defaultMax);
+}
+
+function minSeconds() {
+    return envNumber('SUBMIT_MIN_SECONDS', DEFAULT_MIN_SECONDS);
+}
+
+// "25 นาที" / "3 ชั่วโมง"
+function waitText(seconds) {
+    return seconds < 3600 ? `${Math.max(1, Math.ceil(seconds / 60))} นาที` : `${Math.ceil(seconds / 3600)} ชั่วโมง`;
+}
+
+// Express setting for req.ip: Vercel sits one proxy in front of the app.
+// TRUST_PROXY takes a hop count, true/false or a list of addresses.
+function trustProxySetting() {
+    const setting = process.env.TRUST_PROXY;
+    if (setting === undefined || setting === '') return process.env.VERCEL ? 1 : false;
+    if (/^\d+$/.test(setting)) return Number(setting);
+    if (setting === 'true' || setting === 'false') return setting === 'true';
+    return setting;
+}
+
+// ====================================================
+// RATE LIMITS
+// ====================================================
+
+function limitKey(kind, value) {
+    const normalized = String(value || '').trim().toLowerCase();
+    return normalized ? `${kind}-${lookupHash(normalized).slice(0, 32)}` : null;
+}
+
+function recentHits(entry, kind, now) {
+    return ((entry && entry.hits) || []).filter(at => at > now - LIMITS[kind].windowMs);
+}
+
+// Counts one request against the `kind` limit unless it is already
+// reached. Resolves to 0 when counted, else to the seconds until the next
+// request is allowed.
+async function takeHit(kind, value, now, store) {
+    const max = maxSubmissions(kind);
+    const key = limitKey(kind, value);
+    if (!max || !key) return 0;
+
+    return serialized(key, async () => {
+        const hits = recentHits(await limits(store).get(key), kind, now);
+        if (hits.length >= max) {
+            return Math.ceil((Math.min(...hits) + LIMITS[kind].windowMs - now) / 1000);
+        }
+        await limits(store).put(key, { id: key, hits: [...hits, now] });
+        return 0;
+    });
+}
+
+// Gives back a hit counted at `at` by takeHit
+async function releaseHit(kind, value, at, store) {
+    const key = limitKey(kind, value);
+    if (!maxSubmissions(kind) || !key) return;
+
+    await serialized(key, async () => {
+        const entry = await limits(store).get(key);
+        const hits = (entry && entry.hits) || [];
+        const index = hits.indexOf(at);
+        if (index === -1) return;
+        await limits(store).put(key, { id: key, hits: [...hits.slice(0, index), ...hits.slice(index + 1)] });
+    });
+}
+
+// Removes counters with no hit inside any window; resolves to the count
+async function purgeExpiredLimits(now = Date.now(), store = getStore()) {
+    const longest = Math.max(...Object.values(LIMITS).map(limit => limit.windowMs));
+    let removed = 0;
+    for (const entry of await limits(store).list()) {
+        if (Math.max(0, ...(entry.hits || [])) <= now - longest) {
+            await limits(store).remove(entry.id);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+// ====================================================
+// FORM TOKEN
+// ====================================================
+
+function tokenSecret() {
+    const secret = process.env.FORM_SECRET || process.env.AUTH_SECRET;
+    if (!secret) {
+        throw new Error('FORM_SECRET or AUTH_SECRET must be set to issue form tokens');
+    }
+    return secret;
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', tokenSecret()).update(payload).digest('hex').slice(0, 32);
+}
+
+// "<issued ms>.<nonce>.<signature>"; the nonce tells apart tokens issued
+// in the same millisecond, so each can be used once
+function formToken(now = Date.now()) {
+    const payload = `${now}.${crypto.randomBytes(12).toString('hex')}`;
+    return `${payload}.${sign(payload)}`;
+}
+
+// Resolves the token to { issued, nonce }, or null if it was tampered
+// with or no secret is set to check it against
+function readToken(token) {
+    const [issued, nonce, signature = ''] = String(token || '').split('.');
+    if (!/^\d+$/.test(issued) || !/^[0-9a-f]{24}$/.test(nonce || '') ||
+        !(process.env.FORM_SECRET || process.env.AUTH_SECRET)) return null;
+
+    const expected = Buffer.from(sign(`${issued}.${nonce}`));
+    if (Buffer.byteLength(signature) !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), expected)) {
+        return null;
+    }
+    return { issued: Number(issued), nonce };
+}
+
+function usedTokenKey(token) {
+    return `form_token-${token.nonce}`;
+}
+
+// ====================================================
+// CAPTCHA
+// ====================================================
+
+function captchaProvider() {
+    const provider = CAPTCHA_PROVIDERS[process.env.CAPTCHA_PROVIDER];
+    return provider && process.env.CAPTCHA_SITE_KEY && process.env.CAPTCHA_SECRET_KEY ? provider : null;
+}
+
+// All three providers share the siteverify request and { success } reply
+async function verifyCaptcha(response, ip) {
+    const provider = captchaProvider();
+    if (!provider) return true;
+    if (!response) return false;
+
+    try {
+        const params = new URLSearchParams({ secret: process.env.CAPTCHA_SECRET_KEY, response: String(response) });
+        if (ip) params.set('remoteip', ip);
+        const { data } = await axios.post(provider.verifyUrl, params, { timeout: 5000 });
+        return Boolean(data && data.success);
+    } catch (error) {
+        logger.error('Error verifying CAPTCHA', { error: error.message });
+        return false;
+    }
+}
+
+// ====================================================
+// CHECKS
+// ====================================================
+
+// What GET /api/form-config gives the form
+function publicFormConfig(now = Date.now()) {
+    const provider = captchaProvider();
+    return {
+        form_token: formToken(now),
+        captcha: provider ? {
+            provider: process.env.CAPTCHA_PROVIDER,
+            site_key: process.env.CAPTCHA_SITE_KEY,
+            script: provider.script,
+            widget_class: provider.widgetClass
+        } : null
+    };
+}
+
+// Runs before the upload is read and counts the request against the IP
+// limit of `scope` (a SCOPES key). Resolves to null, or to
+// { reason, message, retry_after } for a 429.
+async function checkIp(req, { scope = 'submit', now = Date.now(), store = getStore() } = {}) {
+    const wait = await takeHit(SCOPES[scope].ip, req.ip, now, store);
+    return wait > 0 ? {
+        reason: 'rate_ip',
+        message: `${SCOPES[scope].ipMessage} กรุณาลองใหม่ในอีก ${waitText(wait)}`,
+        retry_after: wait
+    } : null;
+}
+
+// Checks on the posted form, cheapest first, then counts it against the
+// email; same result as checkIp. The email is counted last so forms that
+// fail the other checks cannot use up someone else's allowance.
+async function checkSubmission(req, { scope = 'submit', now = Date.now(), store = getStore() } = {}) {
+    const body = req.body || {};
+
+    if (body[HONEYPOT_FIELD]) {
+        return { reason: 'honeypot', message: BLOCKED_MESSAGE };
+    }
+
+    const token = readToken(body[TOKEN_FIELD]);
+    const issued = token && token.issued;
+    if (!token || issued > now || now - issued >= TOKEN_MAX_AGE) {
+        return { reason: 'form_token', message: 'แบบฟอร์มหมดอายุหรือไม่สมบูรณ์ กรุณาโหลดหน้าใหม่แล้วลองอีกครั้ง' };
+    }
+    if (now - issued < minSeconds() * 1000) {
+        return { reason: 'too_fast', message: 'ส่งแบบฟอร์มเร็วเกินไป กรุณาตรวจสอบข้อมูลอีกครั้งแล้วกดส่งใหม่' };
+    }
+
+    const provider = captchaProvider();
+    if (provider && !await verifyCaptcha(body[provider.field], req.ip)) {
+        return { reason: 'captcha', message: 'กรุณายืนยันว่าคุณไม่ใช่โปรแกรมอัตโนมัติ (CAPTCHA) แล้วลองอีกครั้ง' };
+    }
+
+    const wait = await takeHit(SCOPES[scope].email, body.email, now, store);
+    if (wait > 0) {
+        return {
+            reason: 'rate_email',
+            message: `${SCOPES[scope].emailMessage} กรุณาลองใหม่ในอีก ${waitText(wait)}`,
+            retry_after: wait
+        };
+    }
+
+    return null;
+}
+
+// Records that the form's token sent an application, once the submission
+// has passed checkSubmission and validation. Resolves to null, or to a
+// rejection like checkSubmission's when the token was used before. The
+// record carries the issue time as its hit, so purgeExpiredLimits drops
+// it when the token expires.
+async function useFormToken(req, { store = getStore() } = {}) {
+    const token = readToken((req.body || {})[TOKEN_FIELD]);
+    if (!token) {
+        return { reason: 'form_token', message: 'แบบฟอร์มหมดอายุหรือไม่สมบูรณ์ กรุณาโหลดหน้าใหม่แล้วลองอีกครั้ง' };
+    }
+
+    const key = usedTokenKey(token);
+    const fresh = await serialized(key, async () => {
+        if (await limits(store).get(key)) return false;
+        await limits(store).put(key, { id: key, hits: [token.issued] });
+        return true;
+    });
+    return fresh ? null : {
+        reason: 'form_token_used',
+        message: 'ส่งใบสมัครจากแบบฟอร์มนี้ไปแล้ว หากต้องการส่งอีกครั้งกรุณาโหลดหน้าใหม่'
+    };
+}
+
+// ====================================================
+// STATUS LOOKUP
+// ====================================================
+
+// The lookup_id counter: one application ID from one IP
+function lookupKey(req, id) {
+    return req.ip && id ? `${req.ip} ${id}` : null;
+}
+
+// Counts a lookup against the IP and then the IP with the application ID
+// before the answer is checked; same result as checkIp. Pass the same
+// `now` to releaseStatusLookup when the lookup succeeds, so only failures
+// count.
+async function checkStatusLookup(req, id, { now = Date.now(), store = getStore() } = {}) {
+    const wait = await takeHit('lookup_ip', req.ip, now, store) ||
+        await takeHit('lookup_id', lookupKey(req, id), now, store);
+    return wait > 0 ? {
+        reason: 'rate_lookup',
+        message: `ตรวจสอบสถานะไม่สำเร็จหลายครั้งเกินไป กรุณาลองใหม่ในอีก ${waitText(wait)}`,
+        retry_after: wait
+    } : null;
+}
+
+async function releaseStatusLookup(req, id, { now, store = getStore() }) {
+    await releaseHit('lookup_ip', req.ip, now, store);
+    await releaseHit('lookup_id', lookupKey(req, id), now, store);
+}
+
+// ====================================================
+// ADMIN LOGIN
+// ====================================================
+
+// Counts a login against the IP and then the username before the password
+// is checked; same result as checkIp. Pass the same `now` to releaseLogin
+// when the password is right, so only failures count.
+async function checkLogin(req, username, { now = Date.now(), store = getStore() } = {}) {
+    const wait = await takeHit('login_ip', req.ip, now, store) ||
+        await takeHit('login_user', username, now, store);
+    return wait > 0 ? {
+        reason: 'rate_login',
+        message: `เข้าสู่ระบบไม่สำเร็จหลายครั้งเกินไป กรุณาลองใหม่ในอีก ${waitText(wait)}`,
+        retry_after: wait
+    } : null;
+}
+
+async function releaseLogin(req, username, { now, store = getStore() }) {
+    await releaseHit('login_ip', req.ip, now, store);
+    await releaseHit('login_user', username, now, store);
+}
+
+module.exports = {
+    SPAM_FIELDS,
+    HONEYPOT_FIELD,
+    trustProxySetting,
+    publicFormConfig,
+    checkIp,
+    checkSubmission,
+    useFormToken,
+    checkStatusLookup,
+    releaseStatusLookup,
+    checkLogin,
+    releaseLogin,
+    purgeExpiredLimits
+};
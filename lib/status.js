@@ -0,0 +1,95 @@
+// lib/status.js - APPLICATION STATUS PIPELINE
+// ====================================================
+
+const STATUSES = ['pending', 'shortlisted', 'interview', 'rejected', 'hired'];
+
+const STATUS_LABELS = {
+    pending: 'รอการพิจารณา',
+    shortlisted: 'ผ่านการคัดเลือกเบื้องต้น',
+    interview: 'นัดสัมภาษณ์',
+    rejected: 'ไม่ผ่านการพิจารณา',
+    hired: 'ได้รับการคัดเลือก'
+};
+
+// For English candidate emails
+const STATUS_LABELS_EN = {
+    pending: 'Pending review',
+    shortlisted: 'Shortlisted',
+    interview: 'Interview',
+    rejected: 'Not selected',
+    hired: 'Hired'
+};
+
+// Statuses that send the candidate an email (templates status_<status>)
+const NOTIFY_STATUSES = ['shortlisted', 'interview', 'rejected', 'hired'];
+
+function isValidStatus(status) {
+    return STATUSES.includes(status);
+}
+
+function statusLabel(status, locale = 'th') {
+    return (locale === 'en' ? STATUS_LABELS_EN : STATUS_LABELS)[status] || status;
+}
+
+// Older records have no history; fall back to a single entry built from
+// the submission so every application still has a timeline to show.
+function statusHistory(application) {
+    if (Array.isArray(application.status_history) && application.status_history.length > 0) {
+        return application.status_history;
+    }
+    return [{ status: application.status || 'pending', at: application.submitted_at }];
+}
+
+// Candidate-facing view: no HR notes or who made the change
+function publicTimeline(application) {
+    return statusHistory(application).map(entry => ({
+        status: entry.status,
+        label: statusLabel(entry.status),
+        at: entry.at
+    }));
+}
+
+// Builds the fields to store for a status change. Every change is kept in
+// status_history with who made it, when, and the optional HR note.
+function statusChange(application, status, { by, note } = {}) {
+    const entry = {
+        status,
+        at: new Date().toISOString(),
+        by,
+        note: note || ''
+    };
+
+    return {
+        status,
+        status_history: [...statusHistory(application), entry]
+    };
+}
+
+// Second factor for the public lookup: last 4 digits of the ID card or
+// the email address the applicant used.
+function verifyApplicant(application, { id_card_last4, email } = {}) {
+    const info = application.personal_info || {};
+
+    if (id_card_last4) {
+        const digits = String(id_card_last4).replace(/\D/g, '');
+        return digits.length === 4 && String(info.id_card || '').endsWith(digits);
+    }
+
+    if (email) {
+        return String(email).trim().toLowerCase() === String(info.email || '').trim().toLowerCase();
+    }
+
+    return false;
+}
+
+module.exports = {
+    STATUSES,
+    STATUS_LABELS,
+    NOTIFY_STATUSES,
+    isValidStatus,
+    statusLabel,
+    statusHistory,
+    publicTimeline,
+    statusChange,
+    verifyApplicant
+};
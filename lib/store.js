@@ -0,0 +1,326 @@
+// lib/store.js - PLUGGABLE STORAGE LAYER
+// ====================================================
+//
+// Records are grouped in named collections (applications, ...) and
+// uploaded files are kept as blobs next to them. The driver is picked
+// with STORAGE_DRIVER; "file" is the default and writes JSON documents
+// under DATA_DIR so the app runs locally without a database server.
+//
+// Sensitive applicant fields are encrypted on the way into the driver
+// and decrypted on the way out (lib/sensitive.js), whatever the driver.
+//
+// On Vercel the file system outside /tmp is read-only and /tmp belongs to
+// one instance and is lost when it stops, so unless DATA_DIR names
+// durable storage (a mounted volume) or STORAGE_DRIVER names a registered
+// database driver, the store refuses every write with a StorageError. Reads
+// still work, so the form and GET /api/health load and the health check
+// can report the problem.
+
+const fs = require('fs');
+const path = require('path');
+const { sealDocument, openDocument } = require('./sensitive');
+
+const drivers = {};
+
+function registerDriver(name, factory) {
+    drivers[name] = factory;
+}
+
+// ====================================================
+// FILE DRIVER
+// ====================================================
+
+function defaultDataDir() {
+    return process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+}
+
+function safeName(value) {
+    const name = String(value);
+    if (!/^[A-Za-z0-9._-]+$/.test(name) || name.startsWith('.')) {
+        throw new Error(`Invalid storage key: ${name}`);
+    }
+    return name;
+}
+
+async function writeAtomic(filePath, content) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tmpPath, content);
+    await fs.promises.rename(tmpPath, filePath);
+}
+
+async function readIfExists(filePath, encoding) {
+    try {
+        return await fs.promises.readFile(filePath, encoding);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+function createFileDriver(options = {}) {
+    const dataDir = options.dataDir || defaultDataDir();
+    const docPath = (collection, id) => path.join(dataDir, safeName(collection), `${safeName(id)}.json`);
+    const filePath = (key) => path.join(dataDir, 'files', ...String(key).split('/').map(safeName));
+
+    return {
+        name: 'file',
+        dataDir,
+
+        async get(collection, id) {
+            const json = await readIfExists(docPath(collection, id), 'utf8');
+            return json ? JSON.parse(json) : null;
+        },
+
+        async put(collection, id, doc) {
+            await writeAtomic(docPath(collection, id), JSON.stringify(doc, null, 2));
+            return doc;
+        },
+
+        async remove(collection, id) {
+            try {
+                await fs.promises.unlink(docPath(collection, id));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        },
+
+        async list(collection) {
+            const dir = path.join(dataDir, safeName(collection));
+            let names;
+            try {
+                names = await fs.promises.readdir(dir);
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+            const docs = await Promise.all(names
+                .filter(name => name.endsWith('.json'))
+                .map(name => readIfExists(path.join(dir, name), 'utf8')));
+            return docs.filter(Boolean).map(json => JSON.parse(json));
+        },
+
+        async putFile(key, buffer) {
+            await writeAtomic(filePath(key), buffer);
+        },
+
+        async getFile(key) {
+            return readIfExists(filePath(key));
+        },
+
+        async removeFile(key) {
+            try {
+                await fs.promises.unlink(filePath(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    };
+}
+
+// ====================================================
+// MEMORY DRIVER (tests / throwaway local runs)
+// ====================================================
+
+function createMemoryDriver() {
+    const collections = new Map();
+    const files = new Map();
+    const bucket = (collection) => {
+        if (!collections.has(collection)) collections.set(collection, new Map());
+        return collections.get(collection);
+    };
+    const clone = (doc) => JSON.parse(JSON.stringify(doc));
+
+    return {
+        name: 'memory',
+
+        async get(collection, id) {
+            const doc = bucket(collection).get(id);
+            return doc ? clone(doc) : null;
+        },
+
+        async put(collection, id, doc) {
+            bucket(collection).set(id, clone(doc));
+            return doc;
+        },
+
+        async remove(collection, id) {
+            return bucket(collection).delete(id);
+        },
+
+        async list(collection) {
+            return Array.from(bucket(collection).values()).map(clone);
+        },
+
+        async putFile(key, buffer) {
+            files.set(key, Buffer.from(buffer));
+        },
+
+        async getFile(key) {
+            return files.get(key) || null;
+        },
+
+        async removeFile(key) {
+            files.delete(key);
+        }
+    };
+}
+
+registerDriver('file', createFileDriver);
+registerDriver('memory', createMemoryDriver);
+
+// ====================================================
+// STORE FACADE
+// ====================================================
+
+class StorageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StorageError';
+        this.status = 503;
+    }
+}
+
+// Neither built-in driver keeps data on Vercel without DATA_DIR. Returns
+// why writes are refused, or null.
+function durabilityProblem(driverName, options) {
+    if (!process.env.VERCEL) return null;
+    if (driverName === 'memory' || (driverName === 'file' && !options.dataDir && !process.env.DATA_DIR)) {
+        return `Storage driver "${driverName}" does not persist on Vercel: set DATA_DIR to durable storage ` +
+            'or STORAGE_DRIVER to a database driver registered with registerDriver()';
+    }
+    return null;
+}
+
+function createStore(options = {}) {
+    const driverName = options.driver || process.env.STORAGE_DRIVER || 'file';
+    const factory = drivers[driverName];
+    if (!factory) {
+        throw new Error(`Unknown storage driver: ${driverName}`);
+    }
+    const driver = factory(options);
+    const unavailable = durabilityProblem(driverName, options);
+
+    // Wraps a driver write so it rejects while `unavailable` is set
+    const write = (task) => (...args) => (unavailable ? Promise.reject(new StorageError(unavailable)) : task(...args));
+
+    return {
+        driver,
+        unavailable,
+
+        collection(name) {
+            return {
+                get: async (id) => openDocument(name, await driver.get(name, id)),
+                put: write(async (id, doc) => {
+                    await driver.put(name, id, sealDocument(name, doc));
+                    return doc;
+                }),
+                remove: write((id) => driver.remove(name, id)),
+                list: async () => (await driver.list(name)).map(doc => openDocument(name, doc))
+            };
+        },
+
+        putFile: write((key, buffer) => driver.putFile(key, buffer)),
+        getFile: (key) => driver.getFile(key),
+        removeFile: write((key) => driver.removeFile(key))
+    };
+}
+
+let defaultStore = null;
+
+function getStore() {
+    if (!defaultStore) defaultStore = createStore();
+    return defaultStore;
+}
+
+// Runs the tasks for one key one after another in this instance, so a
+// read and the write that follows it cannot interleave with another's
+// (rate-limit counters, the duplicate index)
+const pending = new Map();
+
+function serialized(key, task) {
+    const run = (pending.get(key) || Promise.resolve()).then(task);
+    const settled = run.catch(() => {});
+    pending.set(key, settled);
+    settled.then(() => {
+        if (pending.get(key) === settled) pending.delete(key);
+    });
+    return run;
+}
+
+// ====================================================
+// APPLICATIONS
+// ====================================================
+
+function uploadKey(applicationId, field, originalname) {
+    const ext = path.extname(originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+    return `${safeName(applicationId)}/${safeName(field)}${ext}`;
+}
+
+// Persists the application and its uploads. Files are written first so a
+// stored record never points at a blob that does not exist.
+async function saveApplication(application, uploadedFiles = {}, store = getStore()) {
+    const files = {};
+
+    for (const field of Object.keys(uploadedFiles)) {
+        const file = uploadedFiles[field] && uploadedFiles[field][0];
+        if (!file) continue;
+
+        const key = uploadKey(application.id, field, file.originalname);
+        await store.putFile(key, file.buffer);
+        files[field] = {
+            key,
+            originalname: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size
+        };
+    }
+
+    const record = { ...application, files };
+    await store.collection('applications').put(application.id, record);
+    return record;
+}
+
+// Application IDs look like APP1712345678901; anything else is a miss
+async function getApplication(id, store = getStore()) {
+    const normalized = String(id || '').trim().toUpperCase();
+    if (!/^APP\d+$/.test(normalized)) return null;
+    return store.collection('applications').get(normalized);
+}
+
+async function updateApplication(id, changes, store = getStore()) {
+    const applications = store.collection('applications');
+    const current = await applications.get(id);
+    if (!current) return null;
+
+    const updated = { ...current, ...changes, updated_at: new Date().toISOString() };
+    await applications.put(id, updated);
+    return updated;
+}
+
+async function listApplications(store = getStore()) {
+    return store.collection('applications').list();
+}
+
+async function getApplicationFile(application, field, store = getStore()) {
+    const meta = application.files && application.files[field];
+    if (!meta) return null;
+
+    const buffer = await store.getFile(meta.key);
+    return buffer ? { ...meta, buffer } : null;
+}
+
+module.exports = {
+    StorageError,
+    registerDriver,
+    createStore,
+    getStore,
+    serialized,
+    saveApplication,
+    getApplication,
+    updateApplication,
+    listApplications,
+    getApplicationFile
+};
@@ -0,0 +1,249 @@
+// lib/uploads.js - UPLOAD VALIDATION
+// ====================================================
+//
+// Applicant uploads are checked on the server, not just in the browser:
+// size limits are enforced by multer, the file type is read from the
+// file's first bytes instead of trusting the name or browser MIME type
+// (a .doc must also contain a Word document stream), and photos are
+// re-encoded (EXIF rotation applied, cropped square, resized) so the PDF
+// always gets an image it can embed.
+
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const { safeFilename } = require('./sanitize');
+const logger = require('./logger');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const PHOTO_SIZE = 600;
+
+// Allowed types per upload field
+const ACCEPTED_TYPES = {
+    photo: ['jpeg', 'png'],
+    resume: ['pdf', 'doc', 'docx']
+};
+
+const FILE_TYPES = {
+    jpeg: { mimetype: 'image/jpeg', extensions: ['.jpg', '.jpeg'] },
+    png: { mimetype: 'image/png', extensions: ['.png'] },
+    pdf: { mimetype: 'application/pdf', extensions: ['.pdf'] },
+    doc: { mimetype: 'application/msword', extensions: ['.doc'] },
+    docx: {
+        mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        extensions: ['.docx']
+    }
+};
+
+const MESSAGES = {
+    photo: 'รูปถ่ายต้องเป็นไฟล์ JPG หรือ PNG',
+    resume: 'เรซูเม่ต้องเป็นไฟล์ PDF, DOC หรือ DOCX'
+};
+
+class UploadError extends Error {
+    constructor(message, field, status = 400) {
+        super(message);
+        this.name = 'UploadError';
+        this.field = field;
+        this.status = status;
+    }
+}
+
+function startsWith(buffer, bytes, offset = 0) {
+    return buffer.length >= offset + bytes.length &&
+        bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+// Executable formats that must never be accepted, whatever the name says
+function isExecutable(buffer) {
+    return startsWith(buffer, [0x4D, 0x5A]) ||                 // Windows PE (MZ)
+        startsWith(buffer, [0x7F, 0x45, 0x4C, 0x46]) ||        // ELF
+        startsWith(buffer, [0xFE, 0xED, 0xFA, 0xCE]) ||        // Mach-O
+        startsWith(buffer, [0xFE, 0xED, 0xFA, 0xCF]) ||
+        startsWith(buffer, [0xCE, 0xFA, 0xED, 0xFE]) ||
+        startsWith(buffer, [0xCF, 0xFA, 0xED, 0xFE]) ||
+        startsWith(buffer, [0xCA, 0xFE, 0xBA, 0xBE]) ||        // Mach-O universal / Java class
+        startsWith(buffer, [0x23, 0x21]);                      // #! script
+}
+
+// Sector numbers from here up mark free sectors and chain ends
+const LAST_SECTOR = 0xFFFFFFFA;
+const HEADER_FAT_SECTORS = 109;
+
+// Names of the streams in an OLE compound file (.doc, but also .xls, .msi
+// and others), read from its directory; [] if the structure is broken.
+// Files up to MAX_FILE_SIZE need only the FAT sectors listed in the header.
+function compoundStreamNames(buffer) {
+    if (buffer.length < 512) return [];
+    const sectorSize = 2 ** buffer.readUInt16LE(0x1E);
+    if (sectorSize !== 512 && sectorSize !== 4096) return [];
+
+    const sectorOffset = sector => (sector + 1) * sectorSize;
+    const perSector = sectorSize / 4;
+    const fatSectors = [];
+    for (let i = 0; i < Math.min(buffer.readUInt32LE(0x2C), HEADER_FAT_SECTORS); i++) {
+        fatSectors.push(buffer.readUInt32LE(0x4C + i * 4));
+    }
+    const nextSector = sector => {
+        const fatSector = fatSectors[Math.floor(sector / perSector)];
+        const offset = fatSector === undefined ? -1 : sectorOffset(fatSector) + (sector % perSector) * 4;
+        return offset >= 0 && offset + 4 <= buffer.length ? buffer.readUInt32LE(offset) : LAST_SECTOR;
+    };
+
+    // 128-byte directory entries: UTF-16 name, its byte length, type 2 = stream
+    const names = [];
+    const visited = new Set();
+    for (let sector = buffer.readUInt32LE(0x30); sector < LAST_SECTOR && !visited.has(sector); sector = nextSector(sector)) {
+        visited.add(sector);
+        const end = Math.min(sectorOffset(sector) + sectorSize, buffer.length);
+        for (let entry = sectorOffset(sector); entry + 128 <= end; entry += 128) {
+            const length = buffer.readUInt16LE(entry + 0x40);
+            if (buffer[entry + 0x42] === 2 && length >= 2 && length <= 64) {
+                names.push(buffer.toString('utf16le', entry, entry + length - 2));
+            }
+        }
+    }
+    return names;
+}
+
+// Returns a FILE_TYPES key from the file's magic bytes, or null
+function sniffFileType(buffer) {
+    if (!buffer || buffer.length < 4) return null;
+
+    if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'jpeg';
+    if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'png';
+    if (startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2D])) return 'pdf';
+    // Compound files are only Word documents with a WordDocument stream
+    if (startsWith(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) {
+        return compoundStreamNames(buffer).includes('WordDocument') ? 'doc' : null;
+    }
+
+    // DOCX is a ZIP whose entries live under word/; other ZIPs are refused
+    if (startsWith(buffer, [0x50, 0x4B, 0x03, 0x04])) {
+        const head = buffer.subarray(0, Math.min(buffer.length, 64 * 1024)).toString('latin1');
+        return head.includes('[Content_Types].xml') && head.includes('word/') ? 'docx' : null;
+    }
+
+    return null;
+}
+
+// Throws UploadError unless the file is one of the field's accepted types.
+// Returns the FILE_TYPES key.
+function checkFileType(field, file) {
+    if (isExecutable(file.buffer)) {
+        logger.warn('Rejected executable upload', { field, file: file.originalname });
+        throw new UploadError('ไม่อนุญาตให้อัปโหลดไฟล์โปรแกรม', field);
+    }
+
+    const type = sniffFileType(file.buffer);
+    if (!type || !ACCEPTED_TYPES[field].includes(type)) {
+        throw new UploadError(MESSAGES[field], field);
+    }
+    return type;
+}
+
+// EXIF rotation applied, centre-cropped to a square, re-encoded as JPEG
+async function normalizePhoto(buffer) {
+    try {
+        return await sharp(buffer, { failOn: 'error' })
+            .rotate()
+            .resize(PHOTO_SIZE, PHOTO_SIZE, { fit: 'cover', position: 'centre' })
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality: 85 })
+            .toBuffer();
+    } catch (error) {
+        logger.error('Cannot read photo', { error: error.message });
+        throw new UploadError('ไม่สามารถอ่านไฟล์รูปถ่ายได้ กรุณาใช้ไฟล์ JPG หรือ PNG', 'photo');
+    }
+}
+
+// Validates every uploaded file in place: mimetype comes from the sniffed
+// type, the original name is sanitized, and the photo is replaced by its
+// normalized JPEG.
+async function validateApplicationFiles(files = {}) {
+    for (const [field, list] of Object.entries(files)) {
+        for (const file of list) {
+            const type = checkFileType(field, file);
+            file.mimetype = FILE_TYPES[type].mimetype;
+            file.originalname = safeFilename(file.originalname, `${field}${FILE_TYPES[type].extensions[0]}`);
+
+            if (field === 'photo') {
+                file.buffer = await normalizePhoto(file.buffer);
+                file.size = file.buffer.length;
+                file.mimetype = FILE_TYPES.jpeg.mimetype;
+                file.originalname = `${path.basename(file.originalname, path.extname(file.originalname))}.jpg`;
+            }
+        }
+    }
+    return files;
+}
+
+// Cheap early rejection by file name, before the body is buffered
+function fileFilter(req, file, callback) {
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    const extensions = (ACCEPTED_TYPES[file.fieldname] || [])
+        .flatMap(type => FILE_TYPES[type].extensions);
+
+    if (!extensions.includes(ext)) {
+        return callback(new UploadError(MESSAGES[file.fieldname] || 'ไม่รองรับไฟล์นี้', file.fieldname));
+    }
+    callback(null, true);
+}
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_FILE_SIZE,
+        files: 2,
+        // Room for the most education and work entries (lib/validation.js)
+        fields: 200,
+        fieldSize: 100 * 1024
+    },
+    fileFilter
+}).fields([
+    { name: 'resume', maxCount: 1 },
+    { name: 'photo', maxCount: 1 }
+]);
+
+function multerMessage(error) {
+    switch (error.code) {
+        case 'LIMIT_FILE_SIZE':
+            return [413, `ไฟล์${error.field === 'photo' ? 'รูปภาพ' : 'เรซูเม่'}มีขนาดเกิน ${MAX_FILE_SIZE / 1024 / 1024}MB`];
+        case 'LIMIT_UNEXPECTED_FILE':
+            return [400, `ไม่รองรับไฟล์แนบในช่อง ${error.field}`];
+        default:
+            return [400, 'ข้อมูลที่ส่งมาไม่ถูกต้อง'];
+    }
+}
+
+// Express middleware for the application form: parses, checks and
+// normalizes uploads, answering 4xx with a Thai message on failure.
+function applicationUpload(req, res, next) {
+    upload(req, res, async (error) => {
+        try {
+            if (error) throw error;
+            await validateApplicationFiles(req.files);
+        } catch (uploadError) {
+            const [status, message] = uploadError instanceof multer.MulterError
+                ? multerMessage(uploadError)
+                : [uploadError.status || 500, uploadError instanceof UploadError ? uploadError.message : 'เกิดข้อผิดพลาดในการอัปโหลดไฟล์'];
+
+            if (status >= 500) logger.error('Error processing upload', uploadError);
+            return res.status(status).json({
+                success: false,
+                message,
+                ...(uploadError.field ? { errors: { [uploadError.field]: message } } : {})
+            });
+        }
+        next();
+    });
+}
+
+module.exports = {
+    MAX_FILE_SIZE,
+    UploadError,
+    sniffFileType,
+    isExecutable,
+    normalizePhoto,
+    validateApplicationFiles,
+    applicationUpload
+};
@@ -0,0 +1,165 @@
+// lib/users.js - HR USER STORE
+// ====================================================
+//
+// HR accounts live in the "users" collection, keyed by username.
+// Passwords are stored as scrypt hashes: scrypt$<salt>$<hash>.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getStore } = require('./store');
+const logger = require('./logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'recruiter', 'admin'];
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// `active` comes as a boolean from JSON or "true"/"false" from a form
+const ACTIVE_VALUES = [true, false, 'true', 'false'];
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+function hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+function isValidUsername(username) {
+    return /^[a-z0-9][a-z0-9._-]{2,31}$/.test(username);
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(String(password), salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// What API responses may show about a user
+function publicUser(user) {
+    return {
+        username: user.username,
+        name: user.name,
+        role: user.role,
+        active: user.active !== false,
+        created_at: user.created_at,
+        updated_at: user.updated_at,
+        last_login_at: user.last_login_at
+    };
+}
+
+function users(store) {
+    return store.collection('users');
+}
+
+async function getUser(username, store = getStore()) {
+    const normalized = normalizeUsername(username);
+    return isValidUsername(normalized) ? users(store).get(normalized) : null;
+}
+
+async function listUsers(store = getStore()) {
+    const all = await users(store).list();
+    return all.sort((a, b) => a.username.localeCompare(b.username));
+}
+
+// Returns an error message (Thai) or null when the input is acceptable
+function validateUserInput({ username, password, role, active }, { partial = false } = {}) {
+    if (!partial && !isValidUsername(normalizeUsername(username))) {
+        return 'ชื่อผู้ใช้ต้องมี 3-32 ตัวอักษร (a-z, 0-9, . _ -)';
+    }
+    if ((!partial || password !== undefined) && String(password || '').length < MIN_PASSWORD_LENGTH) {
+        return `รหัสผ่านต้องมีอย่างน้อย ${MIN_PASSWORD_LENGTH} ตัวอักษร`;
+    }
+    if ((!partial || role !== undefined) && !isValidRole(role)) {
+        return `สิทธิ์ไม่ถูกต้อง (${ROLES.join(', ')})`;
+    }
+    if (active !== undefined && !ACTIVE_VALUES.includes(active)) {
+        return 'สถานะการใช้งานต้องเป็น true หรือ false';
+    }
+    return null;
+}
+
+async function createUser({ username, password, role, name }, store = getStore()) {
+    const now = new Date().toISOString();
+    const user = {
+        username: normalizeUsername(username),
+        name: name || '',
+        role,
+        active: true,
+        password_hash: await hashPassword(password),
+        created_at: now,
+        updated_at: now
+    };
+
+    await users(store).put(user.username, user);
+    return user;
+}
+
+async function updateUser(username, changes, store = getStore()) {
+    const current = await getUser(username, store);
+    if (!current) return null;
+
+    const updated = { ...current, updated_at: new Date().toISOString() };
+    if (changes.name !== undefined) updated.name = changes.name;
+    if (changes.role !== undefined) updated.role = changes.role;
+    if (changes.active !== undefined) updated.active = changes.active === true || changes.active === 'true';
+    if (changes.password !== undefined) updated.password_hash = await hashPassword(changes.password);
+    if (changes.last_login_at !== undefined) updated.last_login_at = changes.last_login_at;
+
+    await users(store).put(updated.username, updated);
+    return updated;
+}
+
+async function deleteUser(username, store = getStore()) {
+    const normalized = normalizeUsername(username);
+    return isValidUsername(normalized) ? users(store).remove(normalized) : false;
+}
+
+async function authenticateUser(username, password, store = getStore()) {
+    const user = await getUser(username, store);
+    if (!user || user.active === false) return null;
+    return (await verifyPassword(password, user.password_hash)) ? user : null;
+}
+
+// First run: create the admin account from ADMIN_USERNAME / ADMIN_PASSWORD
+// when the user store is still empty.
+async function ensureBootstrapAdmin(store = getStore()) {
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return null;
+
+    const existing = await users(store).list();
+    if (existing.length > 0) return null;
+
+    logger.info('Creating initial admin user', { username: ADMIN_USERNAME });
+    return createUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin', name: 'Administrator' }, store);
+}
+
+module.exports = {
+    ROLES,
+    isValidRole,
+    hasRole,
+    publicUser,
+    getUser,
+    listUsers,
+    validateUserInput,
+    createUser,
+    updateUser,
+    deleteUser,
+    authenticateUser,
+    ensureBootstrapAdmin
+};
@@ -0,0 +1,352 @@
+// lib/validation.js - APPLICATION FORM VALIDATION
+// ====================================================
+//
+// One schema for both sides: the API requires this file, and index.html
+// loads the same file from GET /api/validation.js (it then lives on
+// window.ApplicationValidation). Keep it free of Node-only APIs.
+//
+// validateApplication(input) returns an object keyed by field name with
+// a Thai message for every invalid field; an empty object means valid.
+//
+// Education and work experience are repeatable: each entry is posted as
+// education[0][school], work_experience[1][start]... and its errors are
+// keyed by those same names.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ApplicationValidation = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+    const MIN_AGE = 15;
+    const MAX_AGE = 100;
+    const MAX_SALARY = 10000000;
+
+    // Fields of one entry in each repeatable section, and how many it takes
+    const ENTRY_SECTIONS = {
+        education: { fields: ['level', 'school', 'major', 'year'], max: 8 },
+        work_experience: { fields: ['company', 'position', 'start', 'end', 'reason'], max: 10 }
+    };
+
+    const EDUCATION_LEVELS = ['high_school', 'vocational', 'bachelor', 'master', 'doctorate', 'other'];
+
+    function text(value) {
+        return value === undefined || value === null ? '' : String(value).trim();
+    }
+
+    function digits(value) {
+        return text(value).replace(/\D/g, '');
+    }
+
+    // Optional fields accept "-" for "not applicable"
+    function isBlank(value) {
+        const trimmed = text(value);
+        return trimmed === '' || trimmed === '-';
+    }
+
+    // Checkbox values arrive as strings from multipart forms
+    function isChecked(value) {
+        return ['true', 'on', '1', 'yes'].indexOf(text(value).toLowerCase()) !== -1;
+    }
+
+    // Thai national ID: 13 digits, the last is a mod-11 check digit
+    function isValidThaiId(value) {
+        const id = digits(value);
+        if (!/^\d{13}$/.test(id)) return false;
+
+        let sum = 0;
+        for (let i = 0; i < 12; i++) {
+            sum += Number(id[i]) * (13 - i);
+        }
+        return (11 - (sum % 11)) % 10 === Number(id[12]);
+    }
+
+    // Mobile (0XX-XXX-XXXX) or landline (0X-XXX-XXXX); +66 is read as 0
+    function normalizePhone(value) {
+        const number = digits(value);
+        return number.indexOf('66') === 0 && text(value).charAt(0) === '+' ? `0${number.slice(2)}` : number;
+    }
+
+    function isValidPhone(value) {
+        return /^0\d{8,9}$/.test(normalizePhone(value));
+    }
+
+    function isValidEmail(value) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text(value));
+    }
+
+    // YYYY-MM-DD that is a real calendar day
+    function parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text(value));
+        if (!match) return null;
+
+        const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]) ? date : null;
+    }
+
+    function ageOn(birthdate, today) {
+        let age = today.getUTCFullYear() - birthdate.getUTCFullYear();
+        const beforeBirthday = today.getUTCMonth() < birthdate.getUTCMonth() ||
+            (today.getUTCMonth() === birthdate.getUTCMonth() && today.getUTCDate() < birthdate.getUTCDate());
+        return beforeBirthday ? age - 1 : age;
+    }
+
+    function todayUTC(now) {
+        return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+    }
+
+    // "2023-06" (month inputs) or "06/2023" to a month count that sorts;
+    // Buddhist-era years (2566) are read as their Gregorian year
+    function parseMonth(value) {
+        let match = /^(\d{4})-(\d{1,2})$/.exec(text(value));
+        let year;
+        let month;
+        if (match) {
+            year = Number(match[1]);
+            month = Number(match[2]);
+        } else if ((match = /^(\d{1,2})\/(\d{4})$/.exec(text(value)))) {
+            year = Number(match[2]);
+            month = Number(match[1]);
+        } else {
+            return null;
+        }
+        if (year > 2400) year -= 543;
+        return month >= 1 && month <= 12 ? year * 12 + month - 1 : null;
+    }
+
+    // "06/2566" -> "2023-06", the way months are stored
+    function normalizeMonth(value) {
+        const month = parseMonth(value);
+        if (month === null) return text(value);
+        return `${Math.floor(month / 12)}-${String(month % 12 + 1).padStart(2, '0')}`;
+    }
+
+    // An empty end month means the applicant still works there
+    function isCurrentJob(value) {
+        return ['', 'ปัจจุบัน', 'present'].indexOf(text(value).toLowerCase()) !== -1;
+    }
+
+    // ====================================================
+    // REPEATABLE ENTRIES
+    // ====================================================
+
+    // Entries of `section` that have anything filled in, as
+    // [{ index, entry }] with every field trimmed. multer turns
+    // work_experience[0][company] into an array of objects; the browser's
+    // FormData keeps the flat names. Only indexes that are present are
+    // read, so a posted work_experience[99999][company] stays cheap.
+    function sectionEntries(input, section) {
+        const found = {};
+        const posted = input[section];
+        if (posted && typeof posted === 'object') {
+            Object.keys(posted).forEach((index) => {
+                if (/^\d+$/.test(index)) found[index] = posted[index];
+            });
+        }
+
+        const pattern = new RegExp(`^${section}\\[(\\d+)\\]\\[([a-z_]+)\\]$`);
+        Object.keys(input).forEach((name) => {
+            const match = pattern.exec(name);
+            if (match) (found[match[1]] = found[match[1]] || {})[match[2]] = input[name];
+        });
+
+        return Object.keys(found)
+            .sort((a, b) => a - b)
+            .map((index) => {
+                const source = found[index] && typeof found[index] === 'object' ? found[index] : {};
+                const entry = {};
+                ENTRY_SECTIONS[section].fields.forEach((field) => {
+                    entry[field] = text(source[field]);
+                });
+                return { index: Number(index), entry };
+            })
+            .filter(({ entry }) => Object.keys(entry).some(field => entry[field] !== ''));
+    }
+
+    // The filled-in entries of `section`, in form order, ready to store
+    function entryList(input, section) {
+        return sectionEntries(input, section).map(({ entry }) => entry);
+    }
+
+    // ====================================================
+    // SCHEMA
+    // ====================================================
+    //
+    // Each rule gets (value, input, context) and returns a message or null.
+
+    function required(message) {
+        return value => (Array.isArray(value) ? value.length === 0 : text(value) === '') ? message : null;
+    }
+
+    const SCHEMA = {
+        position_ids: [required('กรุณาเลือกตำแหน่งที่ต้องการสมัครอย่างน้อย 1 ตำแหน่ง')],
+        fullname_th: [required('กรุณากรอกชื่อ-นามสกุล (ภาษาไทย)')],
+        gender: [required('กรุณาเลือกเพศ')],
+        birthdate: [
+            required('กรุณากรอกวันเกิด'),
+            (value, input, context) => {
+                const date = parseDate(value);
+                if (!date) return 'รูปแบบวันเกิดไม่ถูกต้อง';
+                if (date > context.today) return 'วันเกิดต้องไม่เป็นวันในอนาคต';
+                return null;
+            }
+        ],
+        age: [
+            required('กรุณากรอกอายุ'),
+            (value, input, context) => {
+                const age = Number(text(value));
+                if (!Number.isInteger(age) || age < MIN_AGE || age > MAX_AGE) {
+                    return `อายุต้องเป็นตัวเลข ${MIN_AGE}-${MAX_AGE} ปี`;
+                }
+                // Allow a year either way for birthdays around the submission date
+                const birthdate = parseDate(input.birthdate);
+                if (birthdate && birthdate <= context.today && Math.abs(ageOn(birthdate, context.today) - age) > 1) {
+                    return `อายุไม่ตรงกับวันเกิด (ตามวันเกิดคือ ${ageOn(birthdate, context.today)} ปี)`;
+                }
+                return null;
+            }
+        ],
+        nationality: [required('กรุณากรอกสัญชาติ')],
+        ethnicity: [required('กรุณากรอกเชื้อชาติ')],
+        religion: [required('กรุณากรอกศาสนา')],
+        id_card: [
+            required('กรุณากรอกเลขบัตรประชาชน'),
+            value => (digits(value).length !== 13 ? 'เลขบัตรประชาชนต้องมี 13 หลัก' : null),
+            value => (!isValidThaiId(value) ? 'เลขบัตรประชาชนไม่ถูกต้อง กรุณาตรวจสอบอีกครั้ง' : null)
+        ],
+        phone: [
+            required('กรุณากรอกเบอร์โทรศัพท์'),
+            value => (!isValidPhone(value) ? 'เบอร์โทรศัพท์ไม่ถูกต้อง (เช่น 081-234-5678 หรือ 02-123-4567)' : null)
+        ],
+        line_id: [required('กรุณากรอก LINE ID (ไม่มีให้กรอก -)')],
+        email: [
+            required('กรุณากรอกอีเมล'),
+            value => (!isValidEmail(value) ? 'รูปแบบอีเมลไม่ถูกต้อง' : null)
+        ],
+        address: [required('กรุณากรอกที่อยู่')],
+        subdistrict: [required('กรุณากรอกตำบล/แขวง')],
+        district: [required('กรุณากรอกอำเภอ/เขต')],
+        province: [required('กรุณากรอกจังหวัด')],
+        zipcode: [
+            required('กรุณากรอกรหัสไปรษณีย์'),
+            value => (!/^\d{5}$/.test(text(value)) ? 'รหัสไปรษณีย์ต้องเป็นตัวเลข 5 หลัก' : null)
+        ],
+        education_used: [required('กรุณาเลือกวุฒิการศึกษาที่ใช้สมัคร')],
+        has_disease: [required('กรุณาระบุว่ามีโรคประจำตัวหรือไม่')],
+        has_criminal_record: [required('กรุณาระบุว่าเคยต้องโทษหรือไม่')],
+        expected_salary: [
+            (value) => {
+                if (isBlank(value)) return null;
+                const salary = Number(text(value).replace(/,/g, ''));
+                return !isFinite(salary) || salary < 0 || salary > MAX_SALARY
+                    ? 'เงินเดือนที่คาดหวังต้องเป็นตัวเลขไม่ติดลบ'
+                    : null;
+            }
+        ],
+        start_date: [
+            value => (!isBlank(value) && !parseDate(value) ? 'รูปแบบวันที่เริ่มงานไม่ถูกต้อง' : null)
+        ],
+        language: [
+            value => (!isBlank(value) && ['th', 'en'].indexOf(text(value)) === -1 ? 'ภาษาไม่ถูกต้อง' : null)
+        ],
+        declaration_accepted: [
+            value => (!isChecked(value) ? 'กรุณายืนยันคำรับรองข้อมูลก่อนส่งใบสมัคร' : null)
+        ]
+    };
+
+    // Rules for one entry get (value, entry, context), like SCHEMA rules
+    const ENTRY_SCHEMA = {
+        education: {
+            level: [value => (EDUCATION_LEVELS.indexOf(value) === -1 ? 'กรุณาเลือกระดับการศึกษา' : null)],
+            school: [required('กรุณากรอกชื่อสถาบัน')],
+            year: [value => (value !== '' && !/^\d{4}$/.test(value) ? 'ปีที่จบต้องเป็นตัวเลข 4 หลัก (เช่น 2566)' : null)]
+        },
+        work_experience: {
+            company: [required('กรุณากรอกชื่อบริษัท/สถานประกอบการ')],
+            start: [
+                required('กรุณากรอกเดือน/ปีที่เริ่มงาน'),
+                value => (parseMonth(value) === null ? 'รูปแบบเดือน/ปีไม่ถูกต้อง (เช่น 2023-06)' : null),
+                (value, entry, context) => (parseMonth(value) > context.month ? 'เดือนที่เริ่มงานต้องไม่เป็นเดือนในอนาคต' : null)
+            ],
+            end: [
+                (value) => {
+                    if (isCurrentJob(value)) return null;
+                    return parseMonth(value) === null ? 'รูปแบบเดือน/ปีไม่ถูกต้อง (เช่น 2023-06) หรือเว้นว่างหากยังทำงานอยู่' : null;
+                },
+                (value, entry, context) => (!isCurrentJob(value) && parseMonth(value) > context.month
+                    ? 'เดือนที่ออกจากงานต้องไม่เป็นเดือนในอนาคต (เว้นว่างหากยังทำงานอยู่)'
+                    : null),
+                (value, entry) => {
+                    const start = parseMonth(entry.start);
+                    return !isCurrentJob(value) && start !== null && parseMonth(value) < start
+                        ? 'เดือนที่ออกจากงานต้องไม่ก่อนเดือนที่เริ่มงาน'
+                        : null;
+                }
+            ]
+        }
+    };
+
+    const TOO_MANY_ENTRIES = {
+        education: max => `เพิ่มประวัติการศึกษาได้ไม่เกิน ${max} รายการ`,
+        work_experience: max => `เพิ่มประสบการณ์ทำงานได้ไม่เกิน ${max} รายการ`
+    };
+
+    function validateEntries(input, section, context, errors) {
+        const entries = sectionEntries(input, section);
+        const { max } = ENTRY_SECTIONS[section];
+        if (entries.length > max) {
+            errors[section] = TOO_MANY_ENTRIES[section](max);
+            return;
+        }
+
+        entries.forEach(({ index, entry }) => {
+            Object.keys(ENTRY_SCHEMA[section]).forEach((field) => {
+                for (const rule of ENTRY_SCHEMA[section][field]) {
+                    const message = rule(entry[field], entry, context);
+                    if (message) {
+                        errors[`${section}[${index}][${field}]`] = message;
+                        break;
+                    }
+                }
+            });
+        });
+    }
+
+    // `now` is injectable so the same input always validates the same way
+    function validateApplication(input, { now = new Date() } = {}) {
+        const today = todayUTC(now);
+        const context = { today, month: today.getUTCFullYear() * 12 + today.getUTCMonth() };
+        const errors = {};
+
+        Object.keys(SCHEMA).forEach((field) => {
+            for (const rule of SCHEMA[field]) {
+                const message = rule(input[field], input, context);
+                if (message) {
+                    errors[field] = message;
+                    break;
+                }
+            }
+        });
+        Object.keys(ENTRY_SECTIONS).forEach(section => validateEntries(input, section, context, errors));
+
+        return errors;
+    }
+
+    return {
+        SCHEMA,
+        ENTRY_SECTIONS,
+        EDUCATION_LEVELS,
+        entryList,
+        normalizeMonth,
+        isCurrentJob,
+        isChecked,
+        isValidThaiId,
+        isValidPhone,
+        normalizePhone,
+        isValidEmail,
+        parseDate,
+        validateApplication
+    };
+}));
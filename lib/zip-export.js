@@ -0,0 +1,118 @@
+// lib/zip-export.js - BULK PDF EXPORT (ZIP)
+// ====================================================
+//
+// Streams a ZIP of several applications for sending a shortlist to the
+// hiring manager:
+//
+//   index.csv                         one row per application (lib/export.js)
+//   APP123_ชื่อ/Job_Application_*.pdf
+//   APP123_ชื่อ/Photo_*.jpg
+//   APP123_ชื่อ/resume.pdf
+//   errors.txt                        only when some PDFs could not be made
+//
+// Entries are written one at a time and the next application is only
+// loaded once the previous entry has gone into the archive, so memory
+// stays at about one application no matter how many are exported.
+
+const archiver = require('archiver');
+const { getStore, getApplicationFile } = require('./store');
+const { generateJobApplicationPDF, pdfFilename } = require('./pdf');
+const pdfTemplates = require('./pdf-templates');
+const { safeFilename } = require('./sanitize');
+const { toCSV } = require('./export');
+const logger = require('./logger');
+
+const CONTENT_TYPE = 'application/zip';
+
+function folderName(application) {
+    return safeFilename(`${application.id}_${application.personal_info.fullname_th}`, application.id);
+}
+
+// Resolves once archiver has taken the entry; rejects if the download
+// is closed first, since the entry would then never be read
+function appendEntry(archive, output, content, name) {
+    return new Promise((resolve, reject) => {
+        const done = error => {
+            archive.removeListener('entry', onEntry);
+            archive.removeListener('error', onError);
+            output.removeListener('close', onClose);
+            error ? reject(error) : resolve();
+        };
+        const onEntry = () => done();
+        const onError = error => done(error);
+        const onClose = () => done(new Error('Download closed'));
+
+        archive.on('entry', onEntry);
+        archive.on('error', onError);
+        output.on('close', onClose);
+        archive.append(content, { name });
+    });
+}
+
+async function appendApplication(archive, output, application, { templateId }, store) {
+    const folder = folderName(application);
+    const photo = await getApplicationFile(application, 'photo', store);
+    const template = await pdfTemplates.resolveTemplate(application, { templateId });
+    const pdfBuffer = await generateJobApplicationPDF(application, photo && photo.buffer, template);
+
+    await appendEntry(archive, output, pdfBuffer, `${folder}/${pdfFilename(application)}`);
+
+    if (photo) {
+        await appendEntry(archive, output, photo.buffer,
+            `${folder}/${safeFilename(`Photo_${photo.originalname}`, 'Photo.jpg')}`);
+    }
+
+    const resume = await getApplicationFile(application, 'resume', store);
+    if (resume) {
+        await appendEntry(archive, output, resume.buffer, `${folder}/${safeFilename(resume.originalname, 'Resume')}`);
+    }
+}
+
+// Pipes the ZIP into `output` (the response). An application whose PDF
+// fails is listed in errors.txt instead of breaking the whole download.
+// Resolves to { exported, failed, cancelled }.
+async function streamApplicationsZip(applications, output, { includeSensitive = true, templateId } = {}, store = getStore()) {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('error', error => output.destroy(error));
+    archive.pipe(output);
+
+    let exported = 0;
+    const failed = [];
+    try {
+        await appendEntry(archive, output, toCSV(applications, { includeSensitive }), 'index.csv');
+
+        for (const application of applications) {
+            try {
+                await appendApplication(archive, output, application, { templateId }, store);
+                exported++;
+            } catch (error) {
+                if (output.destroyed) throw error;
+                logger.error('Error adding application to ZIP', { application_id: application.id, error });
+                failed.push(application.id);
+            }
+        }
+
+        if (failed.length > 0) {
+            await appendEntry(archive, output,
+                Buffer.from(`สร้าง PDF ไม่สำเร็จ:\r\n${failed.join('\r\n')}\r\n`, 'utf8'), 'errors.txt');
+        }
+    } catch (error) {
+        if (!output.destroyed) throw error;
+        archive.abort();
+        return { exported, failed, cancelled: true };
+    }
+
+    const finished = new Promise(resolve => {
+        output.once('finish', resolve);
+        output.once('close', resolve);
+    });
+    await archive.finalize();
+    await finished;
+
+    return { exported, failed, cancelled: false };
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    streamApplicationsZip
+};
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/store');
+const drafts = require('../lib/drafts');
+const { baseUrl } = require('../lib/emails');
+
+test('the resume link goes out once per draft per interval', async () => {
+    delete process.env.DRAFT_LINK_INTERVAL_MINUTES;
+    const store = createStore({ driver: 'memory' });
+
+    let draft = await drafts.saveDraft({ email: 'a@example.com' }, {}, null, store);
+    assert.equal(drafts.isLinkDue(draft), true);
+    draft = await drafts.markLinkSent(draft, store);
+
+    draft = await drafts.saveDraft({ email: 'a@example.com', fullname_th: 'ทดสอบ' }, {}, draft, store);
+    assert.equal(drafts.isLinkDue(draft), false, 'same address');
+
+    draft = await drafts.saveDraft({ email: 'b@example.com' }, {}, draft, store);
+    assert.equal(drafts.isLinkDue(draft), false, 'new address inside the interval');
+    const later = new Date(Date.now() + drafts.linkIntervalMinutes() * 60 * 1000);
+    assert.equal(drafts.isLinkDue(draft, later), true, 'new address after the interval');
+
+    assert.equal((await drafts.getDraft(draft.id, store)).link_email, 'a@example.com');
+});
+
+test('email links need PUBLIC_URL, never the request host', (t) => {
+    const saved = process.env.PUBLIC_URL;
+    t.after(() => {
+        if (saved === undefined) delete process.env.PUBLIC_URL;
+        else process.env.PUBLIC_URL = saved;
+    });
+
+    delete process.env.PUBLIC_URL;
+    assert.throws(() => baseUrl(), /PUBLIC_URL/);
+    process.env.PUBLIC_URL = 'https://jobs.example.com/';
+    assert.equal(baseUrl(), 'https://jobs.example.com');
+});
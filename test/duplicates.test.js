@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createStore, saveApplication } = require('../lib/store');
+const { findDuplicates, serializeApplicant, indexApplication, unindexApplication } = require('../lib/duplicates');
+
+function application(id, { id_card = '1101700203450', email = 'a@example.com', phone = '0812345678', submitted_at } = {}) {
+    return {
+        id,
+        personal_info: { id_card, email, phone },
+        submitted_at: submitted_at || new Date().toISOString()
+    };
+}
+
+async function saved(store, record) {
+    await saveApplication(record, {}, store);
+    await indexApplication(record, store);
+    return record;
+}
+
+test('a matching ID card and email inside the window is a duplicate', async () => {
+    const store = createStore({ driver: 'memory' });
+    await saved(store, application('APP1'));
+
+    const { duplicate, possible } = await findDuplicates(application('APP2', { email: 'A@Example.com ' }), new Date(), store);
+    assert.equal(duplicate.id, 'APP1');
+    assert.deepEqual(possible, []);
+});
+
+test('weaker matches are only possible duplicates', async () => {
+    const store = createStore({ driver: 'memory' });
+    await saved(store, application('APP1', { email: 'other@example.com' }));
+    await saved(store, application('APP2', { id_card: '3100600000013', email: 'x@example.com', phone: '021234567' }));
+
+    const { duplicate, possible } = await findDuplicates(application('APP3'), new Date(), store);
+    assert.equal(duplicate, null);
+    assert.deepEqual(possible.map(match => [match.id, match.matched_on]), [['APP1', ['id_card', 'phone']]]);
+});
+
+test('applications stored before the index existed are found', async () => {
+    const store = createStore({ driver: 'memory' });
+    await saveApplication(application('APP1'), {}, store);
+
+    const { duplicate } = await findDuplicates(application('APP2'), new Date(), store);
+    assert.equal(duplicate.id, 'APP1');
+});
+
+test('only the matching applications are read, not the whole collection', async () => {
+    const store = createStore({ driver: 'memory' });
+    await saved(store, application('APP1'));
+    await findDuplicates(application('APP0'), new Date(), store);
+
+    const list = store.driver.list;
+    store.driver.list = async (collection) => {
+        if (collection === 'applications') throw new Error('scanned every application');
+        return list(collection);
+    };
+
+    const { duplicate } = await findDuplicates(application('APP2'), new Date(), store);
+    assert.equal(duplicate.id, 'APP1');
+});
+
+test('erased applications leave nothing in the index', async () => {
+    const store = createStore({ driver: 'memory' });
+    const record = await saved(store, application('APP1'));
+    await findDuplicates(application('APP0'), new Date(), store);
+
+    await unindexApplication(record, store);
+    const entries = (await store.collection('application-index').list()).filter(entry => entry.id !== 'built');
+    assert.deepEqual(entries, []);
+});
+
+test('index keys are keyed hashes and the index is rebuilt when the key changes', async (t) => {
+    process.env.AUTH_SECRET = 'first-secret';
+    t.after(() => { delete process.env.AUTH_SECRET; });
+
+    const store = createStore({ driver: 'memory' });
+    await saveApplication(application('APP1'), {}, store);
+    await findDuplicates(application('APP0'), new Date(), store);
+
+    const plain = crypto.createHash('sha256').update('1101700203450').digest('hex').slice(0, 32);
+    const keys = (await store.collection('application-index').list()).map(entry => entry.id);
+    assert.ok(keys.some(key => key.startsWith('id_card-')));
+    assert.ok(!keys.includes(`id_card-${plain}`));
+
+    process.env.AUTH_SECRET = 'second-secret';
+    const { duplicate } = await findDuplicates(application('APP2'), new Date(), store);
+    assert.equal(duplicate.id, 'APP1');
+});
+
+test('applications indexed at the same time all stay in the index entry', async () => {
+    const store = createStore({ driver: 'memory' });
+    await findDuplicates(application('APP0'), new Date(), store);
+
+    const records = ['APP1', 'APP2', 'APP3'].map(id => application(id));
+    for (const record of records) await saveApplication(record, {}, store);
+    await Promise.all(records.map(record => indexApplication(record, store)));
+
+    const { duplicate, possible } = await findDuplicates(application('APP4'), new Date(), store);
+    assert.deepEqual([duplicate.id, ...possible.map(match => match.id)].sort(), ['APP1', 'APP2', 'APP3']);
+});
+
+test('submissions for the same ID card run one after another', async () => {
+    const order = [];
+    const slow = serializeApplicant(application('APP1'), async () => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        order.push('first');
+    });
+    const fast = serializeApplicant(application('APP2'), async () => { order.push('second'); });
+
+    await Promise.all([slow, fast]);
+    assert.deepEqual(order, ['first', 'second']);
+});
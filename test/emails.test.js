@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/store');
+const { applicantEmail, adminEmail, applicationAttachments } = require('../lib/emails');
+const { SAMPLE_APPLICATION } = require('../lib/pdf-templates');
+const { escapeHTML, safeFilename } = require('../lib/sanitize');
+
+const HOSTILE = '<script>alert(1)</script>{{company_name}}{{#revision}}x{{/revision}}\r\nBcc: victim@example.com';
+
+function hostileApplication() {
+    return {
+        ...SAMPLE_APPLICATION,
+        id: 'APP1700000000000',
+        position: `Admin${HOSTILE}`,
+        personal_info: { ...SAMPLE_APPLICATION.personal_info, fullname_th: `สมชาย${HOSTILE}` },
+        additional_info: {
+            ...SAMPLE_APPLICATION.additional_info,
+            has_criminal_record: 'เคย',
+            criminal_detail: HOSTILE,
+            motivation: HOSTILE
+        }
+    };
+}
+
+function hostileUploads() {
+    return {
+        photo: [{ originalname: `../../etc/${HOSTILE}.jpg`, mimetype: 'image/jpeg', buffer: Buffer.from('jpg') }],
+        resume: [{ originalname: `..\\..\\${HOSTILE}.pdf`, mimetype: 'application/pdf', buffer: Buffer.from('pdf') }]
+    };
+}
+
+function assertSafe(email) {
+    assert.doesNotMatch(email.html, /<script>/i);
+    assert.match(email.html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.match(email.html, /\{\{company_name\}\}/, 'applicant text is not expanded as a template');
+    assert.doesNotMatch(email.subject, /[\r\n]/);
+}
+
+test('applicant input is escaped in the applicant confirmation', async () => {
+    const email = await applicantEmail(hostileApplication(), createStore({ driver: 'memory' }));
+    assertSafe(email);
+});
+
+test('applicant input and file names are escaped in the HR notification', async () => {
+    const application = hostileApplication();
+    const attachments = applicationAttachments(application, Buffer.from('%PDF'), hostileUploads());
+    const email = await adminEmail(application, attachments, createStore({ driver: 'memory' }));
+
+    assertSafe(email);
+    assert.match(email.subject, /<script>alert\(1\)<\/script>/, 'the subject is plain text, not HTML');
+    for (const attachment of attachments) {
+        assert.doesNotMatch(attachment.filename, /[\\/\r\n]/);
+        assert.ok(email.html.includes(escapeHTML(attachment.filename)), attachment.filename);
+    }
+});
+
+test('safeFilename strips path separators and control characters', () => {
+    assert.equal(safeFilename('../../etc/passwd'), 'etc_passwd');
+    assert.equal(safeFilename('..\\..\\windows\\win.ini'), 'windows_win.ini');
+    assert.equal(safeFilename('a\r\nb.pdf'), 'ab.pdf');
+    assert.equal(safeFilename('/', 'Resume'), 'Resume');
+    assert.doesNotMatch(safeFilename(`../${HOSTILE}.pdf`), /[\\/\r\n<>]/);
+});
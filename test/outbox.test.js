@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/store');
+const outbox = require('../lib/outbox');
+
+const MINUTE = 60 * 1000;
+
+// Records every message; fails while `failing` is set
+function stubTransport() {
+    const transport = {
+        failing: false,
+        sent: [],
+        async sendMail(message) {
+            if (transport.failing) throw new Error('SMTP down');
+            transport.sent.push(message);
+            return { messageId: String(transport.sent.length) };
+        }
+    };
+    return transport;
+}
+
+function message() {
+    return {
+        to: 'applicant@example.com',
+        subject: 'Hello\r\nBcc: someone@example.com',
+        html: '<p>Hi</p>',
+        attachments: [{ filename: 'a.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF') }],
+        kind: 'test'
+    };
+}
+
+test('an email is queued with its attachments and sent right away', async (t) => {
+    const transport = stubTransport();
+    outbox.setTransporter(transport);
+    t.after(() => outbox.setTransporter(null));
+    const store = createStore({ driver: 'memory' });
+
+    const job = await outbox.sendEmail(message(), store);
+
+    assert.equal(job.status, 'sent');
+    assert.equal(job.attempts, 1);
+    assert.equal(transport.sent.length, 1);
+    assert.equal(transport.sent[0].subject, 'Hello Bcc: someone@example.com');
+    assert.equal(transport.sent[0].attachments[0].content.toString(), '%PDF');
+    assert.equal(await store.getFile(job.attachments[0].key), null, 'sent attachments are removed');
+});
+
+test('failed sends back off 1/5/30/120 minutes, then fail and can be resent', async (t) => {
+    const transport = stubTransport();
+    transport.failing = true;
+    outbox.setTransporter(transport);
+    t.after(() => outbox.setTransporter(null));
+    const store = createStore({ driver: 'memory' });
+
+    let job = await outbox.sendEmail(message(), store);
+    let now = new Date(job.updated_at);
+    assert.equal(job.status, 'queued');
+
+    for (const [index, minutes] of outbox.RETRY_DELAYS.entries()) {
+        const attempts = index + 1;
+        if (attempts >= outbox.MAX_ATTEMPTS) break;
+        assert.equal(job.attempts, attempts);
+        const due = new Date(job.next_attempt_at);
+        assert.ok(Math.abs(due - now - minutes * MINUTE) < 1000, `attempt ${attempts} waits ${minutes} minutes`);
+
+        assert.equal((await outbox.processOutbox({ now: new Date(due - 1000) }, store)).processed, 0, 'not due yet');
+        now = due;
+        await outbox.processOutbox({ now }, store);
+        job = await outbox.getEmail(job.id, store);
+    }
+
+    while (job.status === 'queued') {
+        now = new Date(job.next_attempt_at);
+        await outbox.processOutbox({ now }, store);
+        job = await outbox.getEmail(job.id, store);
+    }
+    assert.equal(job.status, 'failed');
+    assert.equal(job.attempts, outbox.MAX_ATTEMPTS);
+    assert.equal(job.last_error, 'SMTP down');
+    assert.equal((await outbox.processOutbox({ now: new Date(now.getTime() + 1000 * MINUTE) }, store)).processed, 0);
+
+    transport.failing = false;
+    job = await outbox.resendEmail(job.id, store);
+    assert.equal(job.status, 'sent');
+    assert.equal(job.attempts, 1);
+    assert.equal(transport.sent.length, 1);
+});
+
+test('a job being sent is not picked up by another run', async (t) => {
+    let release;
+    const transport = {
+        sent: 0,
+        sendMail() {
+            transport.sent += 1;
+            return new Promise(resolve => { release = resolve; });
+        }
+    };
+    outbox.setTransporter(transport);
+    t.after(() => outbox.setTransporter(null));
+    const store = createStore({ driver: 'memory' });
+
+    const job = await outbox.enqueueEmail(message(), store);
+    const first = outbox.processOutbox({ now: new Date() }, store);
+    while (!release) await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal((await outbox.getEmail(job.id, store)).status, 'sending');
+    assert.equal((await outbox.processOutbox({ now: new Date() }, store)).processed, 0);
+
+    release();
+    assert.equal((await first).sent, 1);
+    assert.equal(transport.sent, 1);
+    assert.equal((await outbox.getEmail(job.id, store)).status, 'sent');
+});
+
+test('a job stuck in sending is tried again after the timeout', async (t) => {
+    const transport = stubTransport();
+    outbox.setTransporter(transport);
+    t.after(() => outbox.setTransporter(null));
+    const store = createStore({ driver: 'memory' });
+
+    const job = await outbox.enqueueEmail(message(), store);
+    const sendingAt = new Date();
+    await store.collection('outbox').put(job.id, { ...job, status: 'sending', sending_at: sendingAt.toISOString() });
+
+    assert.equal((await outbox.processOutbox({ now: new Date(sendingAt.getTime() + MINUTE) }, store)).processed, 0);
+    assert.equal((await outbox.processOutbox({ now: new Date(sendingAt.getTime() + 11 * MINUTE) }, store)).sent, 1);
+});
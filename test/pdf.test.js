@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PDFDocument = require('pdfkit');
+const { generateJobApplicationPDF } = require('../lib/pdf');
+const { SAMPLE_APPLICATION } = require('../lib/pdf-templates');
+
+// Every line PDFKit draws, with the page it landed on and whether it was
+// drawn as content or into the header/footer (margins zeroed meanwhile)
+async function render(application) {
+    const fragments = [];
+    const original = PDFDocument.prototype._fragment;
+    PDFDocument.prototype._fragment = function (text, x, y, options) {
+        const width = this.widthOfString(text, options);
+        fragments.push({
+            text,
+            x: options.align === 'right' ? x + options.lineWidth - width : x,
+            y,
+            width,
+            height: this.currentLineHeight(true),
+            page: this.page,
+            frame: this.page.margins.top === 0
+        });
+        return original.call(this, text, x, y, options);
+    };
+
+    try {
+        const pdf = await generateJobApplicationPDF(application, null);
+        const pages = (pdf.toString('latin1').match(/\/Type \/Page\b(?!s)/g) || []).length;
+        return { fragments, pages };
+    } finally {
+        PDFDocument.prototype._fragment = original;
+    }
+}
+
+function longApplication() {
+    const paragraph = 'ต้องการร่วมงานกับองค์กรที่มั่นคงและพัฒนาตัวเองอย่างต่อเนื่อง '.repeat(12);
+    return {
+        ...SAMPLE_APPLICATION,
+        personal_info: {
+            ...SAMPLE_APPLICATION.personal_info,
+            fullname_th: 'สมชาย ใจดีมากเป็นพิเศษและมีนามสกุลที่ยาวมากจนล้นหัวกระดาษ'.repeat(3),
+            fullname_en: 'Somchai Jaidee '.repeat(300),
+            address: {
+                ...SAMPLE_APPLICATION.personal_info.address,
+                full: '99/9 หมู่บ้านตัวอย่าง ซอยสุขุมวิท 101/1 แยก 5 ถนนสุขุมวิท '.repeat(10)
+            }
+        },
+        education: {
+            entries: Array.from({ length: 8 }, (_, i) => ({
+                level: 'other', school: `สถาบันตัวอย่างแห่งที่ ${i + 1} `.repeat(4), major: 'การจัดการ', year: String(2550 + i)
+            })),
+            education_used: 'ปริญญาโท'
+        },
+        work_experience: Array.from({ length: 10 }, (_, i) => ({
+            company: `บริษัท ตัวอย่างที่ ${i + 1} จำกัด (มหาชน)`,
+            position: 'เจ้าหน้าที่ธุรการอาวุโส',
+            start: '2015-01',
+            end: '2016-01',
+            reason: 'ต้องการความก้าวหน้าในสายงาน '.repeat(6)
+        })),
+        additional_info: {
+            ...SAMPLE_APPLICATION.additional_info,
+            has_criminal_record: 'เคย',
+            criminal_detail: paragraph.repeat(8),
+            motivation: paragraph.repeat(4)
+        }
+    };
+}
+
+test('long applications stay inside the margins and run onto more pages', async () => {
+    const short = await render(SAMPLE_APPLICATION);
+    const long = await render(longApplication());
+
+    assert.ok(long.pages > short.pages, `${long.pages} pages, ${short.pages} for the sample`);
+
+    for (const fragment of long.fragments) {
+        const { page } = fragment;
+        const top = fragment.frame ? 0 : page.margins.top;
+        const bottom = fragment.frame ? page.height : page.maxY();
+        assert.ok(fragment.y >= top - 0.5 && fragment.y + fragment.height <= bottom + 0.5,
+            `"${fragment.text.slice(0, 30)}" at y=${fragment.y.toFixed(1)} is outside ${top}-${bottom}`);
+        assert.ok(fragment.x >= 0 && fragment.x + fragment.width <= page.width + 0.5,
+            `"${fragment.text.slice(0, 30)}" runs off the page`);
+    }
+});
+
+test('columns stay side by side on the page they start on', async () => {
+    const { fragments } = await render(longApplication());
+    const declared = fragments.filter(fragment => /^(โรคประจำตัว|ประวัติการต้องโทษ)/.test(fragment.text));
+    const named = fragments.find(fragment => fragment.text.startsWith('ชื่อ-นามสกุล (ไทย)'));
+
+    assert.ok(named && declared.length > 0);
+    assert.equal(declared[0].page, named.page);
+    assert.equal(declared[0].y, named.y);
+});
+
+test('the header name does not run into the application ID', async () => {
+    const { fragments } = await render(longApplication());
+    const headers = fragments.filter(fragment => fragment.frame && fragment.y < 60);
+    const byPage = new Map();
+    for (const fragment of headers) {
+        byPage.set(fragment.page, [...(byPage.get(fragment.page) || []), fragment]);
+    }
+
+    assert.ok(byPage.size > 1);
+    for (const [name, id] of byPage.values()) {
+        assert.ok(name.x + name.width < id.x, `"${name.text}" overlaps "${id.text}"`);
+    }
+});
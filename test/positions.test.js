@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePosition } = require('../lib/positions');
+
+test('closing dates must be real calendar days', () => {
+    assert.equal(validatePosition({ title: 'Admin', closing_date: '2024-02-29' }), null);
+    assert.equal(validatePosition({ title: 'Admin', closing_date: null }), null);
+
+    for (const closing_date of ['2024-13-45', '2023-02-29', '2024-04-31', '2024-1-5', 'tomorrow']) {
+        assert.match(validatePosition({ title: 'Admin', closing_date }), /วันปิดรับสมัคร/, closing_date);
+    }
+});
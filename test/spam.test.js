@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/store');
+const spam = require('../lib/spam');
+
+function withEnv(t, values) {
+    const saved = {};
+    for (const [name, value] of Object.entries(values)) {
+        saved[name] = process.env[name];
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+    }
+    t.after(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+}
+
+function formRequest(body, ip = '203.0.113.7') {
+    return { ip, body };
+}
+
+test('requests sent in parallel cannot exceed the IP limit', async (t) => {
+    withEnv(t, { SUBMIT_LIMIT_PER_IP: '3' });
+    const store = createStore({ driver: 'memory' });
+    const now = Date.now();
+
+    const results = await Promise.all(
+        Array.from({ length: 10 }, () => spam.checkIp(formRequest({}), { now, store }))
+    );
+    assert.equal(results.filter(result => result === null).length, 3);
+    assert.ok(results.filter(Boolean).every(result => result.reason === 'rate_ip' && result.retry_after > 0));
+});
+
+test('the email limit counts forms that passed the other checks', async (t) => {
+    withEnv(t, { AUTH_SECRET: 'secret', FORM_SECRET: undefined, SUBMIT_LIMIT_PER_EMAIL: '2', SUBMIT_MIN_SECONDS: '0', CAPTCHA_PROVIDER: undefined });
+    const store = createStore({ driver: 'memory' });
+    const now = Date.now();
+    const { form_token } = spam.publicFormConfig(now - 1000);
+
+    assert.equal((await spam.checkSubmission(formRequest({ email: 'a@example.com', contact_fax: 'x' }), { now, store })).reason, 'honeypot');
+    const results = await Promise.all(
+        Array.from({ length: 4 }, () => spam.checkSubmission(formRequest({ email: 'a@example.com', form_token }), { now, store }))
+    );
+    assert.deepEqual(results.map(result => result && result.reason), [null, null, 'rate_email', 'rate_email']);
+});
+
+test('form tokens are signed and refused without a secret', async (t) => {
+    withEnv(t, { AUTH_SECRET: undefined, FORM_SECRET: undefined, SUBMIT_MIN_SECONDS: '0' });
+    const store = createStore({ driver: 'memory' });
+    const now = Date.now();
+
+    assert.throws(() => spam.publicFormConfig(now), /FORM_SECRET or AUTH_SECRET/);
+    const unsigned = await spam.checkSubmission(formRequest({ email: 'a@example.com', form_token: String(now - 60000) }), { now, store });
+    assert.equal(unsigned.reason, 'form_token');
+
+    process.env.FORM_SECRET = 'secret';
+    const { form_token } = spam.publicFormConfig(now - 60000);
+    const forged = `${now - 60000}.${'0'.repeat(32)}`;
+    assert.equal(await spam.checkSubmission(formRequest({ email: 'a@example.com', form_token }), { now, store }), null);
+    assert.equal((await spam.checkSubmission(formRequest({ email: 'a@example.com', form_token: forged }), { now, store })).reason, 'form_token');
+});
+
+test('a form token sends one application, even when replayed in parallel', async (t) => {
+    withEnv(t, { AUTH_SECRET: 'secret', FORM_SECRET: undefined });
+    const store = createStore({ driver: 'memory' });
+    const now = Date.now();
+    const { form_token } = spam.publicFormConfig(now - 60000);
+    const other = spam.publicFormConfig(now - 60000).form_token;
+    assert.notEqual(form_token, other);
+
+    const results = await Promise.all(
+        Array.from({ length: 3 }, () => spam.useFormToken(formRequest({ form_token }), { store }))
+    );
+    assert.deepEqual(results.map(result => result && result.reason), [null, 'form_token_used', 'form_token_used']);
+    assert.equal(await spam.useFormToken(formRequest({ form_token: other }), { store }), null);
+    assert.equal((await spam.useFormToken(formRequest({ form_token: 'forged' }), { store })).reason, 'form_token');
+
+    assert.equal(await spam.purgeExpiredLimits(now + 24 * 60 * 60 * 1000, store), 2);
+});
+
+test('draft saves count against their own limits', async (t) => {
+    withEnv(t, { AUTH_SECRET: 'secret', SUBMIT_MIN_SECONDS: '0', DRAFT_LIMIT_PER_IP: '1', DRAFT_LIMIT_PER_EMAIL: '1' });
+    const store = createStore({ driver: 'memory' });
+    const now = Date.now();
+    const { form_token } = spam.publicFormConfig(now - 1000);
+    const request = formRequest({ email: 'a@example.com', form_token });
+
+    assert.equal(await spam.checkIp(request, { scope: 'draft', now, store }), null);
+    assert.equal((await spam.checkIp(request, { scope: 'draft', now, store })).reason, 'rate_ip');
+    assert.equal(await spam.checkSubmission(request, { scope: 'draft', now, store }), null);
+    assert.equal((await spam.checkSubmission(request, { scope: 'draft', now, store })).reason, 'rate_email');
+
+    assert.equal(await spam.checkIp(request, { now, store }), null);
+    assert.equal(await spam.checkSubmission(request, { now, store }), null);
+});
+
+test('only failed status lookups count against the IP and the IP with the ID', async (t) => {
+    withEnv(t, { STATUS_LOOKUP_LIMIT_PER_IP: '3', STATUS_LOOKUP_LIMIT_PER_ID: '2' });
+    const store = createStore({ driver: 'memory' });
+    const now = Date.now();
+
+    for (let i = 0; i < 5; i++) {
+        assert.equal(await spam.checkStatusLookup(formRequest({}), 'APP1', { now: now + i, store }), null);
+        await spam.releaseStatusLookup(formRequest({}), 'APP1', { now: now + i, store });
+    }
+
+    assert.equal(await spam.checkStatusLookup(formRequest({}), 'APP1', { now, store }), null);
+    assert.equal(await spam.checkStatusLookup(formRequest({}), 'APP1', { now, store }), null);
+    assert.equal((await spam.checkStatusLookup(formRequest({}), 'APP1', { now, store })).reason, 'rate_lookup');
+
+    // Someone else failing on APP1 does not lock its applicant out
+    assert.equal(await spam.checkStatusLookup(formRequest({}, '198.51.100.1'), 'APP1', { now, store }), null);
+    assert.equal(await spam.checkStatusLookup(formRequest({}, '198.51.100.1'), 'APP2', { now, store }), null);
+    assert.equal(await spam.checkStatusLookup(formRequest({}, '198.51.100.1'), 'APP3', { now, store }), null);
+    assert.equal((await spam.checkStatusLookup(formRequest({}, '198.51.100.1'), 'APP4', { now, store })).reason, 'rate_lookup');
+});
+
+test('only failed logins count against the IP and the username', async (t) => {
+    withEnv(t, { LOGIN_LIMIT_PER_IP: '3', LOGIN_LIMIT_PER_USER: '2' });
+    const store = createStore({ driver: 'memory' });
+    const now = Date.now();
+
+    for (let i = 0; i < 5; i++) {
+        assert.equal(await spam.checkLogin(formRequest({}), 'hr', { now: now + i, store }), null);
+        await spam.releaseLogin(formRequest({}), 'hr', { now: now + i, store });
+    }
+
+    assert.equal(await spam.checkLogin(formRequest({}), 'hr', { now, store }), null);
+    assert.equal(await spam.checkLogin(formRequest({}, '198.51.100.1'), 'HR', { now, store }), null);
+    const rejected = await spam.checkLogin(formRequest({}, '198.51.100.2'), 'hr', { now, store });
+    assert.equal(rejected.reason, 'rate_login');
+    assert.ok(rejected.retry_after > 0);
+
+    assert.equal(await spam.checkLogin(formRequest({}), 'admin', { now, store }), null);
+    assert.equal(await spam.checkLogin(formRequest({}), 'manager', { now, store }), null);
+    assert.equal((await spam.checkLogin(formRequest({}), 'other', { now, store })).reason, 'rate_login');
+});
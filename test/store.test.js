@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StorageError, createStore, saveApplication, getApplication, updateApplication } = require('../lib/store');
+
+const KEY = 'a'.repeat(64);
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+}
+
+for (const driver of ['memory', 'file']) {
+    test(`${driver} driver: documents can be put, read, listed and removed`, async () => {
+        const store = createStore({ driver, dataDir: driver === 'file' ? tempDir() : undefined });
+        const items = store.collection('items');
+
+        await items.put('ONE', { id: 'ONE', value: 1 });
+        await items.put('TWO', { id: 'TWO', value: 2 });
+
+        assert.deepEqual(await items.get('ONE'), { id: 'ONE', value: 1 });
+        assert.equal(await items.get('MISSING'), null);
+        assert.deepEqual((await items.list()).map(item => item.id).sort(), ['ONE', 'TWO']);
+
+        assert.equal(await items.remove('ONE'), true);
+        assert.equal(await items.remove('ONE'), false);
+        assert.deepEqual((await items.list()).map(item => item.id), ['TWO']);
+    });
+
+    test(`${driver} driver: files round-trip and a missing file is null`, async () => {
+        const store = createStore({ driver, dataDir: driver === 'file' ? tempDir() : undefined });
+
+        await store.putFile('APP1/photo.jpg', Buffer.from('jpeg'));
+        assert.equal((await store.getFile('APP1/photo.jpg')).toString(), 'jpeg');
+
+        await store.removeFile('APP1/photo.jpg');
+        await store.removeFile('APP1/photo.jpg');
+        assert.equal(await store.getFile('APP1/photo.jpg'), null);
+    });
+}
+
+test('file driver rejects keys that could leave the data directory', async () => {
+    const store = createStore({ driver: 'file', dataDir: tempDir() });
+
+    await assert.rejects(store.collection('items').get('../secret'), /Invalid storage key/);
+    await assert.rejects(store.putFile('../../etc/passwd', Buffer.from('x')), /Invalid storage key/);
+});
+
+test('memory driver hands out copies, not the stored object', async () => {
+    const store = createStore({ driver: 'memory' });
+    const doc = { id: 'ONE', nested: { value: 1 } };
+
+    await store.collection('items').put('ONE', doc);
+    doc.nested.value = 2;
+    const read = await store.collection('items').get('ONE');
+    read.nested.value = 3;
+
+    assert.equal((await store.collection('items').get('ONE')).nested.value, 1);
+});
+
+test('applications are saved with their uploads and updated in place', async () => {
+    const store = createStore({ driver: 'memory' });
+    const upload = { photo: [{ originalname: 'me.PNG', mimetype: 'image/png', size: 3, buffer: Buffer.from('png') }] };
+
+    const record = await saveApplication({ id: 'APP1', status: 'pending' }, upload, store);
+    assert.equal(record.files.photo.key, 'APP1/photo.png');
+    assert.equal((await store.getFile('APP1/photo.png')).toString(), 'png');
+
+    assert.equal((await getApplication(' app1 ', store)).status, 'pending');
+    assert.equal(await getApplication('../APP1', store), null);
+
+    const updated = await updateApplication('APP1', { status: 'hired' }, store);
+    assert.equal(updated.status, 'hired');
+    assert.ok(updated.updated_at);
+    assert.equal(await updateApplication('APP2', { status: 'hired' }, store), null);
+});
+
+test('sensitive fields are encrypted in the driver and plain through the store', async (t) => {
+    process.env.FIELD_ENCRYPTION_KEY = KEY;
+    t.after(() => { delete process.env.FIELD_ENCRYPTION_KEY; });
+
+    const store = createStore({ driver: 'memory' });
+    await store.collection('applications').put('APP1', {
+        id: 'APP1',
+        personal_info: { id_card: '1101700203450', fullname_th: 'ทดสอบ' }
+    });
+
+    const raw = await store.driver.get('applications', 'APP1');
+    assert.match(raw.personal_info.id_card, /^enc:v1:/);
+    assert.equal(raw.personal_info.fullname_th, 'ทดสอบ');
+    assert.equal((await store.collection('applications').get('APP1')).personal_info.id_card, '1101700203450');
+});
+
+test('on Vercel the store refuses writes to storage that would not persist', async (t) => {
+    process.env.VERCEL = '1';
+    t.after(() => { delete process.env.VERCEL; });
+
+    for (const driver of ['memory', 'file']) {
+        const store = createStore({ driver });
+        assert.match(store.unavailable, /does not persist on Vercel/);
+        assert.equal(await store.collection('items').get('ONE'), null);
+        await assert.rejects(store.collection('items').put('ONE', { id: 'ONE' }), StorageError);
+        await assert.rejects(store.putFile('APP1/photo.jpg', Buffer.from('jpeg')), StorageError);
+    }
+
+    const durable = createStore({ driver: 'file', dataDir: tempDir() });
+    assert.equal(durable.unavailable, null);
+    await durable.collection('items').put('ONE', { id: 'ONE' });
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { UploadError, sniffFileType, isExecutable, normalizePhoto, validateApplicationFiles } = require('../lib/uploads');
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+function bytes(list, padding = 64) {
+    return Buffer.concat([Buffer.from(list), Buffer.alloc(padding)]);
+}
+
+function zip(...entries) {
+    return Buffer.concat([Buffer.from([0x50, 0x4B, 0x03, 0x04]), Buffer.from(entries.join('\0'))]);
+}
+
+// Smallest OLE compound file: header, one FAT sector, one directory
+// sector with the root entry and one stream called `stream`
+function compoundFile(stream) {
+    const file = Buffer.alloc(512 * 3);
+    Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]).copy(file);
+    file.writeUInt16LE(9, 0x1E);
+    file.writeUInt32LE(1, 0x2C);
+    file.writeUInt32LE(1, 0x30);
+    for (let i = 0; i < 109; i++) file.writeUInt32LE(i === 0 ? 0 : 0xFFFFFFFF, 0x4C + i * 4);
+
+    const fat = 512;
+    for (let i = 0; i < 128; i++) file.writeUInt32LE(0xFFFFFFFF, fat + i * 4);
+    file.writeUInt32LE(0xFFFFFFFD, fat);
+    file.writeUInt32LE(0xFFFFFFFE, fat + 4);
+
+    [['Root Entry', 5], [stream, 2]].forEach(([name, type], index) => {
+        const entry = 1024 + index * 128;
+        file.write(name, entry, 'utf16le');
+        file.writeUInt16LE((name.length + 1) * 2, entry + 0x40);
+        file[entry + 0x42] = type;
+    });
+    return file;
+}
+
+function upload(originalname, buffer) {
+    return { originalname, mimetype: 'application/octet-stream', size: buffer.length, buffer };
+}
+
+test('each accepted type is recognised from its first bytes', () => {
+    assert.equal(sniffFileType(bytes([0xFF, 0xD8, 0xFF, 0xE0])), 'jpeg');
+    assert.equal(sniffFileType(bytes(PNG_SIGNATURE)), 'png');
+    assert.equal(sniffFileType(Buffer.from('%PDF-1.7\n')), 'pdf');
+    assert.equal(sniffFileType(compoundFile('WordDocument')), 'doc');
+    assert.equal(sniffFileType(zip('[Content_Types].xml', 'word/document.xml')), 'docx');
+    assert.equal(sniffFileType(Buffer.from('hello world')), null);
+});
+
+test('compound files without a Word stream and other ZIPs are refused', () => {
+    assert.equal(sniffFileType(compoundFile('Workbook')), null);
+    assert.equal(sniffFileType(compoundFile('\u0005SummaryInformation')), null);
+    assert.equal(sniffFileType(bytes([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])), null);
+    assert.equal(sniffFileType(zip('[Content_Types].xml', 'xl/workbook.xml')), null);
+    assert.equal(sniffFileType(zip('payload.exe')), null);
+});
+
+test('executables are refused whatever they are called', async () => {
+    assert.ok(isExecutable(bytes([0x4D, 0x5A, 0x90, 0x00])));
+    assert.ok(isExecutable(bytes([0x7F, 0x45, 0x4C, 0x46])));
+    assert.ok(isExecutable(Buffer.from('#!/bin/sh\nrm -rf /\n')));
+    assert.ok(!isExecutable(Buffer.from('%PDF-1.7\n')));
+
+    await assert.rejects(
+        validateApplicationFiles({ resume: [upload('cv.pdf', bytes([0x4D, 0x5A, 0x90, 0x00]))] }),
+        error => error instanceof UploadError && error.field === 'resume' && /ไฟล์โปรแกรม/.test(error.message)
+    );
+});
+
+test('the content decides the type, not the file name', async () => {
+    await assert.rejects(
+        validateApplicationFiles({ resume: [upload('cv.pdf', bytes(PNG_SIGNATURE))] }),
+        error => error instanceof UploadError && error.field === 'resume'
+    );
+    await assert.rejects(
+        validateApplicationFiles({ photo: [upload('me.jpg', Buffer.from('%PDF-1.7\n'))] }),
+        error => error instanceof UploadError && error.field === 'photo'
+    );
+
+    const files = { resume: [upload('cv.docx', Buffer.from('%PDF-1.7\n'))] };
+    await validateApplicationFiles(files);
+    assert.equal(files.resume[0].mimetype, 'application/pdf');
+});
+
+test('photos are turned upright, cropped square and re-encoded as JPEG', async () => {
+    // 200x100, red on the left and blue on the right, stored with EXIF
+    // orientation 6 so it shows as 100x200 with red on top
+    const pixels = Buffer.alloc(200 * 100 * 3);
+    for (let i = 0; i < 200 * 100; i++) {
+        pixels[i * 3] = i % 200 < 100 ? 255 : 0;
+        pixels[i * 3 + 2] = i % 200 < 100 ? 0 : 255;
+    }
+    const photo = await sharp(pixels, { raw: { width: 200, height: 100, channels: 3 } })
+        .jpeg()
+        .withMetadata({ orientation: 6 })
+        .toBuffer();
+
+    const files = { photo: [upload('me.PNG', photo)] };
+    await validateApplicationFiles(files);
+    const normalized = files.photo[0];
+    assert.equal(normalized.mimetype, 'image/jpeg');
+    assert.equal(normalized.originalname, 'me.jpg');
+    assert.equal(normalized.size, normalized.buffer.length);
+
+    const { data, info } = await sharp(normalized.buffer).raw().toBuffer({ resolveWithObject: true });
+    assert.equal(info.width, 600);
+    assert.equal(info.height, 600);
+    const pixel = (x, y) => data.subarray((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3);
+    assert.ok(pixel(300, 100)[0] > 200 && pixel(300, 100)[2] < 50, 'top is red');
+    assert.ok(pixel(300, 500)[2] > 200 && pixel(300, 500)[0] < 50, 'bottom is blue');
+
+    await assert.rejects(normalizePhoto(bytes([0xFF, 0xD8, 0xFF, 0xE0])), UploadError);
+});
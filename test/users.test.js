@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../lib/store');
+const users = require('../lib/users');
+
+async function storeWithUser() {
+    const store = createStore({ driver: 'memory' });
+    await users.createUser({ username: 'hr.one', password: 'password123', role: 'recruiter' }, store);
+    return store;
+}
+
+test('"false" from a form deactivates a user and "true" activates them again', async () => {
+    const store = await storeWithUser();
+
+    assert.equal((await users.updateUser('hr.one', { active: 'false' }, store)).active, false);
+    assert.equal(await users.authenticateUser('hr.one', 'password123', store), null);
+
+    assert.equal((await users.updateUser('hr.one', { active: 'true' }, store)).active, true);
+    assert.equal((await users.updateUser('hr.one', { active: false }, store)).active, false);
+    assert.equal((await users.updateUser('hr.one', { active: true }, store)).active, true);
+});
+
+test('active must be a boolean or "true"/"false"', () => {
+    for (const active of [true, false, 'true', 'false', undefined]) {
+        assert.equal(users.validateUserInput({ active }, { partial: true }), null);
+    }
+    for (const active of ['0', '1', 'no', 0, null]) {
+        assert.match(users.validateUserInput({ active }, { partial: true }), /true หรือ false/);
+    }
+});
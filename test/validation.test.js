@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateApplication, isValidThaiId, isValidPhone, normalizePhone, entryList, normalizeMonth } = require('../lib/validation');
+
+const NOW = new Date(2026, 5, 15, 12);
+
+function application(overrides = {}) {
+    return {
+        position_ids: ['admin'],
+        fullname_th: 'ทดสอบ ระบบ',
+        gender: 'ชาย',
+        birthdate: '1990-06-16',
+        age: '35',
+        nationality: 'ไทย',
+        ethnicity: 'ไทย',
+        religion: 'พุทธ',
+        id_card: '1101700203450',
+        phone: '081-234-5678',
+        line_id: '-',
+        email: 'applicant@example.com',
+        address: '1 ถนนสุขุมวิท',
+        subdistrict: 'คลองเตย',
+        district: 'คลองเตย',
+        province: 'กรุงเทพมหานคร',
+        zipcode: '10110',
+        education_used: 'ปริญญาตรี',
+        has_disease: 'ไม่มี',
+        has_criminal_record: 'ไม่เคย',
+        declaration_accepted: 'true',
+        ...overrides
+    };
+}
+
+function errorsFor(overrides) {
+    return validateApplication(application(overrides), { now: NOW });
+}
+
+test('a complete application has no errors', () => {
+    assert.deepEqual(errorsFor({}), {});
+});
+
+test('Thai ID cards need 13 digits and a matching mod-11 check digit', () => {
+    assert.ok(isValidThaiId('1101700203450'));
+    assert.ok(isValidThaiId('1-1017-00203-45-0'));
+    assert.ok(!isValidThaiId('1101700203451'));
+    assert.ok(!isValidThaiId('110170020345'));
+
+    assert.equal(errorsFor({ id_card: '1-1017-00203-45-0' }).id_card, undefined);
+    assert.match(errorsFor({ id_card: '1101700203451' }).id_card, /ไม่ถูกต้อง/);
+    assert.match(errorsFor({ id_card: '12345' }).id_card, /13 หลัก/);
+    assert.match(errorsFor({ id_card: '' }).id_card, /กรุณากรอก/);
+});
+
+test('phones are Thai mobile or landline numbers, +66 included', () => {
+    for (const phone of ['081-234-5678', '0812345678', '02-123-4567', '+66 81 234 5678']) {
+        assert.ok(isValidPhone(phone), phone);
+        assert.equal(errorsFor({ phone }).phone, undefined, phone);
+    }
+    assert.equal(normalizePhone('+66812345678'), '0812345678');
+
+    for (const phone of ['12345', '1812345678', '08123456789', '66812345678']) {
+        assert.match(errorsFor({ phone }).phone, /เบอร์โทรศัพท์ไม่ถูกต้อง/, phone);
+    }
+});
+
+test('zip codes are five digits', () => {
+    for (const zipcode of ['1011', '101100', 'abcde', '10 110']) {
+        assert.match(errorsFor({ zipcode }).zipcode, /5 หลัก/, zipcode);
+    }
+});
+
+test('email, salary, start date and declaration are checked', () => {
+    assert.match(errorsFor({ email: 'applicant@example' }).email, /รูปแบบอีเมล/);
+    assert.equal(errorsFor({ expected_salary: '25,000' }).expected_salary, undefined);
+    assert.match(errorsFor({ expected_salary: '-1' }).expected_salary, /ไม่ติดลบ/);
+    assert.match(errorsFor({ start_date: '2026-02-30' }).start_date, /วันที่เริ่มงาน/);
+    assert.match(errorsFor({ declaration_accepted: undefined }).declaration_accepted, /คำรับรอง/);
+});
+
+test('the age must be in range and match the birthdate within a year', () => {
+    // Turns 36 tomorrow: 35 and 36 are both accepted
+    assert.equal(errorsFor({ age: '36' }).age, undefined);
+    assert.match(errorsFor({ age: '38' }).age, /ไม่ตรงกับวันเกิด \(ตามวันเกิดคือ 35 ปี\)/);
+    assert.match(errorsFor({ age: '14' }).age, /15-100/);
+    assert.match(errorsFor({ age: 'สามสิบ' }).age, /15-100/);
+
+    assert.match(errorsFor({ birthdate: '1990-02-30' }).birthdate, /รูปแบบวันเกิด/);
+    assert.match(errorsFor({ birthdate: '2026-06-16' }).birthdate, /อนาคต/);
+});
+
+test('work entries need a start month that is not in the future or after the end', () => {
+    const errors = errorsFor({
+        'work_experience[0][company]': 'Current Co.',
+        'work_experience[0][start]': '06/2566',
+        'work_experience[0][end]': '',
+        'work_experience[1][company]': 'Backwards Co.',
+        'work_experience[1][start]': '2022-05',
+        'work_experience[1][end]': '2021-01',
+        'work_experience[2][company]': 'Future Co.',
+        'work_experience[2][start]': '2026-07',
+        'work_experience[3][company]': 'Unknown Co.',
+        'work_experience[3][start]': 'last year',
+        'work_experience[4][start]': '2020-01',
+        'work_experience[5][company]': 'Left Co.',
+        'work_experience[5][start]': '2020-01',
+        'work_experience[5][end]': '2027-01'
+    });
+
+    assert.deepEqual(Object.keys(errors).sort(), [
+        'work_experience[1][end]',
+        'work_experience[2][start]',
+        'work_experience[3][start]',
+        'work_experience[4][company]',
+        'work_experience[5][end]'
+    ]);
+    assert.match(errors['work_experience[1][end]'], /ต้องไม่ก่อนเดือนที่เริ่มงาน/);
+    assert.match(errors['work_experience[2][start]'], /อนาคต/);
+    assert.match(errors['work_experience[3][start]'], /รูปแบบเดือน/);
+    assert.match(errors['work_experience[5][end]'], /อนาคต/);
+    assert.equal(normalizeMonth('06/2566'), '2023-06');
+});
+
+test('education entries need a known level, a school and a four-digit year', () => {
+    const errors = errorsFor({
+        education: [
+            { level: 'bachelor', school: 'มหาวิทยาลัย', major: 'บัญชี', year: '2566' },
+            { level: 'kindergarten', school: 'โรงเรียน' },
+            { level: 'master', year: '66' }
+        ]
+    });
+
+    assert.deepEqual(Object.keys(errors).sort(), [
+        'education[1][level]',
+        'education[2][school]',
+        'education[2][year]'
+    ]);
+});
+
+test('entries are read from flat or nested names and capped per section', () => {
+    const flat = { 'education[3][school]': 'B', 'education[1][school]': 'A', 'education[2][school]': ' ' };
+    assert.deepEqual(entryList(flat, 'education').map(entry => entry.school), ['A', 'B']);
+    assert.deepEqual(entryList({ education: [{ school: ' C ' }] }, 'education').map(entry => entry.school), ['C']);
+
+    const many = {};
+    for (let i = 0; i < 11; i++) {
+        many[`work_experience[${i}][company]`] = `Company ${i}`;
+        many[`work_experience[${i}][start]`] = '2020-01';
+    }
+    assert.match(errorsFor(many).work_experience, /ไม่เกิน 10 รายการ/);
+});